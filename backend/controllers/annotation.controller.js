@@ -0,0 +1,360 @@
+/**
+ * ANNOTATION CONTROLLER
+ * Highlights and notes on a document's pages, private to their author
+ */
+
+const { getSegmentIds } = require('./segmentation.controller');
+const { ensurePageTexts } = require('../services/pageText.service');
+const {
+  anchorToPage,
+  createAnnotation,
+  listAnnotations,
+  getAnnotation,
+  updateAnnotation,
+  deleteAnnotation,
+  formatAnnotation
+} = require('../services/annotation.service');
+const { MAX_TAGS, MAX_TAG_LENGTH, parseTags } = require('../validators/tag.validator');
+
+const DEFAULT_COLOR = '#ffeb3b';
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/;
+const MAX_QUOTE_LENGTH = 5000;
+const MAX_CONTEXT_LENGTH = 200;
+const MAX_NOTE_LENGTH = 10000;
+const MAX_RECTS = 200;
+
+/**
+ * Rectangles in PDF points relative to the page's top-left corner
+ * @returns {Array|null} - Cleaned rects, or null if invalid
+ */
+function parseRects(value) {
+  if (!Array.isArray(value) || value.length > MAX_RECTS) return null;
+
+  const rects = [];
+  for (const rect of value) {
+    const { x, y, width, height } = rect || {};
+    if (![x, y, width, height].every((n) => typeof n === 'number' && Number.isFinite(n)) ||
+      x < 0 || y < 0 || width <= 0 || height <= 0) {
+      return null;
+    }
+    rects.push({ x, y, width, height });
+  }
+  return rects;
+}
+
+/**
+ * Validate annotation fields. The anchor (page, quote, context) is fixed at
+ * creation; later updates may change rects, color, tags, note and segment.
+ * @param {Object} body - req.body
+ * @param {Object} options - { document, segmentIds, creating }
+ * @returns {Object} - { fields } (snake_case columns plus quote context) or { errors }
+ */
+function parseAnnotationFields(body, { document, segmentIds, creating }) {
+  const errors = [];
+  const fields = {};
+
+  if (creating) {
+    if (!Number.isInteger(body.page) || body.page < 1 || (document.page_count && body.page > document.page_count)) {
+      errors.push(`page must be a page number between 1 and ${document.page_count || 'the page count'}`);
+    } else {
+      fields.page_number = body.page;
+    }
+
+    if (body.quote !== undefined) {
+      if (typeof body.quote !== 'string' || !body.quote.trim() || body.quote.length > MAX_QUOTE_LENGTH) {
+        errors.push(`quote must be a non-empty string of at most ${MAX_QUOTE_LENGTH} characters`);
+      } else {
+        fields.quote = body.quote.trim();
+      }
+    }
+
+    for (const side of ['prefix', 'suffix']) {
+      const value = body.context?.[side];
+      if (value !== undefined && (typeof value !== 'string' || value.length > MAX_CONTEXT_LENGTH)) {
+        errors.push(`context.${side} must be a string of at most ${MAX_CONTEXT_LENGTH} characters`);
+      } else if (value) {
+        fields[side] = value;
+      }
+    }
+
+    if (body.quote === undefined && body.rects === undefined) {
+      errors.push('An annotation needs a quote, rects, or both');
+    }
+  } else {
+    for (const field of ['page', 'quote', 'context']) {
+      if (body[field] !== undefined) {
+        errors.push(`${field} cannot be changed; create a new annotation instead`);
+      }
+    }
+  }
+
+  if (body.rects !== undefined) {
+    const rects = parseRects(body.rects);
+    if (!rects) {
+      errors.push(`rects must be an array of at most ${MAX_RECTS} { x, y, width, height } objects in PDF points`);
+    } else {
+      fields.rects = rects;
+    }
+  }
+
+  if (body.color !== undefined) {
+    const color = typeof body.color === 'string' ? body.color.trim().toLowerCase() : '';
+    if (!COLOR_PATTERN.test(color)) {
+      errors.push('color must be a hex color like #ffeb3b');
+    } else {
+      fields.color = color;
+    }
+  }
+
+  if (body.tags !== undefined) {
+    const tags = parseTags(body.tags);
+    if (!tags) {
+      errors.push(`tags must be an array of at most ${MAX_TAGS} non-empty strings of up to ${MAX_TAG_LENGTH} characters`);
+    } else {
+      fields.tags = tags;
+    }
+  }
+
+  if (body.note !== undefined) {
+    if (body.note !== null && (typeof body.note !== 'string' || body.note.length > MAX_NOTE_LENGTH)) {
+      errors.push(`note must be a string of at most ${MAX_NOTE_LENGTH} characters (or null)`);
+    } else {
+      fields.note = body.note ? body.note.trim() : null;
+    }
+  }
+
+  if (body.segmentId !== undefined) {
+    if (body.segmentId === null) {
+      fields.segment_id = null;
+    } else if (!segmentIds.includes(String(body.segmentId))) {
+      errors.push('segmentId must be a segment of this document (or null)');
+    } else {
+      fields.segment_id = String(body.segmentId);
+    }
+  }
+
+  return errors.length > 0 ? { errors } : { fields };
+}
+
+/**
+ * Load an annotation of the current document owned by the current user
+ * Sends the 404 response itself and returns null when it doesn't exist.
+ */
+async function loadAnnotation(req, res) {
+  const annotation = await getAnnotation(req.params.annotationId, req.document.id, req.user.id);
+
+  if (!annotation) {
+    res.status(404).json({
+      success: false,
+      error: 'Annotation not found'
+    });
+    return null;
+  }
+
+  return annotation;
+}
+
+/**
+ * List the current user's annotations on a document
+ * @route GET /api/pdf/:pdfId/annotations?page=&segmentId=&tag=&color=
+ */
+async function listAnnotationsEndpoint(req, res) {
+  try {
+    const filters = {
+      segmentId: req.query.segmentId,
+      tag: typeof req.query.tag === 'string' ? req.query.tag.trim().toLowerCase() : undefined,
+      color: typeof req.query.color === 'string' ? req.query.color.trim().toLowerCase() : undefined
+    };
+
+    if (req.query.page !== undefined) {
+      filters.page = parseInt(req.query.page, 10);
+      if (isNaN(filters.page) || filters.page < 1) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid page',
+          message: 'page must be a positive integer'
+        });
+      }
+    }
+
+    const annotations = await listAnnotations(req.document.id, req.user.id, filters);
+
+    res.status(200).json({
+      success: true,
+      data: annotations.map(formatAnnotation),
+      count: annotations.length
+    });
+
+  } catch (error) {
+    console.error('[Error] List annotations error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve annotations',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Create a highlight or note on a page
+ * @route POST /api/pdf/:pdfId/annotations
+ * Body: { page, quote?, context?: { prefix, suffix }, rects?, color?, tags?, note?, segmentId? }
+ */
+async function createAnnotationEndpoint(req, res) {
+  try {
+    const document = req.document;
+    const segmentIds = await getSegmentIds(document.id, req.user.id);
+    const { fields, errors } = parseAnnotationFields(req.body || {}, { document, segmentIds, creating: true });
+
+    if (errors) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid annotation',
+        errors
+      });
+    }
+
+    let pageText = null;
+    if (fields.quote) {
+      const pages = await ensurePageTexts(document, { startPage: fields.page_number, endPage: fields.page_number });
+      pageText = pages[0]?.text ?? null;
+    }
+
+    const saved = await createAnnotation({
+      pdf_id: document.id,
+      user_id: req.user.id,
+      segment_id: null,
+      quote: null,
+      rects: [],
+      color: DEFAULT_COLOR,
+      tags: [],
+      note: null,
+      ...fields,
+      ...anchorToPage({
+        page: fields.page_number,
+        quote: fields.quote,
+        prefix: fields.prefix,
+        suffix: fields.suffix
+      }, pageText)
+    });
+
+    res.status(201).json({
+      success: true,
+      data: formatAnnotation(saved)
+    });
+
+  } catch (error) {
+    console.error('[Error] Create annotation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create annotation',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Get one annotation
+ * @route GET /api/pdf/:pdfId/annotations/:annotationId
+ */
+async function getAnnotationEndpoint(req, res) {
+  try {
+    const annotation = await loadAnnotation(req, res);
+    if (!annotation) return;
+
+    res.status(200).json({
+      success: true,
+      data: formatAnnotation(annotation)
+    });
+
+  } catch (error) {
+    console.error('[Error] Get annotation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve annotation',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Update an annotation's note, color, tags, rects or segment
+ * @route PATCH /api/pdf/:pdfId/annotations/:annotationId
+ */
+async function updateAnnotationEndpoint(req, res) {
+  try {
+    const annotation = await loadAnnotation(req, res);
+    if (!annotation) return;
+
+    const segmentIds = await getSegmentIds(req.document.id, req.user.id);
+    const { fields, errors } = parseAnnotationFields(req.body || {}, {
+      document: req.document,
+      segmentIds,
+      creating: false
+    });
+
+    if (errors) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid annotation',
+        errors
+      });
+    }
+
+    // New rects for a moved annotation re-attach it to its new page
+    if (fields.rects && fields.rects.length > 0 && annotation.anchor_status === 'moved') {
+      fields.anchor_status = 'anchored';
+    }
+
+    const updated = Object.keys(fields).length > 0 ? await updateAnnotation(annotation.id, fields) : annotation;
+
+    res.status(200).json({
+      success: true,
+      data: formatAnnotation(updated)
+    });
+
+  } catch (error) {
+    console.error('[Error] Update annotation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update annotation',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Delete an annotation
+ * @route DELETE /api/pdf/:pdfId/annotations/:annotationId
+ */
+async function deleteAnnotationEndpoint(req, res) {
+  try {
+    const annotation = await loadAnnotation(req, res);
+    if (!annotation) return;
+
+    await deleteAnnotation(annotation.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Annotation deleted'
+    });
+
+  } catch (error) {
+    console.error('[Error] Delete annotation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete annotation',
+      message: error.message
+    });
+  }
+}
+
+module.exports = {
+  DEFAULT_COLOR,
+  parseAnnotationFields,
+  listAnnotationsEndpoint,
+  createAnnotationEndpoint,
+  getAnnotationEndpoint,
+  updateAnnotationEndpoint,
+  deleteAnnotationEndpoint
+};
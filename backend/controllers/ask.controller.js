@@ -0,0 +1,261 @@
+/**
+ * ASK CONTROLLER
+ * Questions about a single document, answered by the configured LLM from
+ * retrieved passages only, with page citations and verbatim quotes
+ */
+
+const { ensurePageTexts } = require('../services/pageText.service');
+const { retrieveRelevantChunks } = require('../services/retrieval.service');
+const {
+  formatMessage,
+  getConversation,
+  appendExchange,
+  clearConversation
+} = require('../services/conversation.service');
+const { getLLMProvider, describeProvider } = require('../services/llm');
+const { extractJSON } = require('../validators/segmentation.validator');
+
+const MAX_QUESTION_LENGTH = 1000;
+// Earlier messages sent along so follow-up questions make sense
+const HISTORY_MESSAGES = 6;
+const RETRIEVED_CHUNKS = 5;
+const MAX_QUOTE_LENGTH = 300;
+
+const NOT_IN_DOCUMENT_ANSWER = "I couldn't find the answer to that in this document.";
+
+const SYSTEM_PROMPT = `You answer questions about one academic document for a student.
+
+RULES:
+1. Use ONLY the numbered excerpts in the latest message. Do not use outside knowledge.
+2. If the excerpts do not contain the answer, set "answerable" to false and leave "citations" empty.
+3. Support every claim with a citation: the page number of the excerpt and a short quote copied word for word from it (at most one or two sentences).
+4. Earlier messages are only there so you understand follow-up questions; they are not sources.
+
+Respond with ONLY this JSON (no markdown):
+{
+  "answerable": true,
+  "answer": "Clear answer in a few sentences",
+  "citations": [
+    { "page": 3, "quote": "exact words from the excerpt" }
+  ]
+}`;
+
+function buildQuestionPrompt(fileName, chunks, question) {
+  const excerpts = [...chunks]
+    .sort((a, b) => a.page - b.page)
+    .map((chunk, index) => `[EXCERPT ${index + 1} | PAGE ${chunk.page}]\n${chunk.text}`)
+    .join('\n\n');
+
+  return `DOCUMENT NAME: "${fileName}"
+
+EXCERPTS:
+${excerpts}
+
+QUESTION: ${question}`;
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Find a quote in a page, tolerating whitespace and case differences
+ * @param {string} pageText - Stored page text
+ * @param {string} quote - Quote from the LLM
+ * @returns {Object|null} - { start, end, text } in pageText, or null if it isn't there
+ */
+function locateQuote(pageText, quote) {
+  const words = quote
+    .replace(/^[\s"'“”‘’.…]+|[\s"'“”‘’.…]+$/g, '')
+    .split(/\s+/)
+    .filter(Boolean);
+
+  if (words.length === 0) return null;
+
+  const pattern = new RegExp(words.map(escapeRegExp).join('\\s+'), 'i');
+  const match = pattern.exec(pageText);
+  if (!match) return null;
+
+  return { start: match.index, end: match.index + match[0].length, text: match[0] };
+}
+
+/**
+ * Keep only citations whose quote really appears on the cited page
+ * @param {Array} citations - Citations from the LLM
+ * @param {Map} pageTexts - page number -> text
+ * @returns {Array} - [{ page, quote, start, end }]
+ */
+function verifyCitations(citations, pageTexts) {
+  if (!Array.isArray(citations)) return [];
+
+  const verified = [];
+  for (const citation of citations) {
+    const page = Number(citation?.page);
+    const quote = typeof citation?.quote === 'string' ? citation.quote.slice(0, MAX_QUOTE_LENGTH) : '';
+    if (!pageTexts.has(page) || !quote) continue;
+
+    const located = locateQuote(pageTexts.get(page), quote);
+    if (located) {
+      verified.push({ page, quote: located.text, start: located.start, end: located.end });
+    }
+  }
+  return verified;
+}
+
+/**
+ * Read the model's reply; anything that isn't a JSON object counts as no answer
+ * @returns {Object|null} - { answerable, answer, citations } or null
+ */
+function parseAnswer(responseText) {
+  try {
+    const response = extractJSON(responseText);
+    if (response && typeof response === 'object' && !Array.isArray(response)) return response;
+    console.warn('[Ask] Answer is not a JSON object, treating it as unanswered');
+  } catch (parseError) {
+    console.warn(`[Ask] Unreadable answer, treating it as unanswered: ${parseError.message}`);
+  }
+  return null;
+}
+
+/**
+ * Ask a question about a document
+ * @route POST /api/pdf/:pdfId/ask
+ * Body: { question }
+ */
+async function askDocumentEndpoint(req, res) {
+  try {
+    const question = typeof req.body.question === 'string' ? req.body.question.trim() : '';
+
+    if (!question || question.length > MAX_QUESTION_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid question',
+        message: `question is required and must be at most ${MAX_QUESTION_LENGTH} characters`
+      });
+    }
+
+    const document = req.document;
+    const userId = req.user.id;
+
+    const [pages, history] = await Promise.all([
+      ensurePageTexts(document),
+      getConversation(document.id, userId, { limit: HISTORY_MESSAGES })
+    ]);
+
+    // Follow-ups ("what about its limitations?") lean on the previous question
+    const previousQuestion = [...history].reverse().find((message) => message.role === 'user');
+    const retrievalQuery = previousQuestion ? `${question} ${previousQuestion.content}` : question;
+    const chunks = retrieveRelevantChunks(pages, retrievalQuery, { limit: RETRIEVED_CHUNKS });
+
+    let answer = NOT_IN_DOCUMENT_ANSWER;
+    let answered = false;
+    let citations = [];
+    let llmSettings = null;
+
+    if (chunks.length > 0) {
+      const llm = getLLMProvider();
+      llmSettings = describeProvider(llm);
+
+      const messages = [
+        { role: 'system', content: SYSTEM_PROMPT },
+        ...history.map((message) => ({ role: message.role, content: message.content })),
+        { role: 'user', content: buildQuestionPrompt(document.original_filename, chunks, question) }
+      ];
+
+      const responseText = await llm.complete(messages, { maxTokens: 1024, temperature: 0.2, task: 'ask' });
+      const response = parseAnswer(responseText);
+
+      const pageTexts = new Map(pages.map((page) => [page.page, page.text]));
+      citations = response ? verifyCitations(response.citations, pageTexts) : [];
+
+      // An answer we can't tie back to the document counts as no answer
+      if (response && response.answerable !== false && typeof response.answer === 'string' && response.answer.trim() && citations.length > 0) {
+        answer = response.answer.trim();
+        answered = true;
+      } else {
+        citations = [];
+      }
+    }
+
+    const saved = await appendExchange(document.id, userId, {
+      question,
+      answer,
+      answered,
+      citations,
+      llm: llmSettings
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        answer,
+        answered,
+        citations,
+        retrieved: chunks.map((chunk) => ({ page: chunk.page, score: Math.round(chunk.score * 1000) / 1000 })),
+        llm: llmSettings,
+        messageId: saved?.[1]?.id
+      }
+    });
+
+  } catch (error) {
+    console.error('[Error] Ask error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to answer question',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Get the question/answer history of a document
+ * @route GET /api/pdf/:pdfId/conversation
+ */
+async function getConversationEndpoint(req, res) {
+  try {
+    const messages = await getConversation(req.document.id, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: messages.map(formatMessage),
+      count: messages.length
+    });
+
+  } catch (error) {
+    console.error('[Error] Get conversation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve conversation',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Clear the question/answer history of a document
+ * @route DELETE /api/pdf/:pdfId/conversation
+ */
+async function deleteConversationEndpoint(req, res) {
+  try {
+    await clearConversation(req.document.id, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Conversation cleared'
+    });
+
+  } catch (error) {
+    console.error('[Error] Delete conversation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to clear conversation',
+      message: error.message
+    });
+  }
+}
+
+module.exports = {
+  askDocumentEndpoint,
+  getConversationEndpoint,
+  deleteConversationEndpoint
+};
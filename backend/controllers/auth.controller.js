@@ -1,17 +1,22 @@
 const { supabase } = require('../config/supabase');
-const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  listActiveSessions,
+  getSession,
+  denyAccessTokens,
+  formatSession
+} = require('../services/session.service');
 
 /**
- * Generate JWT token for authenticated user
+ * Device and address a session is started or refreshed from
  */
-const generateToken = (userId, email) => {
-  return jwt.sign(
-    { userId, email },
-    process.env.JWT_SECRET,
-    { expiresIn: '24h' } // Token expires in 24 hours
-  );
-};
+const clientInfo = (req) => ({
+  userAgent: req.headers['user-agent'] || null,
+  ipAddress: req.ip || null
+});
 
 /**
  * Register a new user
@@ -88,8 +93,8 @@ const register = async (req, res) => {
       });
     }
 
-    // Generate JWT token
-    const token = generateToken(data.user.id, data.user.email);
+    // Start a session: short-lived access token plus refresh token
+    const { token, refreshToken, expiresIn } = await createSession(data.user, clientInfo(req));
 
     return res.status(201).json({
       success: true,
@@ -100,7 +105,9 @@ const register = async (req, res) => {
           email: data.user.email,
           created_at: data.user.created_at
         },
-        token
+        token,
+        refreshToken,
+        expiresIn
       }
     });
   } catch (error) {
@@ -157,8 +164,8 @@ const login = async (req, res) => {
       });
     }
 
-    // Generate our own JWT token
-    const token = generateToken(data.user.id, data.user.email);
+    // Start a session with our own tokens
+    const { token, refreshToken, expiresIn } = await createSession(data.user, clientInfo(req));
 
     return res.status(200).json({
       success: true,
@@ -170,7 +177,9 @@ const login = async (req, res) => {
           created_at: data.user.created_at,
           last_sign_in: data.user.last_sign_in_at
         },
-        token
+        token,
+        refreshToken,
+        expiresIn
       }
     });
   } catch (error) {
@@ -381,8 +390,8 @@ const googleVerify = async (req, res) => {
       });
     }
 
-    // Generate our own JWT token
-    const token = generateToken(user.id, user.email);
+    // Start a session with our own tokens
+    const { token, refreshToken, expiresIn } = await createSession(user, clientInfo(req));
 
     return res.status(200).json({
       success: true,
@@ -396,7 +405,9 @@ const googleVerify = async (req, res) => {
           created_at: user.created_at,
           last_sign_in: user.last_sign_in_at
         },
-        token
+        token,
+        refreshToken,
+        expiresIn
       }
     });
   } catch (error) {
@@ -444,21 +455,70 @@ const getProfile = async (req, res) => {
 };
 
 /**
- * Logout user
- * POST /api/auth/logout
+ * Exchange a refresh token for a new access token and refresh token
+ * POST /api/auth/refresh
+ *
+ * The old refresh token stops working. Presenting it again revokes the
+ * whole session, since only a stolen copy would still be in use.
  */
-const logout = async (req, res) => {
+const refresh = async (req, res) => {
   try {
-    // Sign out from Supabase
-    const { error } = await supabase.auth.signOut();
+    const { refreshToken } = req.body || {};
+
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Refresh token is required.'
+      });
+    }
+
+    const { tokens, error } = await rotateRefreshToken(refreshToken, clientInfo(req));
+
+    if (error === 'reused') {
+      return res.status(401).json({
+        success: false,
+        error: 'Refresh token has already been used. This session has been revoked, please login again.'
+      });
+    }
 
     if (error) {
-      return res.status(500).json({
+      return res.status(401).json({
         success: false,
-        error: 'Logout failed.'
+        error: {
+          expired: 'Session expired. Please login again.',
+          revoked: 'Session has been revoked. Please login again.'
+        }[error] || 'Invalid refresh token. Please login again.'
       });
     }
 
+    return res.status(200).json({
+      success: true,
+      data: tokens
+    });
+  } catch (error) {
+    console.error('Refresh error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to refresh session. Please try again.'
+    });
+  }
+};
+
+/**
+ * Logout user: revoke the current session and its tokens
+ * POST /api/auth/logout
+ */
+const logout = async (req, res) => {
+  try {
+    const session = req.user.sessionId ? await getSession(req.user.sessionId, req.user.id) : null;
+
+    if (session) {
+      await revokeSession(session, 'logout');
+    } else {
+      // A token whose session is gone can still be denied by its id
+      await denyAccessTokens([{ jti: req.user.tokenId, userId: req.user.id, expiresAt: req.user.tokenExpiresAt }], 'logout');
+    }
+
     return res.status(200).json({
       success: true,
       message: 'Logout successful!'
@@ -472,6 +532,80 @@ const logout = async (req, res) => {
   }
 };
 
+/**
+ * Log out everywhere: revoke every session of the current user
+ * POST /api/auth/logout-all
+ */
+const logoutAll = async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.user.id, 'logout_all');
+
+    return res.status(200).json({
+      success: true,
+      message: 'Logged out on all devices.',
+      data: { revokedSessions: revoked }
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Logout failed. Please try again.'
+    });
+  }
+};
+
+/**
+ * List the current user's active sessions (device, IP, last used)
+ * GET /api/auth/sessions
+ */
+const listSessions = async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user.id);
+
+    return res.status(200).json({
+      success: true,
+      data: sessions.map((session) => formatSession(session, req.user.sessionId)),
+      count: sessions.length
+    });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve sessions.'
+    });
+  }
+};
+
+/**
+ * Revoke one of the current user's sessions (e.g. a lost device)
+ * DELETE /api/auth/sessions/:sessionId
+ */
+const deleteSession = async (req, res) => {
+  try {
+    const session = await getSession(req.params.sessionId, req.user.id);
+
+    if (!session || session.revoked_at) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found.'
+      });
+    }
+
+    await revokeSession(session, 'revoked');
+
+    return res.status(200).json({
+      success: true,
+      message: 'Session revoked.'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to revoke session.'
+    });
+  }
+};
+
 // Aliases for alternative naming
 const signUp = register;
 const signIn = login;
@@ -486,5 +620,9 @@ module.exports = {
   googleSignIn,
   googleVerify,
   getProfile,
-  logout
+  refresh,
+  logout,
+  logoutAll,
+  listSessions,
+  deleteSession
 };
\ No newline at end of file
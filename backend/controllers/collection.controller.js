@@ -0,0 +1,300 @@
+/**
+ * COLLECTION CONTROLLER
+ * Nestable folders for organising a user's documents, and the collection/tag
+ * filters shared by the document list and search
+ */
+
+const { parseTags } = require('../validators/tag.validator');
+const {
+  listCollections,
+  getCollection,
+  createCollection,
+  updateCollection,
+  deleteCollection,
+  collectSubtreeIds,
+  collectionDepth,
+  countDocumentsByCollection,
+  formatCollection
+} = require('../services/collection.service');
+
+const MAX_NAME_LENGTH = 100;
+const MAX_DEPTH = 8;
+const MAX_COLLECTIONS = 500;
+
+/**
+ * Validate ?collectionId=&recursive=&tag= against the user's collections
+ * collectionId=none selects unfiled documents; tag takes a comma-separated
+ * list and matches documents carrying all of them.
+ * @param {Object} query - req.query
+ * @param {string} userId - Current user's id
+ * @returns {Object} - { filters: { collectionIds?, tags? } } or { errors }
+ */
+async function parseOrganisationFilters(query, userId) {
+  const errors = [];
+  const filters = {};
+
+  if (query.tag !== undefined) {
+    const tags = parseTags(String(query.tag).split(','));
+    if (!tags) {
+      errors.push('tag must be a comma-separated list of tags');
+    } else {
+      filters.tags = tags;
+    }
+  }
+
+  if (query.collectionId !== undefined) {
+    const collectionId = String(query.collectionId);
+
+    if (collectionId === 'none') {
+      filters.collectionIds = [null];
+    } else {
+      const collections = await listCollections(userId);
+      if (!collections.some((collection) => collection.id === collectionId)) {
+        errors.push('collectionId must be one of your collections (or none)');
+      } else {
+        filters.collectionIds = query.recursive === 'true'
+          ? collectSubtreeIds(collections, collectionId)
+          : [collectionId];
+      }
+    }
+  }
+
+  return errors.length > 0 ? { errors } : { filters };
+}
+
+/**
+ * Validate a collection's name and parent
+ * @param {Object} body - req.body
+ * @param {Array} collections - The user's collection rows
+ * @param {Object} [current] - Collection being updated (omit when creating)
+ * @returns {Object} - { changes } (snake_case columns) or { errors }
+ */
+function parseCollectionFields(body, collections, current) {
+  const errors = [];
+  const changes = {};
+
+  if (body.name !== undefined || !current) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name || name.length > MAX_NAME_LENGTH) {
+      errors.push(`name is required and must be at most ${MAX_NAME_LENGTH} characters`);
+    } else {
+      changes.name = name;
+    }
+  }
+
+  if (body.parentId !== undefined && body.parentId !== null) {
+    const parentId = String(body.parentId);
+    const parent = collections.find((collection) => collection.id === parentId);
+
+    if (!parent) {
+      errors.push('parentId must be one of your collections (or null)');
+    } else if (current && collectSubtreeIds(collections, current.id).includes(parentId)) {
+      errors.push('A collection cannot be moved inside itself');
+    } else {
+      // The moved collection's own subtree comes along and must still fit
+      const subtreeHeight = current
+        ? Math.max(...collectSubtreeIds(collections, current.id)
+          .map((id) => collectionDepth(collections, id) - collectionDepth(collections, current.id) + 1))
+        : 1;
+      if (collectionDepth(collections, parentId) + subtreeHeight > MAX_DEPTH) {
+        errors.push(`Collections can be nested at most ${MAX_DEPTH} levels deep`);
+      } else {
+        changes.parent_id = parentId;
+      }
+    }
+  } else if (body.parentId === null) {
+    changes.parent_id = null;
+  }
+
+  return errors.length > 0 ? { errors } : { changes };
+}
+
+/**
+ * Sibling collection with the same name (case-insensitive), if any
+ */
+function findNameClash(collections, name, parentId, exceptId) {
+  return collections.find((collection) => collection.id !== exceptId &&
+    (collection.parent_id || null) === (parentId || null) &&
+    collection.name.toLowerCase() === name.toLowerCase());
+}
+
+/**
+ * Load one of the current user's collections
+ * Sends the 404 response itself and returns null when it doesn't exist.
+ */
+async function loadCollection(req, res) {
+  const collection = await getCollection(req.params.collectionId, req.user.id);
+
+  if (!collection) {
+    res.status(404).json({
+      success: false,
+      error: 'Collection not found'
+    });
+    return null;
+  }
+
+  return collection;
+}
+
+/**
+ * List the current user's collections (flat; nest them with parentId)
+ * @route GET /api/collections
+ */
+async function listCollectionsEndpoint(req, res) {
+  try {
+    const collections = await listCollections(req.user.id);
+    const counts = await countDocumentsByCollection(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: collections.map((collection) => formatCollection(collection, counts.get(collection.id) || 0)),
+      count: collections.length,
+      unfiledDocuments: counts.get(null) || 0
+    });
+
+  } catch (error) {
+    console.error('[Error] List collections error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve collections',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Create a collection
+ * @route POST /api/collections
+ * Body: { name, parentId? }
+ */
+async function createCollectionEndpoint(req, res) {
+  try {
+    const collections = await listCollections(req.user.id);
+    const { changes, errors } = parseCollectionFields(req.body || {}, collections);
+
+    if (errors) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid collection',
+        errors
+      });
+    }
+
+    if (collections.length >= MAX_COLLECTIONS) {
+      return res.status(400).json({
+        success: false,
+        error: 'Too many collections',
+        message: `You can have at most ${MAX_COLLECTIONS} collections`
+      });
+    }
+
+    if (findNameClash(collections, changes.name, changes.parent_id)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Collection already exists',
+        message: `There is already a collection named "${changes.name}" here`
+      });
+    }
+
+    const collection = await createCollection(req.user.id, {
+      name: changes.name,
+      parentId: changes.parent_id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: formatCollection(collection, 0)
+    });
+
+  } catch (error) {
+    console.error('[Error] Create collection error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create collection',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Rename a collection and/or move it under another one (parentId null = top level)
+ * @route PATCH /api/collections/:collectionId
+ * Body: { name?, parentId? }
+ */
+async function updateCollectionEndpoint(req, res) {
+  try {
+    const collection = await loadCollection(req, res);
+    if (!collection) return;
+
+    const collections = await listCollections(req.user.id);
+    const { changes, errors } = parseCollectionFields(req.body || {}, collections, collection);
+
+    if (errors) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid collection',
+        errors
+      });
+    }
+
+    const name = changes.name ?? collection.name;
+    const parentId = changes.parent_id !== undefined ? changes.parent_id : collection.parent_id;
+    if (findNameClash(collections, name, parentId, collection.id)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Collection already exists',
+        message: `There is already a collection named "${name}" there`
+      });
+    }
+
+    const updated = Object.keys(changes).length > 0 ? await updateCollection(collection.id, changes) : collection;
+
+    res.status(200).json({
+      success: true,
+      data: formatCollection(updated)
+    });
+
+  } catch (error) {
+    console.error('[Error] Update collection error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update collection',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Delete a collection; what it contains moves up to its parent
+ * @route DELETE /api/collections/:collectionId
+ */
+async function deleteCollectionEndpoint(req, res) {
+  try {
+    const collection = await loadCollection(req, res);
+    if (!collection) return;
+
+    await deleteCollection(collection);
+
+    res.status(200).json({
+      success: true,
+      message: 'Collection deleted; its contents moved to the parent collection',
+      parentId: collection.parent_id || null
+    });
+
+  } catch (error) {
+    console.error('[Error] Delete collection error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete collection',
+      message: error.message
+    });
+  }
+}
+
+module.exports = {
+  parseOrganisationFilters,
+  listCollectionsEndpoint,
+  createCollectionEndpoint,
+  updateCollectionEndpoint,
+  deleteCollectionEndpoint
+};
@@ -0,0 +1,310 @@
+/**
+ * EXPORT CONTROLLER
+ * Download a document's roadmap and the user's study material as Markdown,
+ * an Anki import file or a JSON bundle, and import such a bundle again
+ */
+
+const {
+  getExistingSegments,
+  getSegmentIds,
+  deleteSegmentation,
+  formatSegmentation,
+  saveSegmentsToDB
+} = require('./segmentation.controller');
+const { DEFAULT_COLOR, parseAnnotationFields } = require('./annotation.controller');
+const { parseCardFields } = require('./flashcard.controller');
+const { formatDocument } = require('../services/document.service');
+const { getPageTexts } = require('../services/pageText.service');
+const {
+  anchorToPage,
+  createAnnotation,
+  listAnnotations,
+  formatAnnotation
+} = require('../services/annotation.service');
+const { createFlashcards, listFlashcards, formatFlashcard } = require('../services/flashcard.service');
+const {
+  BUNDLE_FORMAT,
+  BUNDLE_VERSION,
+  buildMarkdown,
+  buildAnkiFile,
+  buildBundle
+} = require('../services/export.service');
+const {
+  MAX_EDITED_SEGMENTS,
+  normalizeSegmentation,
+  validateSegmentation,
+  validatePageRanges
+} = require('../validators/segmentation.validator');
+
+// format query value -> how to build and name the file
+const EXPORT_FORMATS = {
+  markdown: { suffix: '-roadmap.md', contentType: 'text/markdown; charset=utf-8' },
+  'anki-csv': { suffix: '-anki.csv', contentType: 'text/csv; charset=utf-8' },
+  'anki-tsv': { suffix: '-anki.tsv', contentType: 'text/tab-separated-values; charset=utf-8' },
+  json: { suffix: '-export.json', contentType: 'application/json; charset=utf-8' }
+};
+const FORMAT_ALIASES = { md: 'markdown', csv: 'anki-csv', tsv: 'anki-tsv' };
+
+const MAX_IMPORTED_ANNOTATIONS = 5000;
+const MAX_IMPORTED_FLASHCARDS = 5000;
+const CARD_SOURCES = ['glossary', 'key_point', 'manual'];
+
+/**
+ * Filename for a download, based on the uploaded file's name
+ */
+function exportFilename(document, suffix) {
+  const base = document.original_filename
+    .replace(/\.pdf$/i, '')
+    .replace(/[^\w.-]+/g, '_')
+    .replace(/^_+|_+$/g, '') || 'document';
+  return `${base}${suffix}`;
+}
+
+/**
+ * Export a segmented document
+ * @route GET /api/pdf/:pdfId/export?format=markdown|anki-csv|anki-tsv|json
+ */
+async function exportDocumentEndpoint(req, res) {
+  try {
+    const requested = typeof req.query.format === 'string' ? req.query.format.trim().toLowerCase() : 'markdown';
+    const format = FORMAT_ALIASES[requested] || requested;
+
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid format',
+        message: `format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}`
+      });
+    }
+
+    const document = req.document;
+    const existing = await getExistingSegments(document.id, req.user.id);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Segmentation not found',
+        message: 'This PDF has not been segmented yet'
+      });
+    }
+
+    const segmentation = formatSegmentation(existing);
+    let body;
+
+    if (format === 'anki-csv' || format === 'anki-tsv') {
+      body = buildAnkiFile(formatDocument(document), segmentation, format === 'anki-tsv' ? 'tsv' : 'csv');
+    } else {
+      const annotations = (await listAnnotations(document.id, req.user.id)).map(formatAnnotation);
+
+      if (format === 'markdown') {
+        body = buildMarkdown(formatDocument(document), segmentation, annotations);
+      } else {
+        const flashcards = (await listFlashcards(document.id, req.user.id)).map(formatFlashcard);
+        body = JSON.stringify(buildBundle(formatDocument(document), segmentation, annotations, flashcards), null, 2);
+      }
+    }
+
+    const { suffix, contentType } = EXPORT_FORMATS[format];
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${exportFilename(document, suffix)}"`);
+    res.status(200).send(body);
+
+  } catch (error) {
+    console.error('[Error] Export error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export document',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Validate an uploaded bundle against the document it is imported into
+ * @param {Object} bundle - req.body
+ * @param {Object} document - Document row
+ * @returns {Object} - { roadmap, annotations, flashcards } or { errors }
+ */
+function parseBundle(bundle, document) {
+  if (!bundle || typeof bundle !== 'object' || bundle.format !== BUNDLE_FORMAT) {
+    return { errors: [`Body must be a "${BUNDLE_FORMAT}" bundle as produced by GET /export?format=json`] };
+  }
+  if (!Number.isInteger(bundle.version) || bundle.version < 1 || bundle.version > BUNDLE_VERSION) {
+    return { errors: [`Unsupported bundle version ${JSON.stringify(bundle.version)} (this server reads up to ${BUNDLE_VERSION})`] };
+  }
+
+  const errors = [];
+  let roadmap = null;
+
+  if (bundle.segmentation) {
+    roadmap = normalizeSegmentation(bundle.segmentation);
+    errors.push(...[
+      ...validateSegmentation(roadmap, { minSegments: 1, maxSegments: MAX_EDITED_SEGMENTS }),
+      ...validatePageRanges(roadmap.segments, document.page_count)
+    ].map((message) => `segmentation: ${message}`));
+  }
+
+  const annotations = bundle.annotations ?? [];
+  const flashcards = bundle.flashcards ?? [];
+
+  if (!Array.isArray(annotations) || annotations.length > MAX_IMPORTED_ANNOTATIONS) {
+    errors.push(`annotations must be an array of at most ${MAX_IMPORTED_ANNOTATIONS} items`);
+  }
+  if (!Array.isArray(flashcards) || flashcards.length > MAX_IMPORTED_FLASHCARDS) {
+    errors.push(`flashcards must be an array of at most ${MAX_IMPORTED_FLASHCARDS} items`);
+  }
+
+  return errors.length > 0 ? { errors } : { roadmap, annotations, flashcards };
+}
+
+/**
+ * Import a JSON bundle into a document: its roadmap (when the document has
+ * none, or with replace=true), plus annotations and flashcards that aren't
+ * already there. Annotations are anchored against the document's own text.
+ * @route POST /api/pdf/:pdfId/import?replace=true
+ * Body: bundle from GET /api/pdf/:pdfId/export?format=json
+ */
+async function importDocumentEndpoint(req, res) {
+  try {
+    const document = req.document;
+    const userId = req.user.id;
+    const parsed = parseBundle(req.body, document);
+
+    if (parsed.errors) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid bundle',
+        errors: parsed.errors
+      });
+    }
+
+    const existing = await getExistingSegments(document.id, userId);
+    const saveRoadmap = Boolean(parsed.roadmap) && (!existing || req.query.replace === 'true');
+
+    // Links to segments that don't exist in this document are dropped
+    const segmentIds = saveRoadmap
+      ? parsed.roadmap.segments.map((segment) => String(segment.id))
+      : await getSegmentIds(document.id, userId);
+    const knownSegment = (item) => ({
+      ...item,
+      segmentId: item?.segmentId !== undefined && item?.segmentId !== null && segmentIds.includes(String(item.segmentId))
+        ? item.segmentId
+        : null
+    });
+
+    const errors = [];
+    const annotationFields = [];
+    parsed.annotations.forEach((item, index) => {
+      const { fields, errors: itemErrors } = parseAnnotationFields(knownSegment(item), { document, segmentIds, creating: true });
+      if (itemErrors) {
+        errors.push(...itemErrors.map((message) => `annotations[${index}]: ${message}`));
+      } else {
+        annotationFields.push(fields);
+      }
+    });
+
+    const cards = [];
+    parsed.flashcards.forEach((item, index) => {
+      const { changes, errors: itemErrors } = parseCardFields(knownSegment(item), segmentIds);
+      if (itemErrors) {
+        errors.push(...itemErrors.map((message) => `flashcards[${index}]: ${message}`));
+      } else {
+        cards.push({
+          segmentId: changes.segment_id ?? null,
+          front: changes.front,
+          back: changes.back,
+          source: CARD_SOURCES.includes(item.source) ? item.source : 'manual'
+        });
+      }
+    });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid bundle',
+        errors
+      });
+    }
+
+    let segmentation = parsed.roadmap ? 'kept' : 'absent';
+    if (saveRoadmap) {
+      if (existing) await deleteSegmentation(document.id, userId);
+      await saveSegmentsToDB(document.id, userId, {
+        ...parsed.roadmap,
+        method: 'import',
+        llm: null
+      });
+      segmentation = existing ? 'replaced' : 'imported';
+    }
+
+    const annotationKey = (page, quote, note) => JSON.stringify([page, quote || null, note || null]);
+    const seenAnnotations = new Set((await listAnnotations(document.id, userId))
+      .map((row) => annotationKey(row.page_number, row.quote, row.note)));
+    const pageTexts = new Map((await getPageTexts(document.id)).map(({ page, text }) => [page, text]));
+
+    let annotationsCreated = 0;
+    for (const fields of annotationFields) {
+      const key = annotationKey(fields.page_number, fields.quote, fields.note);
+      if (seenAnnotations.has(key)) continue;
+      seenAnnotations.add(key);
+
+      await createAnnotation({
+        pdf_id: document.id,
+        user_id: userId,
+        segment_id: null,
+        quote: null,
+        rects: [],
+        color: DEFAULT_COLOR,
+        tags: [],
+        note: null,
+        ...fields,
+        ...anchorToPage({
+          page: fields.page_number,
+          quote: fields.quote,
+          prefix: fields.prefix,
+          suffix: fields.suffix
+        }, pageTexts.get(fields.page_number) ?? null)
+      });
+      annotationsCreated++;
+    }
+
+    const cardKey = (card) => JSON.stringify([card.front.toLowerCase(), card.back.toLowerCase()]);
+    const seenCards = new Set((await listFlashcards(document.id, userId)).map(cardKey));
+    const newCards = cards.filter((card) => {
+      if (seenCards.has(cardKey(card))) return false;
+      seenCards.add(cardKey(card));
+      return true;
+    });
+    const { created: cardsCreated, skipped: cardsSkipped } = await createFlashcards(document.id, userId, newCards);
+
+    console.log(`[Import] ${document.id}: segmentation ${segmentation}, ${annotationsCreated} annotations, ${cardsCreated.length} flashcards`);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        segmentation,
+        annotations: {
+          created: annotationsCreated,
+          skipped: annotationFields.length - annotationsCreated
+        },
+        flashcards: {
+          created: cardsCreated.length,
+          skipped: cards.length - newCards.length + cardsSkipped
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('[Error] Import error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import bundle',
+      message: error.message
+    });
+  }
+}
+
+module.exports = {
+  exportDocumentEndpoint,
+  importDocumentEndpoint
+};
@@ -0,0 +1,413 @@
+/**
+ * FLASHCARD CONTROLLER
+ * Per-document flashcards (generated from the segmentation or written by
+ * hand) and the cross-document spaced-repetition review queue
+ */
+
+const { getExistingSegments, getSegmentIds } = require('./segmentation.controller');
+const { getDocumentsByIds } = require('../services/document.service');
+const {
+  MAX_CARD_TEXT_LENGTH,
+  MAX_GRADE,
+  buildCardsFromSegments,
+  scheduleReview,
+  createFlashcards,
+  listFlashcards,
+  getFlashcard,
+  updateFlashcard,
+  deleteFlashcard,
+  getDueFlashcards,
+  formatFlashcard
+} = require('../services/flashcard.service');
+
+const DEFAULT_DUE_LIMIT = 50;
+const MAX_DUE_LIMIT = 200;
+// Largest UTC offset in minutes (UTC+14 / UTC-12 fit comfortably)
+const MAX_TZ_OFFSET = 14 * 60;
+
+/**
+ * Validate the editable fields of a card
+ * @param {Object} body - req.body
+ * @param {Array} segmentIds - Segment ids of the document's segmentation
+ * @param {Object} [options] - { partial } allows fields to be left out
+ * @returns {Object} - { changes } or { errors }
+ */
+function parseCardFields(body, segmentIds, { partial = false } = {}) {
+  const errors = [];
+  const changes = {};
+
+  for (const field of ['front', 'back']) {
+    if (body[field] === undefined && partial) continue;
+
+    const value = typeof body[field] === 'string' ? body[field].trim() : '';
+    if (!value || value.length > MAX_CARD_TEXT_LENGTH) {
+      errors.push(`${field} is required and must be at most ${MAX_CARD_TEXT_LENGTH} characters`);
+    } else {
+      changes[field] = value;
+    }
+  }
+
+  if (body.segmentId !== undefined) {
+    if (body.segmentId === null) {
+      changes.segment_id = null;
+    } else if (!segmentIds.includes(String(body.segmentId))) {
+      errors.push('segmentId must be a segment of this document (or null)');
+    } else {
+      changes.segment_id = String(body.segmentId);
+    }
+  }
+
+  return errors.length > 0 ? { errors } : { changes };
+}
+
+/**
+ * Load a card of the current document
+ * Sends the 404 response itself and returns null when it doesn't exist.
+ */
+async function loadDocumentCard(req, res) {
+  const card = await getFlashcard(req.params.cardId, req.user.id);
+
+  if (!card || card.pdf_id !== req.document.id) {
+    res.status(404).json({
+      success: false,
+      error: 'Flashcard not found'
+    });
+    return null;
+  }
+
+  return card;
+}
+
+/**
+ * List a document's flashcards
+ * @route GET /api/pdf/:pdfId/flashcards?segmentId=
+ */
+async function listFlashcardsEndpoint(req, res) {
+  try {
+    const cards = await listFlashcards(req.document.id, req.user.id, {
+      segmentId: req.query.segmentId
+    });
+
+    res.status(200).json({
+      success: true,
+      data: cards.map(formatFlashcard),
+      count: cards.length
+    });
+
+  } catch (error) {
+    console.error('[Error] List flashcards error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve flashcards',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Add a hand-written flashcard to a document
+ * @route POST /api/pdf/:pdfId/flashcards
+ * Body: { front, back, segmentId? }
+ */
+async function createFlashcardEndpoint(req, res) {
+  try {
+    const segmentIds = await getSegmentIds(req.document.id, req.user.id);
+    const { changes, errors } = parseCardFields(req.body || {}, segmentIds);
+
+    if (errors) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid flashcard',
+        errors
+      });
+    }
+
+    const { created } = await createFlashcards(req.document.id, req.user.id, [{
+      segmentId: changes.segment_id ?? null,
+      front: changes.front,
+      back: changes.back,
+      source: 'manual'
+    }]);
+
+    res.status(201).json({
+      success: true,
+      data: formatFlashcard(created[0])
+    });
+
+  } catch (error) {
+    console.error('[Error] Create flashcard error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create flashcard',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Create flashcards from the document's segmentation (glossary terms and
+ * key points). Cards generated before are not duplicated, so this can be
+ * run again after re-segmenting.
+ * @route POST /api/pdf/:pdfId/flashcards/generate
+ * Body: { segmentId? } - limit to one segment
+ */
+async function generateFlashcardsEndpoint(req, res) {
+  try {
+    const segmentation = await getExistingSegments(req.document.id, req.user.id);
+
+    if (!segmentation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Segmentation not found',
+        message: 'This PDF has not been segmented yet'
+      });
+    }
+
+    let segments = JSON.parse(segmentation.segments_json);
+    const segmentId = req.body?.segmentId;
+
+    if (segmentId !== undefined && segmentId !== null) {
+      segments = segments.filter((segment) => String(segment.id) === String(segmentId));
+      if (segments.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Segment not found'
+        });
+      }
+    }
+
+    const { created, skipped } = await createFlashcards(
+      req.document.id,
+      req.user.id,
+      buildCardsFromSegments(segments)
+    );
+
+    console.log(`[Flashcards] ${req.document.id}: ${created.length} created, ${skipped} already present`);
+
+    res.status(201).json({
+      success: true,
+      data: created.map(formatFlashcard),
+      created: created.length,
+      skipped
+    });
+
+  } catch (error) {
+    console.error('[Error] Generate flashcards error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate flashcards',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Edit a flashcard's text or segment; its review schedule is kept
+ * @route PATCH /api/pdf/:pdfId/flashcards/:cardId
+ * Body: { front?, back?, segmentId? }
+ */
+async function updateFlashcardEndpoint(req, res) {
+  try {
+    const card = await loadDocumentCard(req, res);
+    if (!card) return;
+
+    const segmentIds = await getSegmentIds(req.document.id, req.user.id);
+    const { changes, errors } = parseCardFields(req.body || {}, segmentIds, { partial: true });
+
+    if (errors) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid flashcard',
+        errors
+      });
+    }
+
+    const updated = Object.keys(changes).length > 0 ? await updateFlashcard(card.id, changes) : card;
+
+    res.status(200).json({
+      success: true,
+      data: formatFlashcard(updated)
+    });
+
+  } catch (error) {
+    console.error('[Error] Update flashcard error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update flashcard',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Delete a flashcard
+ * @route DELETE /api/pdf/:pdfId/flashcards/:cardId
+ */
+async function deleteFlashcardEndpoint(req, res) {
+  try {
+    const card = await loadDocumentCard(req, res);
+    if (!card) return;
+
+    await deleteFlashcard(card.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Flashcard deleted'
+    });
+
+  } catch (error) {
+    console.error('[Error] Delete flashcard error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete flashcard',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Validate due-queue query parameters
+ * @param {Object} query - req.query
+ * @returns {Object} - { options } or { errors }
+ */
+function parseDueOptions(query) {
+  const errors = [];
+  const options = {
+    pdfId: query.pdfId ? String(query.pdfId) : undefined,
+    limit: DEFAULT_DUE_LIMIT,
+    tzOffset: 0
+  };
+
+  if (query.limit !== undefined) {
+    const limit = parseInt(query.limit, 10);
+    if (isNaN(limit) || limit < 1 || limit > MAX_DUE_LIMIT) {
+      errors.push(`limit must be between 1 and ${MAX_DUE_LIMIT}`);
+    } else {
+      options.limit = limit;
+    }
+  }
+
+  // Same sign convention as Date#getTimezoneOffset (UTC+2 is -120)
+  if (query.tzOffset !== undefined) {
+    const tzOffset = parseInt(query.tzOffset, 10);
+    if (isNaN(tzOffset) || Math.abs(tzOffset) > MAX_TZ_OFFSET) {
+      errors.push(`tzOffset must be between -${MAX_TZ_OFFSET} and ${MAX_TZ_OFFSET} minutes`);
+    } else {
+      options.tzOffset = tzOffset;
+    }
+  }
+
+  return errors.length > 0 ? { errors } : { options };
+}
+
+/**
+ * End of the current day in the user's time zone
+ * @param {number} tzOffset - Minutes behind UTC, as Date#getTimezoneOffset
+ * @returns {Date}
+ */
+function endOfLocalDay(tzOffset, now = new Date()) {
+  const local = new Date(now.getTime() - tzOffset * 60 * 1000);
+  local.setUTCHours(23, 59, 59, 999);
+  return new Date(local.getTime() + tzOffset * 60 * 1000);
+}
+
+/**
+ * Cards due today across all of the current user's documents
+ * @route GET /api/study/due?limit=&pdfId=&tzOffset=
+ */
+async function getDueFlashcardsEndpoint(req, res) {
+  try {
+    const { options, errors } = parseDueOptions(req.query);
+
+    if (errors) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid study parameters',
+        errors
+      });
+    }
+
+    const { cards, total } = await getDueFlashcards(req.user.id, {
+      dueBy: endOfLocalDay(options.tzOffset),
+      pdfId: options.pdfId,
+      limit: options.limit
+    });
+
+    const documents = await getDocumentsByIds([...new Set(cards.map((card) => card.pdf_id))]);
+    const documentsById = new Map(documents.map((doc) => [doc.id, doc]));
+
+    res.status(200).json({
+      success: true,
+      data: cards.map((card) => ({
+        ...formatFlashcard(card),
+        document: documentsById.has(card.pdf_id)
+          ? { filename: documentsById.get(card.pdf_id).original_filename, title: documentsById.get(card.pdf_id).pdf_title }
+          : null
+      })),
+      count: cards.length,
+      totalDue: total
+    });
+
+  } catch (error) {
+    console.error('[Error] Due flashcards error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve due flashcards',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Record a review of a card and schedule its next one (SM-2)
+ * @route POST /api/study/cards/:cardId/review
+ * Body: { grade } - 0 (forgot completely) to 5 (perfect recall)
+ */
+async function reviewFlashcardEndpoint(req, res) {
+  try {
+    const grade = req.body?.grade;
+
+    if (!Number.isInteger(grade) || grade < 0 || grade > MAX_GRADE) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid review',
+        message: `grade must be an integer from 0 to ${MAX_GRADE}`
+      });
+    }
+
+    const card = await getFlashcard(req.params.cardId, req.user.id);
+
+    if (!card) {
+      return res.status(404).json({
+        success: false,
+        error: 'Flashcard not found'
+      });
+    }
+
+    const updated = await updateFlashcard(card.id, scheduleReview(card, grade));
+
+    res.status(200).json({
+      success: true,
+      data: formatFlashcard(updated)
+    });
+
+  } catch (error) {
+    console.error('[Error] Review flashcard error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to record review',
+      message: error.message
+    });
+  }
+}
+
+module.exports = {
+  parseCardFields,
+  listFlashcardsEndpoint,
+  createFlashcardEndpoint,
+  generateFlashcardsEndpoint,
+  updateFlashcardEndpoint,
+  deleteFlashcardEndpoint,
+  getDueFlashcardsEndpoint,
+  reviewFlashcardEndpoint
+};
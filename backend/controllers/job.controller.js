@@ -0,0 +1,118 @@
+/**
+ * JOB CONTROLLER
+ * Status polling and retry for background jobs (e.g. segmentation)
+ */
+
+const { getJob, retryJob } = require('../services/jobQueue.service');
+
+/**
+ * Map a job to the API response shape
+ * @param {Object} job - Job object from the queue
+ * @returns {Object} - API representation
+ */
+function formatJob(job) {
+  return {
+    jobId: job.id,
+    type: job.type,
+    state: job.state,
+    progress: job.progress,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    pdfId: job.payload?.pdfId,
+    result: job.state === 'done' ? job.result : undefined,
+    error: job.error || undefined,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    finishedAt: job.finishedAt || undefined
+  };
+}
+
+/**
+ * Load a job and check it belongs to the current user
+ * Sends the 404/403 response itself and returns null when access is denied.
+ */
+async function loadOwnedJob(req, res) {
+  const job = await getJob(req.params.jobId);
+
+  if (!job) {
+    res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+    return null;
+  }
+
+  if (job.userId !== req.user.id) {
+    res.status(403).json({
+      success: false,
+      error: 'You do not have access to this job.'
+    });
+    return null;
+  }
+
+  return job;
+}
+
+/**
+ * Get the state of a background job
+ * @route GET /api/pdf/jobs/:jobId
+ */
+async function getJobStatusEndpoint(req, res) {
+  try {
+    const job = await loadOwnedJob(req, res);
+    if (!job) return;
+
+    res.status(200).json({
+      success: true,
+      data: formatJob(job)
+    });
+
+  } catch (error) {
+    console.error('[Error] Get job error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve job',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Re-queue a failed background job
+ * @route POST /api/pdf/jobs/:jobId/retry
+ */
+async function retryJobEndpoint(req, res) {
+  try {
+    const job = await loadOwnedJob(req, res);
+    if (!job) return;
+
+    if (job.state !== 'failed') {
+      return res.status(409).json({
+        success: false,
+        error: 'Only failed jobs can be retried',
+        state: job.state
+      });
+    }
+
+    const retried = await retryJob(job.id);
+
+    res.status(202).json({
+      success: true,
+      message: 'Job re-queued',
+      data: formatJob(retried)
+    });
+
+  } catch (error) {
+    console.error('[Error] Retry job error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retry job',
+      message: error.message
+    });
+  }
+}
+
+module.exports = {
+  getJobStatusEndpoint,
+  retryJobEndpoint
+};
@@ -1,6 +1,35 @@
 const { supabase } = require('../config/supabase');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const {
+  PDF_BUCKET,
+  buildStoragePath,
+  createDocument,
+  findDocumentByHash,
+  countDocumentsWithStoragePath,
+  SORTABLE_COLUMNS,
+  decodeCursor,
+  listDocumentsForUser,
+  listDocumentTags,
+  updateDocument,
+  deleteDocument,
+  createSignedPDFUrl,
+  formatDocument
+} = require('../services/document.service');
+const { extractPDFMetadata } = require('../services/pdf.service');
+const { ensurePageTexts, refreshPageTexts, enqueuePageIndexing } = require('../services/pageText.service');
+const { cancelJobs } = require('../services/jobQueue.service');
+const { getCollection } = require('../services/collection.service');
+const { parseOrganisationFilters } = require('./collection.controller');
+const { MAX_TAGS, MAX_TAG_LENGTH, parseTags } = require('../validators/tag.validator');
+
+// 'user' only deduplicates a user's own uploads; 'global' also reuses another
+// user's upload of byte-identical content (metadata, and a storage-side copy)
+const DEDUPE_SCOPE = process.env.UPLOAD_DEDUPE_SCOPE === 'global' ? 'global' : 'user';
+
+// The bucket is private; owners get short-lived signed URLs to their PDFs
+const FILE_URL_TTL_SECONDS = 10 * 60;
 
 /**
  * Validate PDF file
@@ -69,6 +98,9 @@ const validatePDF = (buffer, filename) => {
  * INTEGRATED FEATURE: PDF File Validation
  * The system checks PDF validity and notifies users if a file is unsupported.
  * Validation happens automatically during the upload process.
+ *
+ * Uploads are deduplicated by SHA-256: re-uploading identical bytes returns
+ * the existing document with duplicate: true instead of storing a copy.
  */
 const uploadPDF = async (req, res) => {
   try {
@@ -103,52 +135,125 @@ const uploadPDF = async (req, res) => {
     }
 
     // Validation passed - file is a valid/supported PDF
-    const uploadWarnings = validation.warnings;
+    const uploadWarnings = [...validation.warnings];
+
+    // Same bytes already uploaded by this user: hand back the existing document
+    const contentHash = crypto.createHash('sha256').update(req.file.buffer).digest('hex');
+    const ownDuplicate = await findDocumentByHash(contentHash, req.user.id);
+
+    if (ownDuplicate) {
+      return res.status(200).json({
+        success: true,
+        message: 'PDF already uploaded',
+        duplicate: true,
+        data: formatDocument(ownDuplicate)
+      });
+    }
+
+    // With global dedupe, another user's copy of the same bytes saves the
+    // metadata parse and the upload; the file is still copied into this
+    // user's own prefix so neither owner's delete can touch the other's blob
+    const sharedDocument = DEDUPE_SCOPE === 'global'
+      ? await findDocumentByHash(contentHash)
+      : null;
+
+    // Read page count and info dictionary; a PDF we can't parse is still stored
+    let metadata = { pageCount: null, title: null, author: null, creationDate: null };
+    if (sharedDocument) {
+      metadata = {
+        pageCount: sharedDocument.page_count,
+        title: sharedDocument.pdf_title,
+        author: sharedDocument.pdf_author,
+        creationDate: sharedDocument.pdf_created_at
+      };
+    } else {
+      try {
+        metadata = await extractPDFMetadata(req.file.buffer);
+      } catch (metadataError) {
+        console.warn('PDF metadata extraction failed:', metadataError.message);
+        uploadWarnings.push('Could not read PDF metadata (page count, title, author).');
+      }
+    }
 
     // Generate unique filename
     const timestamp = Date.now();
     const randomString = Math.random().toString(36).substring(2, 15);
     const filename = `${timestamp}_${randomString}_${req.file.originalname.replace(/\s+/g, '_')}`;
+    const storagePath = buildStoragePath(req.user.id, filename);
 
-    // Upload to Supabase Storage
-    const { data: uploadData, error: uploadError } = await supabase
-      .storage
-      .from('academic-pdfs')
-      .upload(`pdfs/${filename}`, req.file.buffer, {
-        contentType: 'application/pdf',
-        upsert: false
-      });
+    let copied = false;
+    if (sharedDocument) {
+      const { error: copyError } = await supabase
+        .storage
+        .from(PDF_BUCKET)
+        .copy(sharedDocument.storage_path, storagePath);
+
+      if (copyError) {
+        console.warn('Supabase copy error, uploading instead:', copyError.message);
+      } else {
+        copied = true;
+      }
+    }
+
+    if (!copied) {
+      // Upload to Supabase Storage under the owner's prefix
+      const { data: uploadData, error: uploadError } = await supabase
+        .storage
+        .from(PDF_BUCKET)
+        .upload(storagePath, req.file.buffer, {
+          contentType: 'application/pdf',
+          upsert: false
+        });
 
-    if (uploadError) {
-      console.error('Supabase upload error:', uploadError);
+      if (uploadError) {
+        console.error('Supabase upload error:', uploadError);
+        return res.status(500).json({
+          success: false,
+          error: 'Failed to upload PDF',
+          message: uploadError.message || 'Error occurred while uploading file to storage.'
+        });
+      }
+    }
+
+    // Record ownership; roll back the blob if the row cannot be written
+    let document;
+    try {
+      document = await createDocument({
+        user_id: req.user.id,
+        filename: filename,
+        original_filename: req.file.originalname,
+        file_size: validation.fileSize,
+        page_count: metadata.pageCount,
+        pdf_title: metadata.title,
+        pdf_author: metadata.author,
+        pdf_created_at: metadata.creationDate,
+        warnings: uploadWarnings,
+        content_hash: contentHash,
+        storage_path: storagePath
+      });
+    } catch (dbError) {
+      console.error('Document record error:', dbError);
+      await supabase.storage.from(PDF_BUCKET).remove([storagePath]);
       return res.status(500).json({
         success: false,
         error: 'Failed to upload PDF',
-        message: uploadError.message || 'Error occurred while uploading file to storage.'
+        message: dbError.message || 'Error occurred while saving document record.'
       });
     }
 
-    // Get public URL (for display purposes)
-    const { data: publicUrlData } = supabase
-      .storage
-      .from('academic-pdfs')
-      .getPublicUrl(`pdfs/${filename}`);
-
-    const publicUrl = publicUrlData?.publicUrl;
+    // Extract page text in the background so the document becomes searchable
+    const { job: indexJob } = enqueuePageIndexing(document);
 
     // Return success response
     res.status(200).json({
       success: true,
       message: 'PDF uploaded successfully',
+      duplicate: false,
       warnings: uploadWarnings.length > 0 ? uploadWarnings : undefined,
       data: {
-        filename: filename,
-        originalFilename: req.file.originalname,
-        fileSize: validation.fileSize,
+        ...formatDocument(document),
         fileSizeMB: validation.fileSizeMB,
-        uploadedAt: new Date().toISOString(),
-        publicUrl: publicUrl,
-        storagePath: `pdfs/${filename}`
+        indexJobId: indexJob.id
       }
     });
 
@@ -162,90 +267,334 @@ const uploadPDF = async (req, res) => {
   }
 };
 
+const DEFAULT_LIST_LIMIT = 20;
+const MAX_LIST_LIMIT = 100;
+
+/**
+ * Parse and validate GET /api/pdf/list query parameters
+ * @param {Object} query - req.query
+ * @returns {Object} - { options } or { errors }
+ */
+const parseListOptions = (query) => {
+  const errors = [];
+  const options = {
+    sortBy: query.sortBy || 'uploadedAt',
+    order: (query.order || 'desc').toLowerCase(),
+    limit: DEFAULT_LIST_LIMIT,
+    q: query.q ? String(query.q).trim() : undefined,
+    author: query.author ? String(query.author).trim() : undefined
+  };
+
+  if (!SORTABLE_COLUMNS[options.sortBy]) {
+    errors.push(`sortBy must be one of: ${Object.keys(SORTABLE_COLUMNS).join(', ')}`);
+  }
+
+  if (!['asc', 'desc'].includes(options.order)) {
+    errors.push('order must be asc or desc');
+  }
+
+  if (query.limit !== undefined) {
+    const limit = parseInt(query.limit, 10);
+    if (isNaN(limit) || limit < 1 || limit > MAX_LIST_LIMIT) {
+      errors.push(`limit must be between 1 and ${MAX_LIST_LIMIT}`);
+    } else {
+      options.limit = limit;
+    }
+  }
+
+  for (const key of ['minPages', 'maxPages']) {
+    if (query[key] !== undefined) {
+      const value = parseInt(query[key], 10);
+      if (isNaN(value) || value < 0) {
+        errors.push(`${key} must be a non-negative integer`);
+      } else {
+        options[key] = value;
+      }
+    }
+  }
+
+  for (const key of ['uploadedAfter', 'uploadedBefore']) {
+    if (query[key] !== undefined) {
+      const date = new Date(query[key]);
+      if (isNaN(date.getTime())) {
+        errors.push(`${key} must be a valid date`);
+      } else {
+        options[key] = date.toISOString();
+      }
+    }
+  }
+
+  if (query.cursor) {
+    options.cursor = decodeCursor(query.cursor);
+    if (!options.cursor) {
+      errors.push('cursor is invalid');
+    }
+  }
+
+  return errors.length > 0 ? { errors } : { options };
+};
+
 /**
- * Get uploaded PDFs list
+ * Get the current user's uploaded PDFs
  * @route GET /api/pdf/list
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
- * 
- * Note: Supabase storage returns file.name with path prefix (e.g., "pdfs/filename.pdf")
+ *
+ * Query: sortBy (uploadedAt|filename|fileSize), order (asc|desc), limit (1-100),
+ * cursor, q, author, minPages, maxPages, uploadedAfter, uploadedBefore,
+ * collectionId (or none for unfiled), recursive (include subcollections), tag (comma-separated, all must match)
+ *
+ * Pagination is cursor based: pass the returned nextCursor back with the
+ * same sort and filter parameters to get the following page.
  */
 const listPDFs = async (req, res) => {
   try {
-    const { data, error } = await supabase
-      .storage
-      .from('academic-pdfs')
-      .list('pdfs', {
-        limit: 100,
-        offset: 0,
-        sortBy: { column: 'name', order: 'desc' }
-      });
+    const { options, errors } = parseListOptions(req.query);
+    const { filters, errors: filterErrors } = await parseOrganisationFilters(req.query, req.user.id);
 
-    if (error) {
-      console.error('Supabase list error:', error);
-      return res.status(500).json({
+    if (errors || filterErrors) {
+      return res.status(400).json({
         success: false,
-        error: 'Failed to retrieve PDF list',
-        message: error.message
+        error: 'Invalid list parameters',
+        errors: [...(errors || []), ...(filterErrors || [])]
       });
     }
 
+    const { documents, nextCursor } = await listDocumentsForUser(req.user.id, { ...options, ...filters });
+
     res.status(200).json({
       success: true,
-      data: data || [],
-      count: data?.length || 0
+      data: documents.map(formatDocument),
+      count: documents.length,
+      nextCursor
     });
 
   } catch (error) {
     console.error('PDF list error:', error);
     res.status(500).json({
       success: false,
-      error: 'Internal server error',
+      error: 'Failed to retrieve PDF list',
       message: error.message
     });
   }
 };
 
 /**
- * Delete a PDF from storage
- * @route DELETE /api/pdf/:filename
- * @param {Object} req - Express request object
+ * Get a single document record
+ * @route GET /api/pdf/:pdfId
+ * @param {Object} req - Express request object (req.document set by requireDocumentOwner)
  * @param {Object} res - Express response object
  */
-const deletePDF = async (req, res) => {
+const getPDF = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: formatDocument(req.document)
+  });
+};
+
+/**
+ * Move a document to another collection and/or replace its tags
+ * @route PATCH /api/pdf/:pdfId
+ * Body: { collectionId? (null = unfiled), tags? }
+ */
+const updatePDF = async (req, res) => {
   try {
-    const { filename } = req.params;
+    const body = req.body || {};
+    const errors = [];
+    const changes = {};
+
+    if (body.collectionId !== undefined) {
+      if (body.collectionId === null) {
+        changes.collection_id = null;
+      } else if (!(await getCollection(String(body.collectionId), req.user.id))) {
+        errors.push('collectionId must be one of your collections (or null)');
+      } else {
+        changes.collection_id = String(body.collectionId);
+      }
+    }
 
-    if (!filename) {
+    if (body.tags !== undefined) {
+      const tags = parseTags(body.tags);
+      if (!tags) {
+        errors.push(`tags must be an array of at most ${MAX_TAGS} non-empty strings of up to ${MAX_TAG_LENGTH} characters`);
+      } else {
+        changes.tags = tags;
+      }
+    }
+
+    if (errors.length === 0 && Object.keys(changes).length === 0) {
+      errors.push('Provide collectionId and/or tags');
+    }
+
+    if (errors.length > 0) {
       return res.status(400).json({
         success: false,
-        error: 'Filename is required'
+        error: 'Invalid document update',
+        errors
       });
     }
 
-    // Handle both cases: filename with or without 'pdfs/' prefix
-    // If the filename already includes 'pdfs/', use it as-is
-    // Otherwise, prepend 'pdfs/' to the filename
-    const storagePath = filename.startsWith('pdfs/') ? filename : `pdfs/${filename}`;
+    const updated = await updateDocument(req.document.id, changes);
 
-    const { error } = await supabase
-      .storage
-      .from('academic-pdfs')
-      .remove([storagePath]);
+    res.status(200).json({
+      success: true,
+      data: formatDocument(updated)
+    });
 
-    if (error) {
-      console.error('Supabase delete error:', error);
-      return res.status(500).json({
+  } catch (error) {
+    console.error('PDF update error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update document',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * List the tags used on the current user's documents, with counts
+ * @route GET /api/pdf/tags
+ */
+const listPDFTags = async (req, res) => {
+  try {
+    const tags = await listDocumentTags(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: tags,
+      count: tags.length
+    });
+
+  } catch (error) {
+    console.error('PDF tags error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve tags',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get a short-lived URL to download or display the PDF itself
+ * @route GET /api/pdf/:pdfId/file
+ * @param {Object} req - Express request object (req.document set by requireDocumentOwner)
+ * @param {Object} res - Express response object
+ */
+const getPDFFile = async (req, res) => {
+  try {
+    const { url, expiresAt } = await createSignedPDFUrl(req.document, FILE_URL_TTL_SECONDS);
+
+    res.status(200).json({
+      success: true,
+      data: { url, expiresAt }
+    });
+
+  } catch (error) {
+    console.error('Get PDF file error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create PDF link',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get the cleaned text of a document, page by page
+ * Query: startPage, endPage (inclusive), refresh=true to re-extract
+ */
+const getPDFPages = async (req, res) => {
+  try {
+    const errors = [];
+    const range = {};
+
+    for (const key of ['startPage', 'endPage']) {
+      if (req.query[key] !== undefined) {
+        const value = parseInt(req.query[key], 10);
+        if (isNaN(value) || value < 1) {
+          errors.push(`${key} must be a positive integer`);
+        } else {
+          range[key] = value;
+        }
+      }
+    }
+
+    if (range.startPage && range.endPage && range.startPage > range.endPage) {
+      errors.push('startPage must not be after endPage');
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
         success: false,
-        error: 'Failed to delete PDF',
-        message: error.message
+        error: 'Invalid page range',
+        errors
       });
     }
 
+    const pages = req.query.refresh === 'true'
+      ? await refreshPageTexts(req.document, range)
+      : await ensurePageTexts(req.document, range);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        pdfId: req.document.id,
+        pageCount: req.document.page_count,
+        pages
+      }
+    });
+
+  } catch (error) {
+    console.error('Get pages error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve page text',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Delete a PDF from storage along with its document record and everything
+ * attached to it (roadmaps, pages, study data, shares, conversations)
+ * @route DELETE /api/pdf/:pdfId
+ * @param {Object} req - Express request object (req.document set by requireDocumentOwner)
+ * @param {Object} res - Express response object
+ */
+const deletePDF = async (req, res) => {
+  try {
+    const document = req.document;
+
+    // Stop queued or running jobs before their rows go, so none of them
+    // writes pages or segments back for a deleted document
+    cancelJobs(
+      (job) => job.payload && job.payload.pdfId === document.id,
+      'Document was deleted'
+    );
+
+    await deleteDocument(document.id, req.user.id);
+
+    // The file goes last: a leftover blob is harmless, a record whose file
+    // is gone is not. Older uploads may still share one blob between documents.
+    const sharedWith = await countDocumentsWithStoragePath(document.storage_path, document.id);
+
+    if (sharedWith === 0) {
+      const { error } = await supabase
+        .storage
+        .from(PDF_BUCKET)
+        .remove([document.storage_path]);
+
+      if (error) {
+        console.warn(`Failed to remove stored file ${document.storage_path}:`, error.message);
+      }
+    }
+
     res.status(200).json({
       success: true,
       message: 'PDF deleted successfully',
-      filename: filename
+      pdfId: document.id,
+      filename: document.original_filename
     });
 
   } catch (error) {
@@ -261,6 +610,11 @@ const deletePDF = async (req, res) => {
 module.exports = {
   uploadPDF,
   listPDFs,
+  getPDF,
+  updatePDF,
+  listPDFTags,
+  getPDFFile,
+  getPDFPages,
   deletePDF,
   validatePDF // Export for internal use only
 };
\ No newline at end of file
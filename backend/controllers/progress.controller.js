@@ -0,0 +1,160 @@
+/**
+ * PROGRESS CONTROLLER
+ * Reading progress on segments and "continue where you left off"
+ */
+
+const { getDocumentsByIds, formatDocument } = require('../services/document.service');
+const {
+  PROGRESS_STATUSES,
+  saveSegmentProgress,
+  formatProgress,
+  listDocumentsInProgress
+} = require('../services/progress.service');
+
+// A single update can't claim more than a day of reading
+const MAX_ADD_SECONDS = 24 * 60 * 60;
+const DEFAULT_CONTINUE_LIMIT = 5;
+const MAX_CONTINUE_LIMIT = 20;
+
+/**
+ * Validate a progress update against the segment's pages
+ * @param {Object} body - req.body
+ * @param {Object} segment - Segment being read
+ * @param {Object} document - Document row
+ * @returns {Object} - { update } or { errors }
+ */
+function parseProgressUpdate(body, segment, document) {
+  const errors = [];
+  const update = {};
+
+  if (body.status !== undefined) {
+    if (!PROGRESS_STATUSES.includes(body.status)) {
+      errors.push(`status must be one of ${PROGRESS_STATUSES.join(', ')}`);
+    } else {
+      update.status = body.status;
+    }
+  }
+
+  if (body.timeSpentSeconds !== undefined) {
+    if (!Number.isInteger(body.timeSpentSeconds) || body.timeSpentSeconds < 0) {
+      errors.push('timeSpentSeconds must be a non-negative integer');
+    } else {
+      update.timeSpentSeconds = body.timeSpentSeconds;
+    }
+  }
+
+  if (body.addSeconds !== undefined) {
+    if (!Number.isInteger(body.addSeconds) || body.addSeconds < 0 || body.addSeconds > MAX_ADD_SECONDS) {
+      errors.push(`addSeconds must be an integer from 0 to ${MAX_ADD_SECONDS}`);
+    } else {
+      update.addSeconds = body.addSeconds;
+    }
+  }
+
+  if (body.lastPage !== undefined) {
+    const firstPage = segment.startPage || 1;
+    const lastPage = segment.endPage || document.page_count;
+    const page = body.lastPage;
+    if (!Number.isInteger(page) || page < firstPage || (lastPage && page > lastPage)) {
+      errors.push(`lastPage must be a page of this segment (${firstPage}-${lastPage || '?'})`);
+    } else {
+      update.lastPage = page;
+    }
+  }
+
+  if (errors.length === 0 && Object.keys(update).length === 0) {
+    errors.push('Provide at least one of status, timeSpentSeconds, addSeconds, lastPage');
+  }
+
+  return errors.length > 0 ? { errors } : { update };
+}
+
+/**
+ * Record the current user's progress on a segment
+ * @route PUT /api/pdf/:pdfId/segments/:segmentId/progress
+ * Body: { status?, timeSpentSeconds? (total), addSeconds? (increment), lastPage? }
+ */
+async function updateSegmentProgressEndpoint(req, res) {
+  try {
+    const { update, errors } = parseProgressUpdate(req.body || {}, req.segment, req.document);
+
+    if (errors) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid progress',
+        errors
+      });
+    }
+
+    const saved = await saveSegmentProgress(req.document.id, req.user.id, req.segment.id, update);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        segmentId: String(req.segment.id),
+        ...formatProgress(saved)
+      }
+    });
+
+  } catch (error) {
+    console.error('[Error] Update progress error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save progress',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Documents the current user has started and not finished, most recent first,
+ * each with the segment and page to resume at
+ * @route GET /api/pdf/continue?limit=
+ */
+async function continueReadingEndpoint(req, res) {
+  try {
+    let limit = DEFAULT_CONTINUE_LIMIT;
+
+    if (req.query.limit !== undefined) {
+      limit = parseInt(req.query.limit, 10);
+      if (isNaN(limit) || limit < 1 || limit > MAX_CONTINUE_LIMIT) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid limit',
+          message: `limit must be between 1 and ${MAX_CONTINUE_LIMIT}`
+        });
+      }
+    }
+
+    const inProgress = await listDocumentsInProgress(req.user.id, { limit });
+    const documents = await getDocumentsByIds(inProgress.map((entry) => entry.pdfId));
+    const documentsById = new Map(documents.map((doc) => [doc.id, doc]));
+
+    // Documents deleted since they were read drop out here
+    const data = inProgress
+      .filter((entry) => documentsById.has(entry.pdfId))
+      .map((entry) => ({
+        document: formatDocument(documentsById.get(entry.pdfId)),
+        progress: entry.progress
+      }));
+
+    res.status(200).json({
+      success: true,
+      data,
+      count: data.length
+    });
+
+  } catch (error) {
+    console.error('[Error] Continue reading error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve reading progress',
+      message: error.message
+    });
+  }
+}
+
+module.exports = {
+  updateSegmentProgressEndpoint,
+  continueReadingEndpoint
+};
@@ -0,0 +1,471 @@
+/**
+ * QUIZ CONTROLLER
+ * Segment quizzes generated from the segment's own text, and graded attempts:
+ * multiple choice is checked against the stored key, short answers are
+ * graded against their rubric by the LLM (keyword matching if that fails)
+ */
+
+const { ensurePageTexts } = require('../services/pageText.service');
+const { getLLMProvider, describeProvider } = require('../services/llm');
+const {
+  saveQuiz,
+  getLatestQuiz,
+  getQuiz,
+  formatQuiz,
+  gradeMultipleChoice,
+  matchRubricKeywords,
+  scoreShortAnswer,
+  saveAttempt,
+  listAttempts
+} = require('../services/quiz.service');
+const { extractJSON } = require('../validators/segmentation.validator');
+const { MC_OPTION_COUNT, normalizeQuiz, validateQuiz } = require('../validators/quiz.validator');
+
+const QUIZ_PROMPT_VERSION = 'q1';
+const QUIZ_TEXT_CHAR_LIMIT = 12000;
+const MAX_REPAIR_ATTEMPTS = 2;
+
+const DEFAULT_COUNTS = { multipleChoice: 5, shortAnswer: 2 };
+const MAX_COUNTS = { multipleChoice: 10, shortAnswer: 5 };
+
+function buildQuizPrompt(segment, pages, counts) {
+  let text = pages.map((page) => `[PAGE ${page.page}]\n${page.text}`).join('\n\n');
+  if (text.length > QUIZ_TEXT_CHAR_LIMIT) {
+    text = `${text.slice(0, QUIZ_TEXT_CHAR_LIMIT)}\n[...truncated]`;
+  }
+
+  return `You are writing a self-check quiz for a student who just studied one section of an academic document.
+
+SECTION: "${segment.title}"
+KEY POINTS: ${(segment.keyPoints || []).join('; ') || 'n/a'}
+LEARNING OBJECTIVES: ${(segment.learningObjectives || []).join('; ') || 'n/a'}
+
+SECTION TEXT:
+${text}
+
+Write exactly ${counts.multipleChoice} multiple_choice and ${counts.shortAnswer} short_answer questions.
+
+RULES:
+1. Every question must be answerable from the SECTION TEXT alone; cite the page it comes from.
+2. Multiple choice: exactly ${MC_OPTION_COUNT} distinct options, one correct; correctIndex is its 0-based position. Vary the position of the correct option.
+3. Short answer: a rubric with a sample answer and 2-4 criteria. Each criterion lists 1-4 lowercase keywords a correct answer would use.
+4. Prefer understanding over trivia: ask about ideas, reasons and relationships, not page numbers or author names.
+
+Respond with ONLY this JSON (no markdown):
+{
+  "questions": [
+    {
+      "type": "multiple_choice",
+      "question": "Question text?",
+      "options": ["Option A", "Option B", "Option C", "Option D"],
+      "correctIndex": 2,
+      "explanation": "Why the correct option is right",
+      "page": 3
+    },
+    {
+      "type": "short_answer",
+      "question": "Question text?",
+      "rubric": {
+        "sampleAnswer": "A model answer in one to three sentences",
+        "criteria": [
+          { "point": "Names the main cause", "keywords": ["cause", "keyword"] }
+        ]
+      },
+      "page": 4
+    }
+  ]
+}`;
+}
+
+function buildQuizRepairPrompt(errors) {
+  return `Your previous answer did not match the required JSON format. Problems found:
+${errors.map((error) => `- ${error}`).join('\n')}
+
+Return the corrected quiz as ONE valid JSON object in exactly the required format.
+Return ONLY the JSON object, nothing else. No code blocks, no markdown.`;
+}
+
+function buildGradingPrompt(segment, questions) {
+  const items = questions.map(({ question, answer }) => `QUESTION ${question.id}: ${question.question}
+SAMPLE ANSWER: ${question.rubric.sampleAnswer}
+CRITERIA:
+${question.rubric.criteria.map((criterion, index) => `  ${index}. ${criterion.point}`).join('\n')}
+STUDENT ANSWER: ${answer}`).join('\n\n');
+
+  return `You are grading a student's short answers about the section "${segment.title}" of an academic document.
+For each question decide which rubric criteria the student's answer satisfies. Judge meaning, not wording; ignore spelling mistakes. Do not give credit for criteria the answer doesn't address.
+
+${items}
+
+Respond with ONLY this JSON (no markdown):
+{
+  "results": [
+    { "questionId": "q6", "metCriteria": [0, 2], "feedback": "One or two sentences for the student" }
+  ]
+}`;
+}
+
+/**
+ * Read and bound the requested question counts
+ * @returns {Object} - { counts } or { errors }
+ */
+function parseQuizCounts(body) {
+  const errors = [];
+  const counts = { ...DEFAULT_COUNTS };
+
+  for (const key of Object.keys(DEFAULT_COUNTS)) {
+    if (body[key] !== undefined) {
+      const value = Number(body[key]);
+      if (!Number.isInteger(value) || value < 0 || value > MAX_COUNTS[key]) {
+        errors.push(`${key} must be an integer from 0 to ${MAX_COUNTS[key]}`);
+      } else {
+        counts[key] = value;
+      }
+    }
+  }
+
+  if (errors.length === 0 && counts.multipleChoice + counts.shortAnswer === 0) {
+    errors.push('A quiz needs at least one question');
+  }
+
+  return errors.length > 0 ? { errors } : { counts };
+}
+
+/**
+ * Generate quiz questions for a segment, re-prompting on invalid output
+ * @returns {Object} - { questions, llm }
+ */
+async function generateQuizQuestions(segment, pages, counts) {
+  const llm = getLLMProvider();
+  const pageRange = { startPage: segment.startPage, endPage: segment.endPage };
+  let messages = [{ role: 'user', content: buildQuizPrompt(segment, pages, counts) }];
+  let errors = [];
+
+  for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+    const responseText = await llm.complete(messages, { maxTokens: 3000, task: 'quiz' });
+
+    try {
+      const candidate = normalizeQuiz(extractJSON(responseText));
+      errors = validateQuiz(candidate, counts, pageRange);
+      if (errors.length === 0) {
+        return { questions: candidate.questions, llm: describeProvider(llm) };
+      }
+    } catch (parseError) {
+      errors = [parseError.message];
+    }
+
+    console.warn(`[Quiz] Invalid quiz (${errors.length} problems)${attempt < MAX_REPAIR_ATTEMPTS ? ', asking the model to repair it' : ''}`);
+    messages = [
+      ...messages,
+      { role: 'assistant', content: responseText },
+      { role: 'user', content: buildQuizRepairPrompt(errors) }
+    ];
+  }
+
+  throw new Error(`Quiz failed validation: ${errors.slice(0, 5).join('; ')}`);
+}
+
+/**
+ * Grade short answers against their rubrics with the LLM
+ * @param {Object} segment - Segment being quizzed
+ * @param {Array} answered - [{ question, answer }] with non-empty answers
+ * @returns {Map} - questionId -> { metCriteria, feedback }; empty if grading failed
+ */
+async function gradeShortAnswersWithLLM(segment, answered) {
+  const graded = new Map();
+  if (answered.length === 0) return graded;
+
+  try {
+    const responseText = await getLLMProvider().complete(
+      [{ role: 'user', content: buildGradingPrompt(segment, answered) }],
+      { maxTokens: 1024, temperature: 0, task: 'grade' }
+    );
+    const response = extractJSON(responseText);
+
+    for (const result of Array.isArray(response.results) ? response.results : []) {
+      if (result && typeof result.questionId === 'string' && Array.isArray(result.metCriteria)) {
+        graded.set(result.questionId, {
+          metCriteria: result.metCriteria.map(Number),
+          feedback: typeof result.feedback === 'string' ? result.feedback.trim() : null
+        });
+      }
+    }
+  } catch (error) {
+    console.warn('[Quiz] Rubric grading failed, using keyword matching:', error.message);
+  }
+
+  return graded;
+}
+
+/**
+ * Get the segment's quiz, generating it on first use
+ * @route POST /api/pdf/:pdfId/segments/:segmentId/quiz
+ * Body: { multipleChoice?, shortAnswer?, regenerate? }
+ */
+async function createQuizEndpoint(req, res) {
+  try {
+    const { counts, errors } = parseQuizCounts(req.body || {});
+
+    if (errors) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid quiz parameters',
+        errors
+      });
+    }
+
+    const document = req.document;
+    const segment = req.segment;
+    const userId = req.user.id;
+
+    // Quizzes are stable: the stored one is returned until a new one is asked
+    // for, or the document is re-segmented or its roadmap edited
+    if (req.body?.regenerate !== true) {
+      const existing = await getLatestQuiz(document.id, userId, segment.id, req.segmentation);
+      if (existing) {
+        return res.status(200).json({
+          success: true,
+          cached: true,
+          data: formatQuiz(existing)
+        });
+      }
+    }
+
+    if (!segment.startPage || !segment.endPage) {
+      return res.status(422).json({
+        success: false,
+        error: 'Segment has no page range',
+        message: 'Re-segment this document to anchor its segments to pages'
+      });
+    }
+
+    const pages = await ensurePageTexts(document, {
+      startPage: segment.startPage,
+      endPage: segment.endPage
+    });
+
+    if (!pages.some((page) => page.text.trim())) {
+      return res.status(422).json({
+        success: false,
+        error: 'Segment has no text',
+        message: 'No text could be extracted for this segment\'s pages'
+      });
+    }
+
+    console.log(`[Quiz] Generating quiz for ${document.id} segment ${segment.id}`);
+    const { questions, llm } = await generateQuizQuestions(segment, pages, counts);
+
+    const saved = await saveQuiz({
+      pdfId: document.id,
+      userId,
+      segmentId: segment.id,
+      segmentation: req.segmentation,
+      questions,
+      llm,
+      promptVersion: QUIZ_PROMPT_VERSION
+    });
+
+    res.status(201).json({
+      success: true,
+      cached: false,
+      data: formatQuiz(saved)
+    });
+
+  } catch (error) {
+    console.error('[Error] Create quiz error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate quiz',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Get the segment's current quiz without answers
+ * @route GET /api/pdf/:pdfId/segments/:segmentId/quiz
+ */
+async function getQuizEndpoint(req, res) {
+  try {
+    const quiz = await getLatestQuiz(req.document.id, req.user.id, req.segment.id, req.segmentation);
+
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        error: 'Quiz not found',
+        message: 'No quiz has been generated for this segment yet'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: formatQuiz(quiz)
+    });
+
+  } catch (error) {
+    console.error('[Error] Get quiz error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve quiz',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Grade and record an attempt at the segment's quiz
+ * @route POST /api/pdf/:pdfId/segments/:segmentId/quiz/attempts
+ * Body: { quizId?, answers: [{ questionId, answer }] } - answer is an option index or text
+ */
+async function submitQuizAttemptEndpoint(req, res) {
+  try {
+    const { quizId, answers } = req.body || {};
+    const document = req.document;
+    const segment = req.segment;
+    const userId = req.user.id;
+
+    if (!Array.isArray(answers)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields',
+        required: ['answers']
+      });
+    }
+
+    const quiz = quizId
+      ? await getQuiz(quizId, document.id, userId, segment.id)
+      : await getLatestQuiz(document.id, userId, segment.id, req.segmentation);
+
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        error: 'Quiz not found'
+      });
+    }
+
+    const questions = JSON.parse(quiz.questions_json);
+    const questionsById = new Map(questions.map((question) => [question.id, question]));
+    const errors = [];
+    const answerById = new Map();
+
+    answers.forEach((entry, index) => {
+      const question = questionsById.get(entry?.questionId);
+      if (!question) {
+        errors.push(`answers[${index}].questionId is not a question of this quiz`);
+        return;
+      }
+
+      const answer = entry.answer ?? null;
+      if (question.type === 'multiple_choice' && answer !== null &&
+        (!Number.isInteger(answer) || answer < 0 || answer >= question.options.length)) {
+        errors.push(`answers[${index}].answer must be an option index from 0 to ${question.options.length - 1}`);
+      } else if (question.type === 'short_answer' && answer !== null && typeof answer !== 'string') {
+        errors.push(`answers[${index}].answer must be a string`);
+      } else {
+        answerById.set(question.id, typeof answer === 'string' ? answer.trim() || null : answer);
+      }
+    });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid answers',
+        errors
+      });
+    }
+
+    const shortAnswers = questions
+      .filter((question) => question.type === 'short_answer' && answerById.get(question.id))
+      .map((question) => ({ question, answer: answerById.get(question.id) }));
+    const rubricGrades = await gradeShortAnswersWithLLM(segment, shortAnswers);
+
+    // Unanswered questions score zero
+    const results = questions.map((question) => {
+      const answer = answerById.has(question.id) ? answerById.get(question.id) : null;
+
+      if (question.type === 'multiple_choice') {
+        return gradeMultipleChoice(question, answer);
+      }
+
+      const llmGrade = rubricGrades.get(question.id);
+      return llmGrade
+        ? scoreShortAnswer(question, answer, llmGrade.metCriteria, { feedback: llmGrade.feedback, gradedBy: 'rubric' })
+        : scoreShortAnswer(question, answer, matchRubricKeywords(question, answer), { gradedBy: 'keywords' });
+    });
+
+    const score = Math.round(results.reduce((sum, result) => sum + result.score, 0) * 100) / 100;
+    const maxScore = results.length;
+
+    const saved = await saveAttempt({
+      quizId: quiz.id,
+      pdfId: document.id,
+      userId,
+      segmentId: segment.id,
+      answers: Object.fromEntries(answerById),
+      results,
+      score,
+      maxScore
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        attemptId: saved.id,
+        quizId: quiz.id,
+        score,
+        maxScore,
+        percent: Math.round((score / maxScore) * 100),
+        results,
+        createdAt: saved.created_at
+      }
+    });
+
+  } catch (error) {
+    console.error('[Error] Quiz attempt error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to grade quiz attempt',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * List the current user's scores on the segment's quizzes
+ * @route GET /api/pdf/:pdfId/segments/:segmentId/quiz/attempts
+ */
+async function listQuizAttemptsEndpoint(req, res) {
+  try {
+    const attempts = await listAttempts(req.document.id, req.user.id, req.segment.id);
+    const formatted = attempts.map((attempt) => ({
+      id: attempt.id,
+      quizId: attempt.quiz_id,
+      score: attempt.score,
+      maxScore: attempt.max_score,
+      percent: attempt.max_score ? Math.round((attempt.score / attempt.max_score) * 100) : 0,
+      createdAt: attempt.created_at
+    }));
+
+    res.status(200).json({
+      success: true,
+      data: formatted,
+      count: formatted.length,
+      bestPercent: formatted.length > 0 ? Math.max(...formatted.map((attempt) => attempt.percent)) : null
+    });
+
+  } catch (error) {
+    console.error('[Error] List quiz attempts error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve quiz attempts',
+      message: error.message
+    });
+  }
+}
+
+module.exports = {
+  createQuizEndpoint,
+  getQuizEndpoint,
+  submitQuizAttemptEndpoint,
+  listQuizAttemptsEndpoint
+};
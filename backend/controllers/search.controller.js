@@ -0,0 +1,94 @@
+/**
+ * SEARCH CONTROLLER
+ * Full-text search across the current user's documents
+ */
+
+const { searchDocuments } = require('../services/search.service');
+const { parseOrganisationFilters } = require('./collection.controller');
+
+const DEFAULT_SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 50;
+const MAX_QUERY_LENGTH = 200;
+
+/**
+ * Validate search query parameters
+ * @param {Object} query - req.query
+ * @returns {Object} - { options } or { errors }
+ */
+function parseSearchOptions(query) {
+  const errors = [];
+  const options = {
+    q: typeof query.q === 'string' ? query.q.trim() : '',
+    pdfId: query.pdfId ? String(query.pdfId) : undefined,
+    limit: DEFAULT_SEARCH_LIMIT,
+    offset: 0
+  };
+
+  if (!options.q) {
+    errors.push('q is required');
+  } else if (options.q.length > MAX_QUERY_LENGTH) {
+    errors.push(`q must be at most ${MAX_QUERY_LENGTH} characters`);
+  }
+
+  if (query.limit !== undefined) {
+    const limit = parseInt(query.limit, 10);
+    if (isNaN(limit) || limit < 1 || limit > MAX_SEARCH_LIMIT) {
+      errors.push(`limit must be between 1 and ${MAX_SEARCH_LIMIT}`);
+    } else {
+      options.limit = limit;
+    }
+  }
+
+  if (query.offset !== undefined) {
+    const offset = parseInt(query.offset, 10);
+    if (isNaN(offset) || offset < 0) {
+      errors.push('offset must be a non-negative integer');
+    } else {
+      options.offset = offset;
+    }
+  }
+
+  return errors.length > 0 ? { errors } : { options };
+}
+
+/**
+ * Search page text of the current user's documents
+ * @route GET /api/pdf/search?q=&pdfId=&collectionId=&recursive=&tag=
+ */
+async function searchPDFsEndpoint(req, res) {
+  try {
+    const { options, errors } = parseSearchOptions(req.query);
+    const { filters, errors: filterErrors } = await parseOrganisationFilters(req.query, req.user.id);
+
+    if (errors || filterErrors) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid search parameters',
+        errors: [...(errors || []), ...(filterErrors || [])]
+      });
+    }
+
+    const { results, total, truncated } = await searchDocuments(req.user.id, { ...options, ...filters });
+
+    res.status(200).json({
+      success: true,
+      data: results,
+      count: results.length,
+      total,
+      truncated,
+      nextOffset: options.offset + results.length < total ? options.offset + results.length : null
+    });
+
+  } catch (error) {
+    console.error('[Error] Search error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Search failed',
+      message: error.message
+    });
+  }
+}
+
+module.exports = {
+  searchPDFsEndpoint
+};
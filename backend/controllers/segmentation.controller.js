@@ -1,78 +1,271 @@
 /**
- * GROQ SEGMENTATION CONTROLLER - FIXED VERSION
- * AI-Powered Document Segmentation using Groq API (FREE)
+ * SEGMENTATION CONTROLLER
+ * AI-Powered Document Segmentation through the configured LLM provider
+ * (Groq, OpenAI-compatible, local Ollama/llama.cpp or mock)
  */
 
-const Groq = require('groq-sdk');
-const pdfjs = require('pdfjs-dist');
 const { supabase } = require('../config/supabase');
+const { getDocumentById, downloadDocumentPDF } = require('../services/document.service');
+const { registerJobHandler, enqueueJob, subscribeToJob } = require('../services/jobQueue.service');
+const { extractPDFText } = require('../services/pdf.service');
+const { saveExtraction, ensurePageTexts } = require('../services/pageText.service');
+const { segmentByStructure, fallbackSegmentation } = require('../services/heuristicSegmentation.service');
+const { getDocumentProgress, formatProgress, summarizeProgress } = require('../services/progress.service');
+const { getLLMProvider, describeProvider } = require('../services/llm');
+const { deleteVersions, deleteVersionsOfSegmentations } = require('../services/segmentationVersion.service');
+const { detectLanguage, languageName } = require('../services/language.service');
+const {
+  MIN_SEGMENTS,
+  MAX_SEGMENTS,
+  extractJSON,
+  normalizeSegmentation,
+  validateSegmentation
+} = require('../validators/segmentation.validator');
+const {
+  DEFAULT_SEGMENTATION_OPTIONS,
+  DEFAULT_OPTIONS_KEY,
+  parseSegmentationOptions,
+  segmentationOptionsKey
+} = require('../validators/segmentationOptions.validator');
 
-const groq = new Groq({
-  apiKey: process.env.GROQ_API_KEY
-});
+// Bump whenever the segmentation prompt changes so content-hash reuse
+// never serves a roadmap produced by an older prompt
+const PROMPT_VERSION = 'v4';
 
-async function extractPDFText(pdfBuffer) {
-  try {
-    pdfjs.GlobalWorkerOptions.workerSrc = require('pdfjs-dist/legacy/build/pdf.worker.min.js');
-    
-    const pdf = await pdfjs.getDocument({ data: pdfBuffer }).promise;
-    let fullText = '';
-    const pageCount = pdf.numPages;
-
-    for (let i = 1; i <= pageCount; i++) {
-      const page = await pdf.getPage(i);
-      const textContent = await page.getTextContent();
-      const pageText = textContent.items.map(item => item.str).join(' ');
-      fullText += `\n[PAGE ${i}]\n${pageText}`;
+/**
+ * Pull every complete object out of the "segments" array of a (possibly
+ * unfinished) JSON document, so segments can be reported while streaming
+ * @param {string} partialJson - Response text received so far
+ * @returns {Array} - Parsed segment objects, in order
+ */
+function parseCompletedSegments(partialJson) {
+  const keyIndex = partialJson.indexOf('"segments"');
+  if (keyIndex === -1) return [];
+
+  const arrayStart = partialJson.indexOf('[', keyIndex);
+  if (arrayStart === -1) return [];
+
+  const segments = [];
+  let depth = 0;
+  let objectStart = -1;
+  let inString = false;
+  let escaped = false;
+
+  for (let i = arrayStart + 1; i < partialJson.length; i++) {
+    const char = partialJson[i];
+
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+      continue;
     }
 
-    return {
-      text: fullText,
-      pageCount: pageCount,
-      extractedAt: new Date().toISOString()
-    };
+    if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      if (depth === 0) objectStart = i;
+      depth++;
+    } else if (char === '}') {
+      depth--;
+      if (depth === 0 && objectStart !== -1) {
+        try {
+          segments.push(JSON.parse(partialJson.slice(objectStart, i + 1)));
+        } catch (error) {
+          // Malformed object; the final JSON.parse will report it
+        }
+        objectStart = -1;
+      }
+    } else if (char === ']' && depth === 0) {
+      break;
+    }
+  }
 
-  } catch (error) {
-    throw new Error(`PDF extraction failed: ${error.message}`);
+  return segments;
+}
+
+// Documents up to this size are segmented in one request; longer ones are
+// split into page-aligned chunks, outlined separately and merged (map-reduce)
+const SINGLE_PASS_CHAR_LIMIT = 15000;
+const CHUNK_CHAR_LIMIT = 12000;
+const MAX_CHUNKS = 24;
+
+// Re-prompts allowed when the roadmap fails schema validation
+const MAX_REPAIR_ATTEMPTS = 2;
+
+/**
+ * Split extractPDFText output back into pages using its [PAGE n] markers
+ * @param {string} extractedText - Text with [PAGE n] markers
+ * @returns {Array} - [{ page, text }]
+ */
+function splitIntoPages(extractedText) {
+  const pages = [];
+  const markerPattern = /\[PAGE (\d+)\]\n?/g;
+  let match;
+  let current = null;
+
+  while ((match = markerPattern.exec(extractedText)) !== null) {
+    if (current) {
+      current.text = extractedText.slice(current.start, match.index).trim();
+      pages.push(current);
+    }
+    current = { page: parseInt(match[1], 10), start: markerPattern.lastIndex };
   }
+
+  if (current) {
+    current.text = extractedText.slice(current.start).trim();
+    pages.push(current);
+  }
+
+  return pages.map(({ page, text }) => ({ page, text }));
 }
 
-async function segmentWithGroq(extractedText, fileName) {
-  try {
-    const truncatedText = extractedText.length > 15000 
-      ? extractedText.substring(0, 15000) + '\n... (content truncated for token limit)'
-      : extractedText;
+/**
+ * Group pages into chunks of at most CHUNK_CHAR_LIMIT characters
+ * A single oversized page becomes its own chunk, cut at the limit.
+ * @param {Array} pages - [{ page, text }]
+ * @returns {Array} - [{ startPage, endPage, text, characters, truncated }]
+ */
+function chunkPages(pages) {
+  const chunks = [];
+  let current = null;
+
+  for (const { page, text } of pages) {
+    const block = `[PAGE ${page}]\n${text}\n`;
+
+    if (current && current.text.length + block.length > CHUNK_CHAR_LIMIT) {
+      chunks.push(current);
+      current = null;
+    }
+
+    if (!current) {
+      current = { startPage: page, endPage: page, text: '', characters: 0, truncated: false };
+    }
+
+    // characters counts page text only, matching the totals in the coverage report
+    if (block.length > CHUNK_CHAR_LIMIT) {
+      current.text += block.substring(0, CHUNK_CHAR_LIMIT);
+      current.characters += Math.max(0, CHUNK_CHAR_LIMIT - (block.length - text.length));
+      current.truncated = true;
+    } else {
+      current.text += block;
+      current.characters += text.length;
+    }
+    current.endPage = page;
+  }
+
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+/**
+ * Run a prompt (or a whole conversation) through the configured LLM provider
+ * @param {string|Array} prompt - User prompt, or chat messages
+ * @param {Object} [options] - { maxTokens, onText, task } passed to the provider
+ * @returns {string} - Full response text
+ */
+async function completeWithLLM(prompt, options = {}) {
+  const messages = Array.isArray(prompt) ? prompt : [{ role: 'user', content: prompt }];
+  return getLLMProvider().complete(messages, options);
+}
+
+// Extra instructions for non-default options; the default prompt is unchanged
+const AUDIENCE_INSTRUCTIONS = {
+  beginner: 'Write for beginners: assume no prior knowledge and explain jargon in plain words',
+  intermediate: 'Write for learners who already know the basics of the subject',
+  advanced: 'Write for advanced learners: skip the basics and concentrate on depth and nuance'
+};
+
+const FOCUS_INSTRUCTIONS = {
+  'exam-prep': 'The learner is preparing for an exam: make key points testable facts, definitions and formulas, and phrase learning objectives as tasks they must be able to do'
+};
+
+// tokensPerSegment is a generous estimate of one segment's JSON at that level
+const DETAIL_SETTINGS = {
+  brief: { keyPoints: '2-3', glossaryTerms: 3, tokensPerSegment: 250 },
+  standard: { keyPoints: '2-4', glossaryTerms: 5, tokensPerSegment: 350 },
+  detailed: { keyPoints: '4-6', glossaryTerms: 8, tokensPerSegment: 550 }
+};
+
+// Title, overview and totals around the segments
+const ROADMAP_BASE_TOKENS = 300;
+
+/**
+ * Which language to write the roadmap in, when that isn't simply English
+ * @param {string} outputLanguage - Requested language code
+ * @param {string|null} documentLanguage - Detected language of the document
+ * @returns {string|null} - Instruction or null
+ */
+function languageInstruction(outputLanguage, documentLanguage) {
+  const source = documentLanguage ? `The document is written in ${languageName(documentLanguage)}. ` : '';
+
+  if (outputLanguage !== 'en') {
+    return `${source}Write every title, description, key point, learning objective and glossary entry in ${languageName(outputLanguage)}; keep the JSON keys, difficulty values and reading times in English`;
+  }
+  return documentLanguage && documentLanguage !== 'en' ? `${source}Write the roadmap in English` : null;
+}
 
-    console.log(`[Groq] Segmenting document: ${fileName}`);
-    console.log(`[Groq] Text length: ${truncatedText.length} characters`);
+/**
+ * Segment count limits a roadmap must meet for the given options
+ * @returns {Object} - { minSegments, maxSegments }
+ */
+function segmentLimitsFor(options) {
+  return options.targetSegments
+    ? { minSegments: options.targetSegments, maxSegments: options.targetSegments }
+    : { minSegments: MIN_SEGMENTS, maxSegments: MAX_SEGMENTS };
+}
 
-    const message = await groq.chat.completions.create({
-      messages: [
-        {
-          role: "user",
-          content: `You are an expert educational content analyst. Your task is to analyze this academic document and create a learning roadmap.
+/**
+ * Completion tokens the roadmap needs for the given options, never less
+ * than the provider's configured maxTokens (15 detailed segments need ~8.5k)
+ * @param {Object} options - Parsed segmentation options
+ * @param {number} providerMaxTokens - maxTokens of the configured provider
+ * @returns {number} - maxTokens for the roadmap request
+ */
+function roadmapTokenBudget(options, providerMaxTokens) {
+  const detail = DETAIL_SETTINGS[options.detail] || DETAIL_SETTINGS.standard;
+  const segments = options.targetSegments || MAX_SEGMENTS;
+  return Math.max(providerMaxTokens || 0, ROADMAP_BASE_TOKENS + segments * detail.tokensPerSegment);
+}
+
+function buildRoadmapPrompt(fileName, contentLabel, content, options = DEFAULT_SEGMENTATION_OPTIONS, documentLanguage = null) {
+  const topicCount = options.targetSegments ? `exactly ${options.targetSegments}` : `${MIN_SEGMENTS}-${MAX_SEGMENTS}`;
+  const detail = DETAIL_SETTINGS[options.detail] || DETAIL_SETTINGS.standard;
+  const extraInstructions = [
+    AUDIENCE_INSTRUCTIONS[options.audience],
+    FOCUS_INSTRUCTIONS[options.focus],
+    languageInstruction(options.language || 'en', documentLanguage)
+  ]
+    .filter(Boolean)
+    .map((instruction) => `\n- ${instruction}`)
+    .join('');
+
+  return `You are an expert educational content analyst. Your task is to analyze this academic document and create a learning roadmap.
 
 DOCUMENT NAME: "${fileName}"
 
-DOCUMENT CONTENT:
-${truncatedText}
+${contentLabel}:
+${content}
 
 YOUR TASK:
 1. Analyze the document structure and content
-2. Identify 4-8 logical learning topics/sections
+2. Identify ${topicCount} logical learning topics/sections
 3. Topics should be sequential and build upon each other
 4. For each topic, provide:
    - Clear, descriptive title
    - Description of what learners will understand
-   - 2-4 key learning points
+   - ${detail.keyPoints} key learning points
+   - Up to ${detail.glossaryTerms} glossary terms the topic introduces, each with a one-sentence definition
    - Difficulty level (beginner/intermediate/advanced)
    - Estimated reading time (e.g., "5-10 minutes")
+   - The first and last page the topic spans (use the [PAGE n] / PAGES markers)
 
 IMPORTANT INSTRUCTIONS:
 - Topics should be in reading/learning order
+- Page ranges must follow the document order and stay within its pages
 - Make descriptions motivating and clear
 - Estimate realistic time for students
-- Return ONLY valid JSON, no markdown code blocks, no other text
+- Return ONLY valid JSON, no markdown code blocks, no other text${extraInstructions}
 
 REQUIRED JSON FORMAT:
 {
@@ -86,92 +279,291 @@ REQUIRED JSON FORMAT:
       "keyPoints": ["Key point 1", "Key point 2", "Key point 3"],
       "difficulty": "beginner",
       "estimatedTime": "5-10 minutes",
-      "learningObjectives": ["By the end...", "You will understand..."]
+      "learningObjectives": ["By the end...", "You will understand..."],
+      "glossary": [{ "term": "Term", "definition": "One-sentence definition" }],
+      "startPage": 1,
+      "endPage": 3
     }
   ],
   "totalSegments": 4,
   "estimatedTotalTime": "45-60 minutes"
 }
 
-Remember: Return ONLY the JSON object, nothing else. No code blocks, no markdown.`
+Remember: Return ONLY the JSON object, nothing else. No code blocks, no markdown.`;
+}
+
+function buildRepairPrompt(errors, { minSegments, maxSegments }) {
+  return `Your previous answer did not match the required JSON format. Problems found:
+${errors.map((error) => `- ${error}`).join('\n')}
+
+Return the corrected roadmap as ONE valid JSON object in exactly the required format.
+Remember: ${minSegments === maxSegments ? minSegments : `${minSegments}-${maxSegments}`} segments with ids 1, 2, 3..., difficulty one of beginner/intermediate/advanced, times like "5-10 minutes".
+Return ONLY the JSON object, nothing else. No code blocks, no markdown.`;
+}
+
+function buildChunkOutlinePrompt(fileName, chunk, chunkIndex, chunkCount) {
+  return `You are an expert educational content analyst. You are reading part ${chunkIndex + 1} of ${chunkCount} of an academic document (pages ${chunk.startPage}-${chunk.endPage}).
+
+DOCUMENT NAME: "${fileName}"
+
+EXCERPT:
+${chunk.text}
+
+YOUR TASK:
+Outline ONLY this excerpt so it can later be merged with the outlines of the other parts.
+- List the topics covered, in order, with the pages where each appears
+- Keep summaries short (1-2 sentences) and key points concrete
+- Return ONLY valid JSON, no markdown code blocks, no other text
+
+REQUIRED JSON FORMAT:
+{
+  "summary": "1-2 sentence summary of this excerpt",
+  "topics": [
+    {
+      "title": "Topic title",
+      "pages": "${chunk.startPage}-${chunk.endPage}",
+      "summary": "What this topic covers",
+      "keyPoints": ["Key point 1", "Key point 2"]
+    }
+  ]
+}`;
+}
+
+/**
+ * Segment extracted text with the configured LLM, streaming the completion
+ * Long documents are processed map-reduce style: every page-aligned chunk is
+ * outlined on its own, then the outlines are merged into one roadmap.
+ * @param {string} extractedText - Text with [PAGE n] markers
+ * @param {string} fileName - Document name for the prompt
+ * @param {Object} [options]
+ * @param {Function} [options.onLLMStart] - Called before each request ({ model, characters, phase, chunk?, chunkCount? })
+ * @param {Function} [options.onSegment] - Called for each segment parsed from the final stream ({ index, segment })
+ * @param {Function} [options.onRepair] - Called before each re-prompt after a validation failure ({ attempt, errors })
+ * @param {Object} [options.segmentationOptions] - Target segment count, audience, focus, detail level and output language
+ * @param {string} [options.documentLanguage] - Detected language of the document, if known
+ * @returns {Object} - Segment data including a coverage report and the LLM settings used
+ */
+async function segmentWithLLM(extractedText, fileName, {
+  onLLMStart,
+  onSegment,
+  onRepair,
+  segmentationOptions = DEFAULT_SEGMENTATION_OPTIONS,
+  documentLanguage = null
+} = {}) {
+  try {
+    const llm = getLLMProvider();
+    const pages = splitIntoPages(extractedText);
+    const totalPages = pages.length;
+    const totalCharacters = pages.reduce((sum, page) => sum + page.text.length, 0);
+
+    console.log(`[LLM] Segmenting document: ${fileName}`);
+    console.log(`[LLM] Text length: ${extractedText.length} characters, ${totalPages} pages`);
+
+    let prompt;
+    let coverage;
+
+    if (extractedText.length <= SINGLE_PASS_CHAR_LIMIT) {
+      prompt = buildRoadmapPrompt(fileName, 'DOCUMENT CONTENT', extractedText, segmentationOptions, documentLanguage);
+      coverage = {
+        strategy: 'single-pass',
+        chunks: 1,
+        pagesCovered: totalPages,
+        totalPages,
+        charactersCovered: totalCharacters,
+        totalCharacters,
+        percent: 100
+      };
+    } else {
+      const allChunks = chunkPages(pages);
+      const chunks = allChunks.slice(0, MAX_CHUNKS);
+
+      if (allChunks.length > chunks.length) {
+        console.warn(`[LLM] Document needs ${allChunks.length} chunks, only the first ${MAX_CHUNKS} are processed`);
+      }
+
+      // Map: outline each chunk independently
+      const outlines = [];
+      for (let i = 0; i < chunks.length; i++) {
+        const chunk = chunks[i];
+        console.log(`[LLM] Outlining chunk ${i + 1}/${chunks.length} (pages ${chunk.startPage}-${chunk.endPage})`);
+
+        if (onLLMStart) {
+          onLLMStart({ provider: llm.name, model: llm.model, characters: chunk.text.length, phase: 'map', chunk: i + 1, chunkCount: chunks.length });
         }
-      ],
-      model: "mixtral-8x7b-32768",
-      max_tokens: 2048,
-      temperature: 0.7,
-      stream: false
-    });
 
-    const responseText = message.choices[0].message.content;
-    const cleanText = responseText
-      .replace(/```json\n?/g, '')
-      .replace(/```\n?/g, '')
-      .trim();
-    
-    console.log(`[Groq] Parsing segmentation response...`);
-    const segmentData = JSON.parse(cleanText);
-    
-    console.log(`[Groq] Successfully created ${segmentData.segments.length} segments`);
-    
+        const outlineText = await completeWithLLM(
+          buildChunkOutlinePrompt(fileName, chunk, i, chunks.length),
+          { maxTokens: 1024, task: 'outline' }
+        );
+
+        // One unreadable outline shouldn't sink the whole document
+        let outline;
+        try {
+          outline = extractJSON(outlineText);
+        } catch (parseError) {
+          console.warn(`[LLM] Chunk ${i + 1} outline unreadable: ${parseError.message}`);
+          outline = { summary: '', topics: [] };
+        }
+        outlines.push({ pages: `${chunk.startPage}-${chunk.endPage}`, ...outline });
+      }
+
+      // Reduce: build the roadmap from the combined outlines
+      const outlineText = outlines
+        .map((outline) => `PAGES ${outline.pages}\n${JSON.stringify({ summary: outline.summary, topics: outline.topics })}`)
+        .join('\n\n');
+
+      prompt = buildRoadmapPrompt(
+        fileName,
+        `OUTLINES OF CONSECUTIVE PARTS OF THE DOCUMENT (merge them into one coherent roadmap covering the whole document)`,
+        outlineText,
+        segmentationOptions,
+        documentLanguage
+      );
+
+      const charactersCovered = chunks.reduce((sum, chunk) => sum + chunk.characters, 0);
+      const pagesCovered = pages.filter((page) => page.page <= chunks[chunks.length - 1].endPage).length;
+
+      coverage = {
+        strategy: 'map-reduce',
+        chunks: chunks.length,
+        pagesCovered,
+        totalPages,
+        charactersCovered: Math.min(charactersCovered, totalCharacters),
+        totalCharacters,
+        percent: totalCharacters > 0
+          ? Math.min(100, Math.round((charactersCovered / totalCharacters) * 100))
+          : 100,
+        truncatedPages: chunks.some((chunk) => chunk.truncated)
+      };
+    }
+
+    if (onLLMStart) {
+      onLLMStart({ provider: llm.name, model: llm.model, characters: prompt.length, phase: coverage.strategy === 'map-reduce' ? 'reduce' : 'single' });
+    }
+
+    // Validate the roadmap; on failure, feed the errors back to the model
+    const limits = segmentLimitsFor(segmentationOptions);
+    const maxTokens = roadmapTokenBudget(segmentationOptions, llm.maxTokens);
+    let messages = [{ role: 'user', content: prompt }];
+    let segmentData = null;
+    let errors = [];
+    let attempts = 0;
+
+    while (!segmentData && attempts <= MAX_REPAIR_ATTEMPTS) {
+      let reportedSegments = 0;
+
+      // Only the first answer is streamed to listeners; repairs replace it wholesale
+      const responseText = await completeWithLLM(messages, {
+        maxTokens,
+        task: 'roadmap',
+        onText: attempts > 0 || !onSegment ? undefined : (text) => {
+          const completed = parseCompletedSegments(text);
+          while (reportedSegments < completed.length) {
+            onSegment({ index: reportedSegments, segment: completed[reportedSegments] });
+            reportedSegments++;
+          }
+        }
+      });
+      attempts++;
+
+      console.log(`[LLM] Validating segmentation response (attempt ${attempts})...`);
+      try {
+        const candidate = normalizeSegmentation(extractJSON(responseText));
+        errors = validateSegmentation(candidate, limits);
+        if (errors.length === 0) segmentData = candidate;
+      } catch (parseError) {
+        errors = [parseError.message];
+      }
+
+      if (!segmentData && attempts <= MAX_REPAIR_ATTEMPTS) {
+        console.warn(`[LLM] Invalid segmentation (${errors.length} problems), asking the model to repair it`);
+        if (onRepair) onRepair({ attempt: attempts, errors });
+        messages = [
+          ...messages,
+          { role: 'assistant', content: responseText },
+          { role: 'user', content: buildRepairPrompt(errors, limits) }
+        ];
+      }
+    }
+
+    if (!segmentData) {
+      throw new Error(`Output failed validation after ${attempts} attempts: ${errors.slice(0, 5).join('; ')}`);
+    }
+
+    segmentData.coverage = coverage;
+    segmentData.llm = { ...describeProvider(llm), maxTokens };
+    segmentData.validationAttempts = attempts;
+
+    console.log(`[LLM] Successfully created ${segmentData.segments.length} segments (${coverage.percent}% of document covered)`);
+
     return segmentData;
 
   } catch (error) {
-    console.error('[Groq] Segmentation error:', error.message);
+    console.error('[LLM] Segmentation error:', error.message);
     throw new Error(`Segmentation failed: ${error.message}`);
   }
 }
 
-function fallbackSegmentation(fileName) {
-  console.log('[Fallback] Using fallback segmentation');
-  
-  return {
-    title: fileName.replace(/\.pdf$/i, ''),
-    overview: "Document divided into sections for guided learning.",
-    segments: [
-      {
-        id: 1,
-        title: "Introduction & Overview",
-        description: "Get familiar with the document structure and main topics",
-        keyPoints: ["Document overview", "Key concepts", "Learning path"],
-        difficulty: "beginner",
-        estimatedTime: "5-10 minutes",
-        learningObjectives: ["Understand document scope and structure"]
-      },
-      {
-        id: 2,
-        title: "Core Concepts",
-        description: "Learn the main information and foundational concepts",
-        keyPoints: ["Key information", "Important concepts", "Examples"],
-        difficulty: "intermediate",
-        estimatedTime: "20-30 minutes",
-        learningObjectives: ["Understand core concepts", "Learn key information"]
-      },
-      {
-        id: 3,
-        title: "Advanced Topics",
-        description: "Explore deeper topics and complex ideas",
-        keyPoints: ["Advanced concepts", "Detailed examples", "Applications"],
-        difficulty: "advanced",
-        estimatedTime: "15-25 minutes",
-        learningObjectives: ["Understand advanced topics", "Apply concepts"]
-      },
-      {
-        id: 4,
-        title: "Summary & Review",
-        description: "Consolidate and review what you've learned",
-        keyPoints: ["Key takeaways", "Review questions", "Next steps"],
-        difficulty: "intermediate",
-        estimatedTime: "10-15 minutes",
-        learningObjectives: ["Consolidate learning", "Identify next steps"]
-      }
-    ],
-    totalSegments: 4,
-    estimatedTotalTime: "50-80 minutes",
-    isUsingFallback: true
-  };
+/**
+ * Give every segment a validated startPage/endPage and text offsets
+ * Ranges the model reported are kept when they are whole pages inside the
+ * document and don't go backwards; anything else gets an even share of the
+ * document and is flagged with pagesEstimated.
+ * @param {Array} segments - Segments in reading order
+ * @param {number} pageCount - Real page count of the PDF
+ * @param {string} [extractedText] - Text with [PAGE n] markers, for offsets
+ * @returns {Array} - Anchored segments
+ */
+function anchorSegments(segments, pageCount, extractedText) {
+  if (!pageCount || !Array.isArray(segments)) return segments;
+
+  // Character offset of every [PAGE n] marker in the extracted text
+  const markerOffsets = {};
+  if (extractedText) {
+    const markerPattern = /\[PAGE (\d+)\]/g;
+    let match;
+    while ((match = markerPattern.exec(extractedText)) !== null) {
+      markerOffsets[parseInt(match[1], 10)] = match.index;
+    }
+  }
+
+  let previousStart = 1;
+
+  return segments.map((segment, index) => {
+    const startPage = Number(segment.startPage);
+    const endPage = Number(segment.endPage);
+    const isValid = Number.isInteger(startPage) && Number.isInteger(endPage) &&
+      startPage >= previousStart && startPage <= endPage && endPage <= pageCount;
+
+    let anchored;
+    if (isValid) {
+      anchored = { ...segment, startPage, endPage, pagesEstimated: false };
+    } else {
+      const evenStart = Math.floor((index * pageCount) / segments.length) + 1;
+      const evenEnd = Math.max(evenStart, Math.floor(((index + 1) * pageCount) / segments.length));
+      anchored = { ...segment, startPage: evenStart, endPage: Math.min(evenEnd, pageCount), pagesEstimated: true };
+    }
+    previousStart = anchored.startPage;
+
+    if (extractedText && markerOffsets[anchored.startPage] !== undefined) {
+      anchored.textOffset = {
+        start: markerOffsets[anchored.startPage],
+        end: markerOffsets[anchored.endPage + 1] !== undefined
+          ? markerOffsets[anchored.endPage + 1]
+          : extractedText.length
+      };
+    }
+
+    return anchored;
+  });
 }
 
-async function saveSegmentsToDB(pdfId, userId, segmentData) {
+/**
+ * Save a segmentation as the user's current roadmap of the document
+ * @param {Object} [segmentationOptions] - Options it was generated with (part of the cache key)
+ * @returns {Object} - Saved document_segments row
+ */
+async function saveSegmentsToDB(pdfId, userId, segmentData, contentHash = null, segmentationOptions = DEFAULT_SEGMENTATION_OPTIONS) {
   try {
     console.log(`[Database] Saving segments for ${pdfId}`);
 
@@ -185,14 +577,27 @@ async function saveSegmentsToDB(pdfId, userId, segmentData) {
         segments_json: JSON.stringify(segmentData.segments),
         total_segments: segmentData.totalSegments,
         estimated_total_time: segmentData.estimatedTotalTime,
-        segmentation_method: segmentData.isUsingFallback ? 'fallback' : 'groq',
+        coverage_json: segmentData.coverage ? JSON.stringify(segmentData.coverage) : null,
+        segmentation_method: segmentData.method || (segmentData.isUsingFallback ? 'fallback' : (segmentData.llm?.provider || 'llm')),
+        llm_provider: segmentData.llm?.provider || null,
+        llm_model: segmentData.llm?.model || null,
+        llm_temperature: segmentData.llm?.temperature ?? null,
+        llm_max_tokens: segmentData.llm?.maxTokens ?? null,
+        content_hash: contentHash,
+        prompt_version: PROMPT_VERSION,
+        options_key: segmentationOptionsKey(segmentationOptions),
+        options_json: JSON.stringify(segmentationOptions),
+        translated_from_id: segmentData.translatedFrom || null,
+        is_active: true,
         created_at: new Date().toISOString(),
         updated_at: new Date().toISOString()
       }])
       .select();
 
     if (error) throw error;
-    
+
+    await deactivateOtherSegmentations(data[0]);
+
     console.log(`[Database] Segments saved successfully`);
     return data[0];
 
@@ -202,125 +607,536 @@ async function saveSegmentsToDB(pdfId, userId, segmentData) {
   }
 }
 
-async function getExistingSegments(pdfId, userId) {
+/**
+ * Cache key of a saved row; rows from before options existed used the defaults
+ */
+function optionsKeyFromRow(row) {
+  return row.options_key || DEFAULT_OPTIONS_KEY;
+}
+
+function optionsFromRow(row) {
+  return { ...DEFAULT_SEGMENTATION_OPTIONS, ...(row.options_json ? JSON.parse(row.options_json) : {}) };
+}
+
+/**
+ * LLM settings recorded on a saved segmentation row (null for fallback rows)
+ */
+function llmSettingsFromRow(row) {
+  if (!row.llm_provider) return null;
+
+  return {
+    provider: row.llm_provider,
+    model: row.llm_model,
+    temperature: row.llm_temperature,
+    maxTokens: row.llm_max_tokens
+  };
+}
+
+/**
+ * Map a saved segmentation row to the API response shape
+ * @param {Object} row - document_segments row
+ * @returns {Object} - API representation
+ */
+function formatSegmentation(row) {
+  return {
+    id: row.id,
+    pdfId: row.pdf_id,
+    title: row.title,
+    overview: row.overview,
+    segments: JSON.parse(row.segments_json),
+    totalSegments: row.total_segments,
+    estimatedTime: row.estimated_total_time,
+    coverage: row.coverage_json ? JSON.parse(row.coverage_json) : null,
+    method: row.segmentation_method,
+    options: optionsFromRow(row),
+    optionsKey: optionsKeyFromRow(row),
+    language: optionsFromRow(row).language,
+    translatedFrom: row.translated_from_id || null,
+    version: row.version || 1,
+    llm: llmSettingsFromRow(row),
+    cost: '$0.00 (free)',
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Every saved configuration of a user's roadmap for a document, most recently updated first
+ * @returns {Array} - document_segments rows
+ */
+async function listSegmentations(pdfId, userId) {
+  const { data, error } = await supabase
+    .from('document_segments')
+    .select('*')
+    .eq('pdf_id', pdfId)
+    .eq('user_id', userId)
+    .order('updated_at', { ascending: false });
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Whether a segmentation came from the LLM rather than the fallback or the
+ * heuristic, which ignore segmentation options
+ * @param {string} [method] - segmentation_method of a row, or segment data's method
+ * @returns {boolean}
+ */
+function isLLMSegmentationMethod(method) {
+  return method !== 'fallback' && !String(method || '').startsWith('heuristic:');
+}
+
+/**
+ * The user's roadmap of a document: the current one, or the one saved for a
+ * particular set of options
+ * @param {string} [optionsKey] - Cache key of the wanted configuration
+ * @returns {Object|null} - document_segments row or null
+ */
+async function getExistingSegments(pdfId, userId, optionsKey) {
   try {
-    const { data, error } = await supabase
+    const rows = await listSegmentations(pdfId, userId);
+
+    if (optionsKey) {
+      return rows.find((row) => optionsKeyFromRow(row) === optionsKey) || null;
+    }
+
+    // Rows saved before there was a current flag: the newest one wins
+    return rows.find((row) => row.is_active) || rows[0] || null;
+
+  } catch (error) {
+    console.warn('[Cache] Error fetching segments:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Make a saved configuration the user's current roadmap of the document
+ * @returns {Object} - Updated row
+ */
+async function activateSegmentation(row) {
+  await deactivateOtherSegmentations(row);
+
+  const { data, error } = await supabase
+    .from('document_segments')
+    .update({ is_active: true })
+    .eq('id', row.id)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+async function deactivateOtherSegmentations(row) {
+  const { error } = await supabase
+    .from('document_segments')
+    .update({ is_active: false })
+    .eq('pdf_id', row.pdf_id)
+    .eq('user_id', row.user_id)
+    .neq('id', row.id);
+
+  if (error) throw error;
+}
+
+/**
+ * Drop older rows with the same options as a freshly saved one, so a
+ * regenerated roadmap replaces its configuration instead of piling up
+ * @param {Object} saved - Newly saved document_segments row
+ */
+async function removeSupersededSegmentations(saved) {
+  const rows = await listSegmentations(saved.pdf_id, saved.user_id);
+  const supersededIds = rows
+    .filter((row) => row.id !== saved.id && optionsKeyFromRow(row) === optionsKeyFromRow(saved))
+    .map((row) => row.id);
+
+  if (supersededIds.length === 0) return;
+
+  await deleteVersionsOfSegmentations(supersededIds);
+
+  const { error } = await supabase
+    .from('document_segments')
+    .delete()
+    .in('id', supersededIds);
+
+  if (error) throw error;
+}
+
+/**
+ * Remove all of a user's saved segmentations of a document
+ */
+async function deleteSegmentation(pdfId, userId) {
+  const { error } = await supabase
+    .from('document_segments')
+    .delete()
+    .eq('pdf_id', pdfId)
+    .eq('user_id', userId);
+
+  if (error && error.code !== 'PGRST116') {
+    throw error;
+  }
+
+  await deleteVersions(pdfId, userId);
+}
+
+/**
+ * Ids of the segments in a user's saved segmentation, as strings
+ * @returns {Array} - Segment ids (empty when not segmented)
+ */
+async function getSegmentIds(pdfId, userId) {
+  const segmentation = await getExistingSegments(pdfId, userId);
+  return segmentation ? JSON.parse(segmentation.segments_json).map((segment) => String(segment.id)) : [];
+}
+
+/**
+ * Find an LLM segmentation of byte-identical content made with the current
+ * prompt and the same options
+ * Fallback and heuristic segmentations are never reused so a later run can
+ * still reach the LLM.
+ */
+async function getSegmentsByContentHash(contentHash, optionsKey = DEFAULT_OPTIONS_KEY) {
+  if (!contentHash) return null;
+
+  try {
+    let query = supabase
       .from('document_segments')
       .select('*')
-      .eq('pdf_id', pdfId)
-      .eq('user_id', userId)
-      .single();
+      .eq('content_hash', contentHash)
+      .eq('prompt_version', PROMPT_VERSION)
+      .neq('segmentation_method', 'fallback')
+      .not('segmentation_method', 'like', 'heuristic:%');
+
+    // Default-option rows may predate options_key, so those are matched below
+    if (optionsKey !== DEFAULT_OPTIONS_KEY) query = query.eq('options_key', optionsKey);
 
-    if (error && error.code !== 'PGRST116') throw error;
-    return data || null;
+    const { data, error } = await query
+      .order('created_at', { ascending: true })
+      .limit(20);
+
+    if (error) throw error;
+    return (data || []).find((row) => optionsKeyFromRow(row) === optionsKey) || null;
 
   } catch (error) {
-    console.warn('[Cache] Error fetching segments:', error.message);
+    console.warn('[Cache] Error fetching segments by content hash:', error.message);
     return null;
   }
 }
 
-async function segmentPDFEndpoint(req, res) {
+/**
+ * Look for a segmentation with these options that can be served without
+ * running the pipeline: the user's own saved row first (made current if it
+ * wasn't), then a reusable row for identical content (copied to this
+ * document so later reads hit the first check)
+ * @returns {Object|null} - { message, data } or null
+ */
+async function findCachedSegmentation(document, userId, segmentationOptions = DEFAULT_SEGMENTATION_OPTIONS) {
+  const optionsKey = segmentationOptionsKey(segmentationOptions);
+
+  let existing = await getExistingSegments(document.id, userId, optionsKey);
+
+  // A non-LLM roadmap only stands for the default options; for any other
+  // options the pipeline runs again so the LLM gets another chance
+  if (existing && optionsKey !== DEFAULT_OPTIONS_KEY && !isLLMSegmentationMethod(existing.segmentation_method)) {
+    existing = null;
+  }
+
+  if (existing) {
+    console.log(`[Cache] Found existing segmentation (${optionsKey})`);
+    if (!existing.is_active) existing = await activateSegmentation(existing);
+
+    return {
+      message: 'Using cached segmentation (instant)',
+      data: {
+        id: existing.id,
+        title: existing.title,
+        overview: existing.overview,
+        segments: JSON.parse(existing.segments_json),
+        totalSegments: existing.total_segments,
+        estimatedTime: existing.estimated_total_time,
+        coverage: existing.coverage_json ? JSON.parse(existing.coverage_json) : null,
+        method: existing.segmentation_method,
+        options: optionsFromRow(existing),
+        llm: llmSettingsFromRow(existing),
+        cost: '$0.00 (free)',
+        createdAt: existing.created_at
+      }
+    };
+  }
+
+  const identical = await getSegmentsByContentHash(document.content_hash, optionsKey);
+  if (identical) {
+    console.log(`[Cache] Reusing segmentation of identical content (${identical.pdf_id})`);
+    const reusedData = {
+      title: identical.title,
+      overview: identical.overview,
+      segments: JSON.parse(identical.segments_json),
+      totalSegments: identical.total_segments,
+      estimatedTotalTime: identical.estimated_total_time,
+      coverage: identical.coverage_json ? JSON.parse(identical.coverage_json) : null,
+      llm: llmSettingsFromRow(identical)
+    };
+    const saved = await saveSegmentsToDB(document.id, userId, reusedData, document.content_hash, segmentationOptions);
+
+    return {
+      message: 'Reused segmentation of an identical document (instant)',
+      data: {
+        id: saved.id,
+        title: reusedData.title,
+        overview: reusedData.overview,
+        segments: reusedData.segments,
+        totalSegments: reusedData.totalSegments,
+        estimatedTime: reusedData.estimatedTotalTime,
+        coverage: reusedData.coverage,
+        method: identical.segmentation_method,
+        options: segmentationOptions,
+        llm: reusedData.llm,
+        cost: '$0.00 (free)',
+        createdAt: saved.created_at
+      }
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Segment from the PDF's own structure (bookmarks, headings, numbering),
+ * falling back to equal page ranges if pdfjs can't read it at all
+ * @param {Buffer} pdfBuffer - PDF file buffer
+ * @param {Object} document - Document row
+ * @returns {Object} - Segment data
+ */
+async function segmentWithoutLLM(pdfBuffer, document) {
   try {
-    const { pdfId, userId } = req.body;
+    return await segmentByStructure(pdfBuffer, document.original_filename, { title: document.pdf_title });
+  } catch (error) {
+    console.warn('[Heuristic] Structure detection failed:', error.message);
+    return fallbackSegmentation(document.original_filename, document.page_count);
+  }
+}
 
-    if (!pdfId || !userId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required fields',
-        required: ['pdfId', 'userId']
-      });
+/**
+ * Throw if the document was deleted while a job was working on it, so its
+ * segmentation is not written back for a document that no longer exists
+ * @param {string} pdfId - Document id
+ */
+async function ensureDocumentStillExists(pdfId) {
+  if (!(await getDocumentById(pdfId))) {
+    throw new Error('Document no longer exists');
+  }
+}
+
+/**
+ * Download, extract, segment and save one document
+ * @param {Object} document - Document row
+ * @param {string} userId - Owner's user id
+ * @param {Function} setState - Job progress reporter (state, progress)
+ * @param {Function} emit - Job event emitter for live progress (page, llm_start, segment, llm_repair, saved)
+ * @param {Object} [segmentationOptions] - Target segment count, audience, focus, detail level and output language
+ * @returns {Object} - { message, warning?, cached, data }
+ */
+async function runSegmentationPipeline(document, userId, setState, emit, segmentationOptions = DEFAULT_SEGMENTATION_OPTIONS) {
+  const pdfId = document.id;
+  const fileName = document.original_filename;
+
+  console.log(`\n[Segmentation] Starting segmentation for ${pdfId}`);
+
+  await setState('extracting', 10);
+  console.log(`[Storage] Downloading PDF from Supabase...`);
+  const pdfBuffer = await downloadDocumentPDF(document);
+
+  console.log(`[PDF] Extracting text from PDF...`);
+  let extractionResult;
+  try {
+    extractionResult = await extractPDFText(pdfBuffer, {
+      onPage: (page) => emit('page', page)
+    });
+    console.log(`[PDF] Extracted ${extractionResult.pageCount} pages, ${extractionResult.text.length} characters`);
+  } catch (extractError) {
+    console.warn('[PDF] Extraction failed, using fallback');
+    const fallbackSegments = await segmentWithoutLLM(pdfBuffer, document);
+    fallbackSegments.segments = anchorSegments(fallbackSegments.segments, document.page_count);
+    await setState('saving', 90);
+    await ensureDocumentStillExists(pdfId);
+    const saved = await saveSegmentsToDB(pdfId, userId, fallbackSegments, document.content_hash, segmentationOptions);
+    await removeSupersededSegmentations(saved);
+    emit('saved', { segmentationId: saved.id });
+
+    return {
+      message: 'Segmented with fallback method',
+      warning: 'PDF text extraction had issues, using basic segmentation',
+      cached: false,
+      data: {
+        ...fallbackSegments,
+        id: saved.id,
+        options: segmentationOptions,
+        optionsApplied: segmentationOptionsKey(segmentationOptions) === DEFAULT_OPTIONS_KEY,
+        cost: '$0.00 (free)'
+      }
+    };
+  }
+
+  // Keep per-page text (and which pages were OCR'd) for segment text lookups;
+  // segmentation doesn't depend on it
+  try {
+    await saveExtraction(pdfId, extractionResult);
+  } catch (pageError) {
+    console.warn('[Database] Failed to store page texts:', pageError.message);
+  }
+
+  const documentLanguage = detectLanguage(extractionResult.text)?.language || null;
+
+  await setState('segmenting', 40);
+  console.log(`[AI] Sending to LLM for segmentation...`);
+  let segmentData;
+  try {
+    segmentData = await segmentWithLLM(extractionResult.text, fileName, {
+      onLLMStart: (info) => emit('llm_start', info),
+      onSegment: (partial) => emit('segment', partial),
+      onRepair: (repair) => emit('llm_repair', repair),
+      segmentationOptions,
+      documentLanguage
+    });
+    console.log(`[AI] LLM segmentation successful`);
+  } catch (llmError) {
+    console.warn('[AI] LLM segmentation failed, using fallback:', llmError.message);
+    segmentData = await segmentWithoutLLM(pdfBuffer, document);
+  }
+
+  segmentData.segments = anchorSegments(segmentData.segments, extractionResult.pageCount, extractionResult.text);
+
+  await setState('saving', 90);
+  await ensureDocumentStillExists(pdfId);
+  console.log(`[Database] Saving segmentation to database...`);
+  const saved = await saveSegmentsToDB(pdfId, userId, segmentData, document.content_hash, segmentationOptions);
+  await removeSupersededSegmentations(saved);
+  emit('saved', { segmentationId: saved.id });
+
+  console.log(`[Success] Segmentation completed successfully\n`);
+
+  // The fallback and the heuristic ignore segment count, audience, focus,
+  // detail and language; tell callers their options were not applied
+  const optionsApplied = isLLMSegmentationMethod(segmentData.method)
+    || segmentationOptionsKey(segmentationOptions) === DEFAULT_OPTIONS_KEY;
+
+  return {
+    message: 'Document segmented successfully',
+    warning: optionsApplied ? undefined : 'The LLM was unavailable, so the document was segmented without it and the requested options were not applied',
+    cached: false,
+    data: {
+      id: saved.id,
+      title: segmentData.title,
+      overview: segmentData.overview,
+      segments: segmentData.segments,
+      totalSegments: segmentData.totalSegments,
+      estimatedTime: segmentData.estimatedTotalTime,
+      coverage: segmentData.coverage || null,
+      method: segmentData.method || segmentData.llm.provider,
+      options: segmentationOptions,
+      optionsApplied,
+      llm: segmentData.llm || null,
+      cost: '$0.00 (completely free)',
+      createdAt: saved.created_at
     }
+  };
+}
 
-    console.log(`\n[Segmentation] Starting segmentation for ${pdfId}`);
+registerJobHandler('segmentation', async (job, { setState, emit }) => {
+  const document = await getDocumentById(job.payload.pdfId);
 
-    const existing = await getExistingSegments(pdfId, userId);
-    if (existing) {
-      console.log(`[Cache] Found existing segmentation`);
-      return res.status(200).json({
-        success: true,
-        message: 'Using cached segmentation (instant)',
-        cached: true,
-        data: {
-          id: existing.id,
-          title: existing.title,
-          overview: existing.overview,
-          segments: JSON.parse(existing.segments_json),
-          totalSegments: existing.total_segments,
-          estimatedTime: existing.estimated_total_time,
-          method: existing.segmentation_method,
-          cost: '$0.00 (free)',
-          createdAt: existing.created_at
-        }
-      });
+  if (!document || document.user_id !== job.userId) {
+    throw new Error('Document no longer exists');
+  }
+
+  const segmentationOptions = job.payload.options || DEFAULT_SEGMENTATION_OPTIONS;
+
+  // Another job may have finished this document while we were queued
+  if (!job.payload.force) {
+    const cached = await findCachedSegmentation(document, job.userId, segmentationOptions);
+    if (cached) {
+      return { ...cached, cached: true };
     }
+  }
+
+  return runSegmentationPipeline(document, job.userId, setState, emit, segmentationOptions);
+});
+
+/**
+ * Queue a segmentation job for a document, joining one already in progress
+ * for the same options
+ * @param {Object} segmentationOptions - Parsed segmentation options
+ * @param {boolean} [force] - Regenerate even if a cached roadmap exists
+ * @returns {Object} - { job, reused }
+ */
+function enqueueSegmentation(document, userId, segmentationOptions, force = false) {
+  const optionsKey = segmentationOptionsKey(segmentationOptions);
+
+  return enqueueJob('segmentation', {
+    userId,
+    key: `segmentation:${userId}:${document.id}:${optionsKey}${force ? ':force' : ''}`,
+    payload: { pdfId: document.id, options: segmentationOptions, force }
+  });
+}
 
-    console.log(`[Storage] Downloading PDF from Supabase...`);
-    const { data: pdfData, error: downloadError } = await supabase
-      .storage
-      .from('academic-pdfs')
-      .download(`pdfs/${pdfId}`);
+/**
+ * Read segmentation options and force/regenerate from a request body or query
+ * @param {Object} source - req.body or req.query
+ * @returns {Object} - { options, force } or { errors }
+ */
+function parseSegmentationRequest(source = {}) {
+  const { options, errors } = parseSegmentationOptions(source);
+  if (errors) return { errors };
+
+  const force = [source.force, source.regenerate].some((value) => value === true || value === 'true');
+  return { options, force };
+}
 
-    if (downloadError) {
-      console.error('[Storage] Download error:', downloadError.message);
-      return res.status(500).json({
+/**
+ * Start segmentation of a document
+ * @route POST /api/pdf/segment
+ * Body: { pdfId, targetSegments?, audience?, focus?, detail?, language?, force? }
+ *
+ * Each set of options is cached separately and the one requested last
+ * becomes the current roadmap. Cached results are returned immediately
+ * (200); force (or regenerate) skips the cache and replaces the roadmap
+ * saved for these options. Otherwise a background job is queued and 202 is
+ * returned with a job id to poll at /api/pdf/jobs/:jobId.
+ */
+async function segmentPDFEndpoint(req, res) {
+  try {
+    // req.document is loaded and ownership-checked by requireDocumentOwner
+    const document = req.document;
+    const userId = req.user.id;
+
+    const { options, force, errors } = parseSegmentationRequest(req.body);
+    if (errors) {
+      return res.status(400).json({
         success: false,
-        error: 'Failed to download PDF',
-        details: downloadError.message
+        error: 'Invalid segmentation options',
+        errors
       });
     }
 
-    console.log(`[PDF] Extracting text from PDF...`);
-    let extractionResult;
-    try {
-      extractionResult = await extractPDFText(Buffer.from(pdfData));
-      console.log(`[PDF] Extracted ${extractionResult.pageCount} pages, ${extractionResult.text.length} characters`);
-    } catch (extractError) {
-      console.warn('[PDF] Extraction failed, using fallback');
-      const fallbackSegments = fallbackSegmentation(pdfId);
-      const saved = await saveSegmentsToDB(pdfId, userId, fallbackSegments);
-      
+    const cached = force ? null : await findCachedSegmentation(document, userId, options);
+    if (cached) {
       return res.status(200).json({
         success: true,
-        message: 'Segmented with fallback method',
-        warning: 'PDF text extraction had issues, using basic segmentation',
-        data: {
-          ...fallbackSegments,
-          id: saved.id,
-          cost: '$0.00 (free)'
-        }
+        message: cached.message,
+        cached: true,
+        data: cached.data
       });
     }
 
-    console.log(`[AI] Sending to Groq for segmentation...`);
-    let segmentData;
-    try {
-      segmentData = await segmentWithGroq(extractionResult.text, pdfId);
-      console.log(`[AI] Groq segmentation successful`);
-    } catch (groqError) {
-      console.warn('[AI] Groq segmentation failed, using fallback:', groqError.message);
-      segmentData = fallbackSegmentation(pdfId);
-    }
-
-    console.log(`[Database] Saving segmentation to database...`);
-    const saved = await saveSegmentsToDB(pdfId, userId, segmentData);
+    const { job, reused } = enqueueSegmentation(document, userId, options, force);
 
-    console.log(`[Success] Segmentation completed successfully\n`);
-    
-    res.status(200).json({
+    res.status(202).json({
       success: true,
-      message: 'Document segmented successfully',
-      cached: false,
+      message: reused ? 'Segmentation already in progress' : (force ? 'Regeneration queued' : 'Segmentation queued'),
       data: {
-        id: saved.id,
-        title: segmentData.title,
-        overview: segmentData.overview,
-        segments: segmentData.segments,
-        totalSegments: segmentData.totalSegments,
-        estimatedTime: segmentData.estimatedTotalTime,
-        method: segmentData.isUsingFallback ? 'fallback' : 'groq-free',
-        cost: '$0.00 (completely free)',
-        createdAt: saved.created_at
+        jobId: job.id,
+        options,
+        state: job.state,
+        progress: job.progress,
+        statusUrl: `/api/pdf/jobs/${job.id}`
       }
     });
 
@@ -334,6 +1150,79 @@ async function segmentPDFEndpoint(req, res) {
   }
 }
 
+/**
+ * Stream segmentation progress as Server-Sent Events
+ * @route GET /api/pdf/:pdfId/segment/stream?targetSegments=&audience=&focus=&detail=&language=&force=
+ *
+ * Takes the same options as POST /segment as query parameters. Starts (or
+ * joins) the document's segmentation job and forwards its events: job,
+ * state, page, llm_start, segment, llm_repair, saved, retry, done, failed.
+ * A cached segmentation is sent as a single done event.
+ */
+async function streamSegmentationEndpoint(req, res) {
+  const document = req.document;
+  const userId = req.user.id;
+
+  const { options, force, errors } = parseSegmentationRequest(req.query);
+  if (errors) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid segmentation options',
+      errors
+    });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // stop reverse proxies from buffering the stream
+  });
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  try {
+    const cached = force ? null : await findCachedSegmentation(document, userId, options);
+    if (cached) {
+      send('done', { result: { ...cached, cached: true } });
+      return res.end();
+    }
+
+    const { job } = enqueueSegmentation(document, userId, options, force);
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+    let unsubscribe = () => {};
+
+    // The job keeps running if the client goes away
+    const cleanup = () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    };
+    req.on('close', cleanup);
+
+    unsubscribe = subscribeToJob(job.id, (event, data) => {
+      send(event, data);
+      if (event === 'done' || event === 'failed') {
+        cleanup();
+        res.end();
+      }
+    });
+
+    send('job', { jobId: job.id, state: job.state, progress: job.progress });
+
+  } catch (error) {
+    console.error('[Error] Segmentation stream error:', error.message);
+    send('failed', { error: { message: error.message } });
+    res.end();
+  }
+}
+
+/**
+ * Get the saved segmentation with the current user's reading progress
+ * @route GET /api/pdf/:pdfId/segments
+ */
 async function getSegmentsEndpoint(req, res) {
   try {
     const { pdfId } = req.params;
@@ -356,20 +1245,19 @@ async function getSegmentsEndpoint(req, res) {
       });
     }
 
+    const segmentation = formatSegmentation(existing);
+    const progressRows = await getDocumentProgress(pdfId, userId);
+    const progressBySegment = new Map(progressRows.map((row) => [String(row.segment_id), row]));
+
     res.status(200).json({
       success: true,
       data: {
-        id: existing.id,
-        pdfId: existing.pdf_id,
-        title: existing.title,
-        overview: existing.overview,
-        segments: JSON.parse(existing.segments_json),
-        totalSegments: existing.total_segments,
-        estimatedTime: existing.estimated_total_time,
-        method: existing.segmentation_method,
-        cost: '$0.00 (free)',
-        createdAt: existing.created_at,
-        updatedAt: existing.updated_at
+        ...segmentation,
+        segments: segmentation.segments.map((segment) => ({
+          ...segment,
+          progress: formatProgress(progressBySegment.get(String(segment.id)))
+        })),
+        progress: summarizeProgress(segmentation.segments, progressRows)
       }
     });
 
@@ -383,6 +1271,87 @@ async function getSegmentsEndpoint(req, res) {
   }
 }
 
+/**
+ * Every saved configuration of the user's roadmap; POST /segment with a
+ * configuration's options makes it current again
+ * @route GET /api/pdf/:pdfId/segments/configurations
+ */
+async function listSegmentationConfigurationsEndpoint(req, res) {
+  try {
+    const rows = await listSegmentations(req.document.id, req.user.id);
+    const current = rows.find((row) => row.is_active) || rows[0];
+
+    res.status(200).json({
+      success: true,
+      data: rows.map((row) => ({
+        id: row.id,
+        optionsKey: optionsKeyFromRow(row),
+        options: optionsFromRow(row),
+        language: optionsFromRow(row).language,
+        translatedFrom: row.translated_from_id || null,
+        current: row === current,
+        method: row.segmentation_method,
+        totalSegments: row.total_segments,
+        version: row.version || 1,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+      })),
+      count: rows.length
+    });
+
+  } catch (error) {
+    console.error('[Error] List segmentation configurations error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve configurations',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Get the extracted text of a single segment
+ * @route GET /api/pdf/:pdfId/segments/:segmentId/text
+ */
+async function getSegmentTextEndpoint(req, res) {
+  try {
+    const segment = req.segment;
+
+    if (!segment.startPage || !segment.endPage) {
+      return res.status(422).json({
+        success: false,
+        error: 'Segment has no page range',
+        message: 'Re-segment this document to anchor its segments to pages'
+      });
+    }
+
+    const pages = await ensurePageTexts(req.document, {
+      startPage: segment.startPage,
+      endPage: segment.endPage
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        segmentId: segment.id,
+        title: segment.title,
+        startPage: segment.startPage,
+        endPage: segment.endPage,
+        pages,
+        text: pages.map((page) => page.text).join('\n\n')
+      }
+    });
+
+  } catch (error) {
+    console.error('[Error] Get segment text error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve segment text',
+      message: error.message
+    });
+  }
+}
+
 async function deleteSegmentsEndpoint(req, res) {
   try {
     const { pdfId } = req.params;
@@ -395,15 +1364,7 @@ async function deleteSegmentsEndpoint(req, res) {
       });
     }
 
-    const { error } = await supabase
-      .from('document_segments')
-      .delete()
-      .eq('pdf_id', pdfId)
-      .eq('user_id', userId);
-
-    if (error && error.code !== 'PGRST116') {
-      throw error;
-    }
+    await deleteSegmentation(pdfId, userId);
 
     res.status(200).json({
       success: true,
@@ -422,11 +1383,26 @@ async function deleteSegmentsEndpoint(req, res) {
 
 module.exports = {
   segmentPDFEndpoint,
+  streamSegmentationEndpoint,
   getSegmentsEndpoint,
+  listSegmentationConfigurationsEndpoint,
+  getSegmentTextEndpoint,
   deleteSegmentsEndpoint,
-  segmentWithGroq,
+  segmentWithLLM,
+  splitIntoPages,
+  chunkPages,
+  parseCompletedSegments,
   extractPDFText,
   saveSegmentsToDB,
   getExistingSegments,
-  fallbackSegmentation
+  activateSegmentation,
+  removeSupersededSegmentations,
+  optionsFromRow,
+  getSegmentIds,
+  deleteSegmentation,
+  formatSegmentation,
+  getSegmentsByContentHash,
+  anchorSegments,
+  fallbackSegmentation,
+  PROMPT_VERSION
 };
\ No newline at end of file
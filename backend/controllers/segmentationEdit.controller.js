@@ -0,0 +1,358 @@
+/**
+ * SEGMENTATION EDIT CONTROLLER
+ * Hand edits to a saved roadmap, its version history, diffs and restores
+ */
+
+const { getExistingSegments, formatSegmentation } = require('./segmentation.controller');
+const { applyOperations, diffSnapshots } = require('../services/segmentationEdit.service');
+const {
+  VersionConflictError,
+  snapshotFromRow,
+  listVersions,
+  getVersion,
+  saveNewVersion,
+  formatVersion
+} = require('../services/segmentationVersion.service');
+const {
+  MAX_EDITED_SEGMENTS,
+  normalizeSegmentation,
+  validateSegmentation,
+  validatePageRanges
+} = require('../validators/segmentation.validator');
+
+const MAX_OPERATIONS = 50;
+const MAX_SUMMARY_LENGTH = 200;
+
+/**
+ * Load the current user's segmentation of the document
+ * Sends the 404 response itself and returns null when there is none.
+ */
+async function loadSegmentation(req, res) {
+  const segmentation = await getExistingSegments(req.document.id, req.user.id);
+
+  if (!segmentation) {
+    res.status(404).json({
+      success: false,
+      error: 'Segmentation not found',
+      message: 'This PDF has not been segmented yet'
+    });
+    return null;
+  }
+
+  return segmentation;
+}
+
+/**
+ * Roadmap snapshot of a version; the live roadmap answers for the current
+ * version, which also covers version 1 of a roadmap that was never edited
+ * @returns {Object|null} - Snapshot or null if the version doesn't exist
+ */
+async function loadSnapshot(segmentation, versionNumber) {
+  if (versionNumber === (segmentation.version || 1)) return snapshotFromRow(segmentation);
+
+  const version = await getVersion(segmentation.id, versionNumber);
+  return version ? JSON.parse(version.snapshot_json) : null;
+}
+
+/**
+ * Another edit or restore was saved while this one was being applied
+ */
+function sendVersionConflict(res) {
+  return res.status(409).json({
+    success: false,
+    error: 'Roadmap has changed',
+    message: 'Another change to the roadmap was saved at the same time. Reload it and try again.'
+  });
+}
+
+function parseVersionNumber(value) {
+  const version = Number(value);
+  return Number.isInteger(version) && version >= 1 ? version : null;
+}
+
+/**
+ * Validate an edited roadmap the same way a generated one is
+ * @returns {Object} - { snapshot } (normalised) or { errors }
+ */
+function checkSnapshot(snapshot, document) {
+  const normalized = normalizeSegmentation(snapshot);
+  const errors = [
+    ...validateSegmentation(normalized, { minSegments: 1, maxSegments: MAX_EDITED_SEGMENTS }),
+    ...validatePageRanges(normalized.segments, document.page_count)
+  ];
+
+  return errors.length > 0 ? { errors } : { snapshot: normalized };
+}
+
+/**
+ * Edit the roadmap. All operations are applied in order and saved as one
+ * new version; nothing is saved if any of them fails.
+ * @route PATCH /api/pdf/:pdfId/segments
+ * Body: { operations: [{ op, ... }], summary?, baseVersion? }
+ *   op: rename | reorder | merge | split | add | remove | editKeyPoints
+ *   baseVersion: reject with 409 if someone saved a newer version meanwhile;
+ *   without it, only an edit saved concurrently with this one gets a 409
+ */
+async function editSegmentsEndpoint(req, res) {
+  try {
+    const { operations, summary, baseVersion } = req.body || {};
+    const errors = [];
+
+    if (!Array.isArray(operations) || operations.length === 0 || operations.length > MAX_OPERATIONS) {
+      errors.push(`operations must be an array of 1-${MAX_OPERATIONS} edit operations`);
+    }
+    if (summary !== undefined && (typeof summary !== 'string' || summary.length > MAX_SUMMARY_LENGTH)) {
+      errors.push(`summary must be a string of at most ${MAX_SUMMARY_LENGTH} characters`);
+    }
+    if (baseVersion !== undefined && !parseVersionNumber(baseVersion)) {
+      errors.push('baseVersion must be a version number');
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid edit',
+        errors
+      });
+    }
+
+    const segmentation = await loadSegmentation(req, res);
+    if (!segmentation) return;
+
+    const currentVersion = segmentation.version || 1;
+    if (baseVersion !== undefined && parseVersionNumber(baseVersion) !== currentVersion) {
+      return res.status(409).json({
+        success: false,
+        error: 'Roadmap has changed',
+        message: `This edit was based on version ${parseVersionNumber(baseVersion)} but the roadmap is at version ${currentVersion}`,
+        currentVersion
+      });
+    }
+
+    const applied = applyOperations(snapshotFromRow(segmentation), operations);
+    const checked = applied.errors ? applied : checkSnapshot(applied.snapshot, req.document);
+
+    if (checked.errors) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid edit',
+        errors: checked.errors
+      });
+    }
+
+    const { segmentation: updated, version } = await saveNewVersion(segmentation, checked.snapshot, {
+      authorId: req.user.id,
+      authorEmail: req.user.email,
+      summary: summary?.trim() || applied.operations.map((operation) => operation.op).join(', '),
+      operations: applied.operations
+    });
+
+    console.log(`[Segments] ${req.document.id} edited to version ${version.version} (${operations.length} operations)`);
+
+    res.status(200).json({
+      success: true,
+      data: formatSegmentation(updated)
+    });
+
+  } catch (error) {
+    if (error instanceof VersionConflictError) return sendVersionConflict(res);
+
+    console.error('[Error] Edit segments error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to edit segments',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Version history of the roadmap, newest first
+ * @route GET /api/pdf/:pdfId/segments/versions
+ */
+async function listSegmentVersionsEndpoint(req, res) {
+  try {
+    const segmentation = await loadSegmentation(req, res);
+    if (!segmentation) return;
+
+    const currentVersion = segmentation.version || 1;
+    let versions = await listVersions(segmentation.id);
+
+    // Never edited: the generated roadmap is the only version
+    if (versions.length === 0) {
+      versions = [{
+        version: 1,
+        author_id: null,
+        summary: `Generated (${segmentation.segmentation_method || 'llm'})`,
+        total_segments: segmentation.total_segments,
+        created_at: segmentation.created_at
+      }];
+    }
+
+    res.status(200).json({
+      success: true,
+      data: versions.map((version) => formatVersion(version, currentVersion)),
+      count: versions.length,
+      currentVersion
+    });
+
+  } catch (error) {
+    console.error('[Error] List segment versions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve versions',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Roadmap as it was at one version
+ * @route GET /api/pdf/:pdfId/segments/versions/:version
+ */
+async function getSegmentVersionEndpoint(req, res) {
+  try {
+    const segmentation = await loadSegmentation(req, res);
+    if (!segmentation) return;
+
+    const versionNumber = parseVersionNumber(req.params.version);
+    const snapshot = versionNumber ? await loadSnapshot(segmentation, versionNumber) : null;
+
+    if (!snapshot) {
+      return res.status(404).json({
+        success: false,
+        error: 'Version not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        version: versionNumber,
+        current: versionNumber === (segmentation.version || 1),
+        ...snapshot
+      }
+    });
+
+  } catch (error) {
+    console.error('[Error] Get segment version error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve version',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * What changed between two versions
+ * @route GET /api/pdf/:pdfId/segments/versions/diff?from=&to=
+ * to defaults to the current version, from to the one before it
+ */
+async function diffSegmentVersionsEndpoint(req, res) {
+  try {
+    const segmentation = await loadSegmentation(req, res);
+    if (!segmentation) return;
+
+    const to = req.query.to !== undefined ? parseVersionNumber(req.query.to) : (segmentation.version || 1);
+    const from = req.query.from !== undefined ? parseVersionNumber(req.query.from) : Math.max(1, (to || 1) - 1);
+
+    if (!to || !from) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid versions',
+        message: 'from and to must be version numbers'
+      });
+    }
+
+    const [fromSnapshot, toSnapshot] = await Promise.all([
+      loadSnapshot(segmentation, from),
+      loadSnapshot(segmentation, to)
+    ]);
+
+    if (!fromSnapshot || !toSnapshot) {
+      return res.status(404).json({
+        success: false,
+        error: 'Version not found',
+        message: `Version ${!fromSnapshot ? from : to} does not exist`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        from,
+        to,
+        ...diffSnapshots(fromSnapshot, toSnapshot)
+      }
+    });
+
+  } catch (error) {
+    console.error('[Error] Diff segment versions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to compare versions',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Make an earlier version current again. History is kept: the restore is
+ * saved as a new version with that version's roadmap.
+ * @route POST /api/pdf/:pdfId/segments/versions/:version/restore
+ */
+async function restoreSegmentVersionEndpoint(req, res) {
+  try {
+    const segmentation = await loadSegmentation(req, res);
+    if (!segmentation) return;
+
+    const versionNumber = parseVersionNumber(req.params.version);
+    const snapshot = versionNumber ? await loadSnapshot(segmentation, versionNumber) : null;
+
+    if (!snapshot) {
+      return res.status(404).json({
+        success: false,
+        error: 'Version not found'
+      });
+    }
+
+    if (versionNumber === (segmentation.version || 1)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Already current',
+        message: `Version ${versionNumber} is the current version`
+      });
+    }
+
+    const { segmentation: updated } = await saveNewVersion(segmentation, snapshot, {
+      authorId: req.user.id,
+      authorEmail: req.user.email,
+      summary: `Restored version ${versionNumber}`,
+      operations: [{ op: 'restore', version: versionNumber }]
+    });
+
+    res.status(200).json({
+      success: true,
+      data: formatSegmentation(updated)
+    });
+
+  } catch (error) {
+    if (error instanceof VersionConflictError) return sendVersionConflict(res);
+
+    console.error('[Error] Restore segment version error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to restore version',
+      message: error.message
+    });
+  }
+}
+
+module.exports = {
+  editSegmentsEndpoint,
+  listSegmentVersionsEndpoint,
+  getSegmentVersionEndpoint,
+  diffSegmentVersionsEndpoint,
+  restoreSegmentVersionEndpoint
+};
@@ -0,0 +1,283 @@
+/**
+ * SHARE CONTROLLER
+ * Owners create read-only links to a segmented document; anyone with the
+ * link (and its password, if set) can read the roadmap without an account
+ */
+
+const { getExistingSegments, formatSegmentation } = require('./segmentation.controller');
+const { getDocumentById, createSignedPDFUrl } = require('../services/document.service');
+const {
+  createShare,
+  listActiveShares,
+  getShare,
+  getShareByToken,
+  shareUnavailableReason,
+  passwordRetrySeconds,
+  checkSharePassword,
+  revokeShare,
+  recordShareAccess,
+  formatShare
+} = require('../services/share.service');
+
+const DEFAULT_EXPIRY_DAYS = 7;
+const MAX_EXPIRY_DAYS = 90;
+const MIN_PASSWORD_LENGTH = 4;
+const MAX_PASSWORD_LENGTH = 128;
+// Signed PDF URLs handed to visitors never outlive this, nor the share itself
+const SHARED_PDF_URL_TTL_SECONDS = 10 * 60;
+
+/**
+ * Validate share options
+ * @param {Object} body - req.body
+ * @returns {Object} - { options: { expiresAt, password, includePdf } } or { errors }
+ */
+function parseShareOptions(body, now = new Date()) {
+  const errors = [];
+  const options = { password: null, includePdf: false };
+  let expiresInDays = DEFAULT_EXPIRY_DAYS;
+
+  if (body.expiresInDays !== undefined) {
+    if (typeof body.expiresInDays !== 'number' || !(body.expiresInDays > 0) || body.expiresInDays > MAX_EXPIRY_DAYS) {
+      errors.push(`expiresInDays must be a number greater than 0 and at most ${MAX_EXPIRY_DAYS}`);
+    } else {
+      expiresInDays = body.expiresInDays;
+    }
+  }
+  options.expiresAt = new Date(now.getTime() + expiresInDays * 24 * 60 * 60 * 1000);
+
+  if (body.password !== undefined && body.password !== null) {
+    if (typeof body.password !== 'string' ||
+      body.password.length < MIN_PASSWORD_LENGTH || body.password.length > MAX_PASSWORD_LENGTH) {
+      errors.push(`password must be a string of ${MIN_PASSWORD_LENGTH}-${MAX_PASSWORD_LENGTH} characters`);
+    } else {
+      options.password = body.password;
+    }
+  }
+
+  if (body.includePdf !== undefined) {
+    if (typeof body.includePdf !== 'boolean') {
+      errors.push('includePdf must be a boolean');
+    } else {
+      options.includePdf = body.includePdf;
+    }
+  }
+
+  return errors.length > 0 ? { errors } : { options };
+}
+
+/**
+ * Create a share link for a segmented document. The token is only returned here.
+ * @route POST /api/pdf/:pdfId/shares
+ * Body: { expiresInDays? (default 7, max 90), password?, includePdf? (default false) }
+ */
+async function createShareEndpoint(req, res) {
+  try {
+    const { options, errors } = parseShareOptions(req.body || {});
+
+    if (errors) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid share',
+        errors
+      });
+    }
+
+    const segmentation = await getExistingSegments(req.document.id, req.user.id);
+
+    if (!segmentation) {
+      return res.status(409).json({
+        success: false,
+        error: 'Document not segmented',
+        message: 'Segment this PDF before sharing it'
+      });
+    }
+
+    const { share, token } = await createShare({
+      pdfId: req.document.id,
+      userId: req.user.id,
+      ...options
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...formatShare(share),
+        token,
+        path: `/api/share/${token}`
+      }
+    });
+
+  } catch (error) {
+    console.error('[Error] Create share error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create share link',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * List a document's share links that are still usable
+ * @route GET /api/pdf/:pdfId/shares
+ */
+async function listSharesEndpoint(req, res) {
+  try {
+    const shares = await listActiveShares(req.document.id, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: shares.map(formatShare),
+      count: shares.length
+    });
+
+  } catch (error) {
+    console.error('[Error] List shares error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve share links',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Revoke a share link; visitors get 410 from then on
+ * @route DELETE /api/pdf/:pdfId/shares/:shareId
+ */
+async function revokeShareEndpoint(req, res) {
+  try {
+    const share = await getShare(req.params.shareId, req.document.id, req.user.id);
+
+    if (!share) {
+      return res.status(404).json({
+        success: false,
+        error: 'Share link not found'
+      });
+    }
+
+    const revoked = share.revoked_at ? share : await revokeShare(share.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Share link revoked',
+      data: formatShare(revoked)
+    });
+
+  } catch (error) {
+    console.error('[Error] Revoke share error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke share link',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Read a shared roadmap (public, no account needed)
+ * @route GET /api/share/:token
+ * Header: X-Share-Password for password-protected links; after a few wrong
+ * passwords, further tries from the same address answer 429 with a growing
+ * Retry-After
+ */
+async function getSharedDocumentEndpoint(req, res) {
+  try {
+    const share = await getShareByToken(req.params.token);
+
+    if (!share) {
+      return res.status(404).json({
+        success: false,
+        error: 'Share link not found'
+      });
+    }
+
+    const unavailable = shareUnavailableReason(share);
+    if (unavailable) {
+      return res.status(410).json({
+        success: false,
+        error: `Share link ${unavailable}`,
+        message: 'Ask the owner for a new link'
+      });
+    }
+
+    const retryAfter = share.password_hash ? await passwordRetrySeconds(share, req.ip) : 0;
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: 'Too many password attempts',
+        message: retryAfter >= 60
+          ? `Try again in ${Math.ceil(retryAfter / 60)} minutes`
+          : `Try again in ${retryAfter} seconds`,
+        retryAfter
+      });
+    }
+
+    if (!(await checkSharePassword(share, req.get('X-Share-Password'), req.ip))) {
+      return res.status(401).json({
+        success: false,
+        error: 'Password required',
+        message: 'Send the link password in the X-Share-Password header',
+        passwordRequired: true
+      });
+    }
+
+    const document = await getDocumentById(share.pdf_id);
+    const existing = document ? await getExistingSegments(share.pdf_id, share.user_id) : null;
+
+    // The document or its roadmap was deleted after the link was made
+    if (!existing) {
+      return res.status(410).json({
+        success: false,
+        error: 'Shared document no longer available'
+      });
+    }
+
+    const segmentation = formatSegmentation(existing);
+    let pdf = null;
+
+    if (share.include_pdf) {
+      const secondsLeft = Math.floor((new Date(share.expires_at) - Date.now()) / 1000);
+      pdf = await createSignedPDFUrl(document, Math.max(1, Math.min(SHARED_PDF_URL_TTL_SECONDS, secondsLeft)));
+    }
+
+    await recordShareAccess(share);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        document: {
+          title: document.pdf_title,
+          filename: document.original_filename,
+          author: document.pdf_author,
+          pageCount: document.page_count
+        },
+        segmentation: {
+          title: segmentation.title,
+          overview: segmentation.overview,
+          segments: segmentation.segments,
+          totalSegments: segmentation.totalSegments,
+          estimatedTime: segmentation.estimatedTime
+        },
+        pdf,
+        expiresAt: share.expires_at
+      }
+    });
+
+  } catch (error) {
+    console.error('[Error] Shared document error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve shared document',
+      message: error.message
+    });
+  }
+}
+
+module.exports = {
+  createShareEndpoint,
+  listSharesEndpoint,
+  revokeShareEndpoint,
+  getSharedDocumentEndpoint
+};
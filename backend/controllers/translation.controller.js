@@ -0,0 +1,248 @@
+/**
+ * TRANSLATION CONTROLLER
+ * On-demand translation of a saved roadmap into another language. The
+ * result is stored as a language variant next to the original in
+ * document_segments, keeping the original's segment ids and page ranges.
+ */
+
+const { getLLMProvider, describeProvider } = require('../services/llm');
+const {
+  getExistingSegments,
+  saveSegmentsToDB,
+  activateSegmentation,
+  removeSupersededSegmentations,
+  optionsFromRow,
+  formatSegmentation
+} = require('./segmentation.controller');
+const { LANGUAGES, isSupportedLanguage, languageName } = require('../services/language.service');
+const { segmentationOptionsKey } = require('../validators/segmentationOptions.validator');
+const { MAX_EDITED_SEGMENTS, extractJSON, validateSegmentation } = require('../validators/segmentation.validator');
+
+const MAX_REPAIR_ATTEMPTS = 1;
+
+/**
+ * The parts of a roadmap that are translated; everything else is copied
+ */
+function translatableRoadmap(row) {
+  return {
+    title: row.title,
+    overview: row.overview,
+    segments: JSON.parse(row.segments_json).map((segment) => ({
+      id: segment.id,
+      title: segment.title,
+      description: segment.description,
+      keyPoints: segment.keyPoints || [],
+      learningObjectives: segment.learningObjectives || [],
+      glossary: segment.glossary || []
+    }))
+  };
+}
+
+function buildTranslationPrompt(roadmap, sourceLanguage, targetLanguage) {
+  return `You are a professional translator of educational material. Translate this learning roadmap from ${languageName(sourceLanguage)} into ${languageName(targetLanguage)} (${targetLanguage}).
+
+RULES:
+- Translate every title, overview, description, key point, learning objective, glossary term and definition
+- Keep the same segments with the same ids in the same order, and the same number of items in every list
+- Leave technical terms untranslated where that is usual in ${languageName(targetLanguage)}
+- Return ONLY valid JSON in exactly the same shape, no markdown code blocks, no other text
+
+ROADMAP JSON:
+${JSON.stringify(roadmap)}`;
+}
+
+function buildTranslationRepairPrompt(errors) {
+  return `Your previous answer did not match the original roadmap. Problems found:
+${errors.map((error) => `- ${error}`).join('\n')}
+
+Return the corrected translation as ONE valid JSON object with the same shape, ids and list lengths as the original.
+Return ONLY the JSON object, nothing else. No code blocks, no markdown.`;
+}
+
+const isText = (value) => typeof value === 'string' && value.trim().length > 0;
+
+/**
+ * Check a translation against the original, item for item
+ * @returns {Array} - Human-readable errors (empty when valid)
+ */
+function checkTranslation(original, translated) {
+  if (!translated || typeof translated !== 'object') return ['Top level must be a JSON object'];
+
+  const errors = [];
+  if (!isText(translated.title)) errors.push('"title" must be a non-empty string');
+  if (!isText(translated.overview)) errors.push('"overview" must be a non-empty string');
+
+  if (!Array.isArray(translated.segments) || translated.segments.length !== original.segments.length) {
+    errors.push(`"segments" must contain the same ${original.segments.length} segments`);
+    return errors;
+  }
+
+  original.segments.forEach((segment, index) => {
+    const candidate = translated.segments[index];
+    const label = `segments[${index}]`;
+
+    if (!candidate || String(candidate.id) !== String(segment.id)) {
+      errors.push(`${label} must be segment ${segment.id}`);
+      return;
+    }
+    if (!isText(candidate.title)) errors.push(`${label}.title must be a non-empty string`);
+    if (!isText(candidate.description)) errors.push(`${label}.description must be a non-empty string`);
+
+    for (const field of ['keyPoints', 'learningObjectives']) {
+      if (!Array.isArray(candidate[field]) || candidate[field].length !== segment[field].length ||
+        !candidate[field].every(isText)) {
+        errors.push(`${label}.${field} must be ${segment[field].length} translated strings`);
+      }
+    }
+
+    if (!Array.isArray(candidate.glossary) || candidate.glossary.length !== segment.glossary.length ||
+      !candidate.glossary.every((entry) => entry && isText(entry.term) && isText(entry.definition))) {
+      errors.push(`${label}.glossary must be ${segment.glossary.length} translated { term, definition } entries`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Translate a saved roadmap with the LLM, re-prompting on invalid output
+ * @param {Object} row - document_segments row to translate
+ * @returns {Object} - { title, overview, segments, llm }
+ */
+async function translateRoadmap(row, sourceLanguage, targetLanguage) {
+  const llm = getLLMProvider();
+  const original = translatableRoadmap(row);
+  let messages = [{ role: 'user', content: buildTranslationPrompt(original, sourceLanguage, targetLanguage) }];
+  let errors = [];
+
+  for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+    const responseText = await llm.complete(messages, { task: 'translate' });
+
+    try {
+      const translated = extractJSON(responseText);
+      errors = checkTranslation(original, translated);
+
+      if (errors.length === 0) {
+        const clean = (value) => value.trim();
+        // Only text is taken from the model; ids, pages, difficulty and times stay as they were
+        const segments = JSON.parse(row.segments_json).map((segment, index) => {
+          const translation = translated.segments[index];
+          return {
+            ...segment,
+            title: clean(translation.title),
+            description: clean(translation.description),
+            keyPoints: translation.keyPoints.map(clean),
+            learningObjectives: translation.learningObjectives.map(clean),
+            glossary: translation.glossary.map((entry) => ({ term: clean(entry.term), definition: clean(entry.definition) }))
+          };
+        });
+        const roadmap = { title: clean(translated.title), overview: clean(translated.overview), segments };
+
+        errors = validateSegmentation(roadmap, { minSegments: 1, maxSegments: MAX_EDITED_SEGMENTS });
+        if (errors.length === 0) return { ...roadmap, llm: describeProvider(llm) };
+      }
+    } catch (parseError) {
+      errors = [parseError.message];
+    }
+
+    console.warn(`[Translate] Invalid translation (${errors.length} problems)${attempt < MAX_REPAIR_ATTEMPTS ? ', asking the model to repair it' : ''}`);
+    messages = [
+      ...messages,
+      { role: 'assistant', content: responseText },
+      { role: 'user', content: buildTranslationRepairPrompt(errors) }
+    ];
+  }
+
+  throw new Error(`Translation failed validation: ${errors.slice(0, 5).join('; ')}`);
+}
+
+/**
+ * Translate the current roadmap into another language and make the
+ * translation current. A variant already saved for that language is
+ * returned (200) unless force is set.
+ * @route POST /api/pdf/:pdfId/segments/translate
+ * Body: { language, force? }
+ */
+async function translateSegmentsEndpoint(req, res) {
+  try {
+    const { force } = req.body || {};
+    const language = typeof req.body?.language === 'string' ? req.body.language.trim().toLowerCase() : null;
+
+    if (!isSupportedLanguage(language)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid language',
+        errors: [`language must be one of ${Object.keys(LANGUAGES).join(', ')}`]
+      });
+    }
+
+    const document = req.document;
+    const userId = req.user.id;
+    const source = await getExistingSegments(document.id, userId);
+
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        error: 'Segmentation not found',
+        message: 'This PDF has not been segmented yet'
+      });
+    }
+
+    const sourceOptions = optionsFromRow(source);
+    if (sourceOptions.language === language) {
+      return res.status(409).json({
+        success: false,
+        error: 'Already in that language',
+        message: `The current roadmap is already in ${languageName(language)}`
+      });
+    }
+
+    const variantOptions = { ...sourceOptions, language };
+
+    if (force !== true) {
+      const existing = await getExistingSegments(document.id, userId, segmentationOptionsKey(variantOptions));
+      if (existing) {
+        const current = existing.is_active ? existing : await activateSegmentation(existing);
+        return res.status(200).json({
+          success: true,
+          cached: true,
+          data: formatSegmentation(current)
+        });
+      }
+    }
+
+    console.log(`[Translate] Translating ${document.id} from ${sourceOptions.language} to ${language}`);
+    const translation = await translateRoadmap(source, sourceOptions.language, language);
+
+    const saved = await saveSegmentsToDB(document.id, userId, {
+      title: translation.title,
+      overview: translation.overview,
+      segments: translation.segments,
+      totalSegments: translation.segments.length,
+      estimatedTotalTime: source.estimated_total_time,
+      coverage: source.coverage_json ? JSON.parse(source.coverage_json) : null,
+      llm: translation.llm,
+      method: 'translation',
+      translatedFrom: source.id
+    }, null, variantOptions);
+    await removeSupersededSegmentations(saved);
+
+    res.status(201).json({
+      success: true,
+      cached: false,
+      data: formatSegmentation(saved)
+    });
+
+  } catch (error) {
+    console.error('[Error] Translate segments error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to translate roadmap',
+      message: error.message
+    });
+  }
+}
+
+module.exports = {
+  translateSegmentsEndpoint
+};
@@ -1,5 +1,5 @@
 const jwt = require('jsonwebtoken');
-const { supabase } = require('../config/supabase');
+const { isAccessTokenRevoked } = require('../services/session.service');
 
 /**
  * Middleware to verify JWT token and authenticate user
@@ -21,11 +21,30 @@ const authenticateToken = async (req, res, next) => {
     // Verify JWT token (our custom JWT)
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // Tokens from before sessions existed carry no id and could never be revoked
+    if (!decoded.jti) {
+      return res.status(401).json({
+        success: false,
+        error: 'Session expired. Please login again.'
+      });
+    }
+
+    // Revoked by logout, "log out everywhere" or refresh token reuse
+    if (await isAccessTokenRevoked(decoded.jti)) {
+      return res.status(401).json({
+        success: false,
+        error: 'Token has been revoked. Please login again.'
+      });
+    }
+
     // Attach user info to request object
     req.user = {
       id: decoded.userId,
       email: decoded.email,
-      token: token
+      token: token,
+      sessionId: decoded.sid || null,
+      tokenId: decoded.jti,
+      tokenExpiresAt: decoded.exp ? new Date(decoded.exp * 1000).toISOString() : null
     };
 
     next(); // Continue to the route handler
@@ -42,7 +61,7 @@ const authenticateToken = async (req, res, next) => {
     if (error.name === 'TokenExpiredError') {
       return res.status(401).json({
         success: false,
-        error: 'Token expired. Please login again.'
+        error: 'Token expired. Refresh your session or login again.'
       });
     }
 
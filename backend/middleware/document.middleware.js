@@ -0,0 +1,87 @@
+const { getDocumentById } = require('../services/document.service');
+const { getExistingSegments } = require('../controllers/segmentation.controller');
+
+/**
+ * Middleware to load a document and make sure it belongs to the current user
+ * Must run after authenticateToken. Reads the id from req.params.pdfId,
+ * falling back to req.body.pdfId, and attaches the row as req.document.
+ */
+const requireDocumentOwner = async (req, res, next) => {
+  try {
+    const pdfId = req.params.pdfId || req.body?.pdfId;
+
+    if (!pdfId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields',
+        required: ['pdfId']
+      });
+    }
+
+    const document = await getDocumentById(pdfId);
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        error: 'Document not found'
+      });
+    }
+
+    if (document.user_id !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have access to this document.'
+      });
+    }
+
+    req.document = document;
+    next();
+  } catch (error) {
+    console.error('Document ownership check error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to load document.'
+    });
+  }
+};
+
+/**
+ * Middleware to load one segment of the document's saved segmentation
+ * Must run after requireDocumentOwner. Reads req.params.segmentId and
+ * attaches the segmentation row as req.segmentation and the segment as req.segment.
+ */
+const requireSegment = async (req, res, next) => {
+  try {
+    const segmentation = await getExistingSegments(req.document.id, req.user.id);
+
+    if (!segmentation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Segmentation not found',
+        message: 'This PDF has not been segmented yet'
+      });
+    }
+
+    const segment = JSON.parse(segmentation.segments_json)
+      .find((candidate) => String(candidate.id) === String(req.params.segmentId));
+
+    if (!segment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Segment not found'
+      });
+    }
+
+    req.segmentation = segmentation;
+    req.segment = segment;
+    next();
+  } catch (error) {
+    console.error('Segment lookup error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to load segment.'
+    });
+  }
+};
+
+module.exports = { requireDocumentOwner, requireSegment };
@@ -11,7 +11,11 @@ const {
   googleSignIn,
   googleVerify,
   getProfile,
-  logout
+  refresh,
+  logout,
+  logoutAll,
+  listSessions,
+  deleteSession
 } = require('../controllers/auth.controller');
 
 /**
@@ -70,6 +74,13 @@ router.get('/google', googleSignIn);
  */
 router.post('/google/verify', googleVerify);
 
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange a refresh token for new access and refresh tokens (Body: { refreshToken })
+ * @access  Public (a reused refresh token revokes its session)
+ */
+router.post('/refresh', refresh);
+
 /**
  * @route   GET /api/auth/profile
  * @desc    Get user profile
@@ -84,4 +95,25 @@ router.get('/profile', authenticateToken, getProfile);
  */
 router.post('/logout', authenticateToken, logout);
 
+/**
+ * @route   POST /api/auth/logout-all
+ * @desc    Log out everywhere: revoke all of the user's sessions
+ * @access  Private (requires authentication)
+ */
+router.post('/logout-all', authenticateToken, logoutAll);
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List active sessions with device, IP and last use
+ * @access  Private (requires authentication)
+ */
+router.get('/sessions', authenticateToken, listSessions);
+
+/**
+ * @route   DELETE /api/auth/sessions/:sessionId
+ * @desc    Revoke one session
+ * @access  Private (requires authentication, own sessions only)
+ */
+router.delete('/sessions/:sessionId', authenticateToken, deleteSession);
+
 module.exports = router;
\ No newline at end of file
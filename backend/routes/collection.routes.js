@@ -0,0 +1,39 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth.middleware');
+const {
+  listCollectionsEndpoint,
+  createCollectionEndpoint,
+  updateCollectionEndpoint,
+  deleteCollectionEndpoint
+} = require('../controllers/collection.controller');
+
+/**
+ * @route   GET /api/collections
+ * @desc    The current user's collections (flat, with parentId and document counts)
+ * @access  Private (requires authentication)
+ */
+router.get('/', authenticateToken, listCollectionsEndpoint);
+
+/**
+ * @route   POST /api/collections
+ * @desc    Create a collection, optionally inside another one (Body: { name, parentId? })
+ * @access  Private (requires authentication)
+ */
+router.post('/', authenticateToken, createCollectionEndpoint);
+
+/**
+ * @route   PATCH /api/collections/:collectionId
+ * @desc    Rename and/or move a collection (Body: { name?, parentId? })
+ * @access  Private (requires authentication, owner only)
+ */
+router.patch('/:collectionId', authenticateToken, updateCollectionEndpoint);
+
+/**
+ * @route   DELETE /api/collections/:collectionId
+ * @desc    Delete a collection; its subcollections and documents move up to its parent
+ * @access  Private (requires authentication, owner only)
+ */
+router.delete('/:collectionId', authenticateToken, deleteCollectionEndpoint);
+
+module.exports = router;
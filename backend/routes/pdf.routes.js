@@ -2,16 +2,73 @@ const express = require('express');
 const router = express.Router();
 const multer = require('multer');
 const { authenticateToken } = require('../middleware/auth.middleware');
+const { requireDocumentOwner, requireSegment } = require('../middleware/document.middleware');
 const {
   uploadPDF,
   listPDFs,
+  getPDF,
+  updatePDF,
+  listPDFTags,
+  getPDFFile,
+  getPDFPages,
   deletePDF
 } = require('../controllers/pdf.controller');
 const {
   segmentPDFEndpoint,
+  streamSegmentationEndpoint,
   getSegmentsEndpoint,
+  listSegmentationConfigurationsEndpoint,
+  getSegmentTextEndpoint,
   deleteSegmentsEndpoint
 } = require('../controllers/segmentation.controller');
+const {
+  editSegmentsEndpoint,
+  listSegmentVersionsEndpoint,
+  getSegmentVersionEndpoint,
+  diffSegmentVersionsEndpoint,
+  restoreSegmentVersionEndpoint
+} = require('../controllers/segmentationEdit.controller');
+const { translateSegmentsEndpoint } = require('../controllers/translation.controller');
+const {
+  getJobStatusEndpoint,
+  retryJobEndpoint
+} = require('../controllers/job.controller');
+const { searchPDFsEndpoint } = require('../controllers/search.controller');
+const {
+  askDocumentEndpoint,
+  getConversationEndpoint,
+  deleteConversationEndpoint
+} = require('../controllers/ask.controller');
+const {
+  createQuizEndpoint,
+  getQuizEndpoint,
+  submitQuizAttemptEndpoint,
+  listQuizAttemptsEndpoint
+} = require('../controllers/quiz.controller');
+const {
+  listFlashcardsEndpoint,
+  createFlashcardEndpoint,
+  generateFlashcardsEndpoint,
+  updateFlashcardEndpoint,
+  deleteFlashcardEndpoint
+} = require('../controllers/flashcard.controller');
+const {
+  updateSegmentProgressEndpoint,
+  continueReadingEndpoint
+} = require('../controllers/progress.controller');
+const {
+  listAnnotationsEndpoint,
+  createAnnotationEndpoint,
+  getAnnotationEndpoint,
+  updateAnnotationEndpoint,
+  deleteAnnotationEndpoint
+} = require('../controllers/annotation.controller');
+const { exportDocumentEndpoint, importDocumentEndpoint } = require('../controllers/export.controller');
+const {
+  createShareEndpoint,
+  listSharesEndpoint,
+  revokeShareEndpoint
+} = require('../controllers/share.controller');
 
 // Configure multer for PDF uploads
 const storage = multer.memoryStorage();
@@ -37,30 +94,173 @@ const upload = multer({
  * @route   POST /api/pdf/upload
  * @desc    Upload academic PDF document with integrated validation
  *          The system checks PDF validity and notifies users if a file is unsupported
- * @access  Public
+ *          The file is stored under the uploader's prefix and recorded as their document
+ * @access  Private (requires authentication)
  */
-router.post('/upload', upload.single('pdf'), uploadPDF);
+router.post('/upload', authenticateToken, upload.single('pdf'), uploadPDF);
 
 /**
  * @route   GET /api/pdf/list
- * @desc    Get list of uploaded PDFs
- * @access  Public
+ * @desc    Get list of the current user's uploaded PDFs
+ *          Supports sortBy, order, q, author, minPages, maxPages, uploadedAfter,
+ *          uploadedBefore, collectionId (or none), recursive, tag, limit and cursor query parameters
+ * @access  Private (requires authentication)
+ */
+router.get('/list', authenticateToken, listPDFs);
+
+/**
+ * @route   GET /api/pdf/search
+ * @desc    Full-text search over page text of the current user's PDFs
+ *          Query: q (required; "quoted phrases" supported), pdfId, collectionId, recursive, tag, limit, offset
+ * @access  Private (requires authentication, own documents only)
+ */
+router.get('/search', authenticateToken, searchPDFsEndpoint);
+
+/**
+ * @route   GET /api/pdf/tags
+ * @desc    Tags used on the current user's PDFs, most used first
+ * @access  Private (requires authentication)
+ */
+router.get('/tags', authenticateToken, listPDFTags);
+
+/**
+ * @route   GET /api/pdf/continue
+ * @desc    Documents the current user is partway through, with the segment and page to resume at
+ * @access  Private (requires authentication)
+ */
+router.get('/continue', authenticateToken, continueReadingEndpoint);
+
+/**
+ * @route   GET /api/pdf/jobs/:jobId
+ * @desc    Poll a background job (queued, extracting, segmenting, saving, done, failed)
+ * @access  Private (requires authentication, job owner only)
+ */
+router.get('/jobs/:jobId', authenticateToken, getJobStatusEndpoint);
+
+/**
+ * @route   POST /api/pdf/jobs/:jobId/retry
+ * @desc    Re-queue a failed background job
+ * @access  Private (requires authentication, job owner only)
+ */
+router.post('/jobs/:jobId/retry', authenticateToken, retryJobEndpoint);
+
+/**
+ * SEGMENTATION ROUTES - AI-Powered Document Analysis (configured LLM provider)
+ * All segmentation routes are scoped to documents owned by the current user
+ * POST /segment returns 200 for cached results, otherwise 202 with a job id
+ * POST /segment and /segment/stream take { targetSegments, audience, focus, detail, language, force };
+ * each set of options is cached separately and GET /segments/configurations lists them
+ * POST /segments/translate { language, force? } stores a translation as a language variant
+ * GET /segments includes the current user's reading progress; PUT .../progress records it
+ */
+router.post('/segment', authenticateToken, requireDocumentOwner, segmentPDFEndpoint);
+router.get('/:pdfId/segment/stream', authenticateToken, requireDocumentOwner, streamSegmentationEndpoint);
+router.get('/:pdfId/segments', authenticateToken, requireDocumentOwner, getSegmentsEndpoint);
+router.get('/:pdfId/segments/configurations', authenticateToken, requireDocumentOwner, listSegmentationConfigurationsEndpoint);
+router.post('/:pdfId/segments/translate', authenticateToken, requireDocumentOwner, translateSegmentsEndpoint);
+router.get('/:pdfId/segments/:segmentId/text', authenticateToken, requireDocumentOwner, requireSegment, getSegmentTextEndpoint);
+router.put('/:pdfId/segments/:segmentId/progress', authenticateToken, requireDocumentOwner, requireSegment, updateSegmentProgressEndpoint);
+router.delete('/:pdfId/segments', authenticateToken, requireDocumentOwner, deleteSegmentsEndpoint);
+
+/**
+ * SEGMENT EDITING ROUTES - Hand edits to the roadmap, each saved as a new version
+ * PATCH /segments takes { operations, summary?, baseVersion? }; restoring a version adds a new one
+ */
+router.patch('/:pdfId/segments', authenticateToken, requireDocumentOwner, editSegmentsEndpoint);
+router.get('/:pdfId/segments/versions', authenticateToken, requireDocumentOwner, listSegmentVersionsEndpoint);
+router.get('/:pdfId/segments/versions/diff', authenticateToken, requireDocumentOwner, diffSegmentVersionsEndpoint);
+router.get('/:pdfId/segments/versions/:version', authenticateToken, requireDocumentOwner, getSegmentVersionEndpoint);
+router.post('/:pdfId/segments/versions/:version/restore', authenticateToken, requireDocumentOwner, restoreSegmentVersionEndpoint);
+
+/**
+ * QUIZ ROUTES - Self-check quizzes generated from one segment's text
+ * POST /quiz returns the stored quiz (200) unless { regenerate: true }, otherwise 201
+ * Attempts take { quizId?, answers: [{ questionId, answer }] } and are graded per user
+ */
+router.post('/:pdfId/segments/:segmentId/quiz', authenticateToken, requireDocumentOwner, requireSegment, createQuizEndpoint);
+router.get('/:pdfId/segments/:segmentId/quiz', authenticateToken, requireDocumentOwner, requireSegment, getQuizEndpoint);
+router.post('/:pdfId/segments/:segmentId/quiz/attempts', authenticateToken, requireDocumentOwner, requireSegment, submitQuizAttemptEndpoint);
+router.get('/:pdfId/segments/:segmentId/quiz/attempts', authenticateToken, requireDocumentOwner, requireSegment, listQuizAttemptsEndpoint);
+
+/**
+ * FLASHCARD ROUTES - Cards per document, optionally tied to a segment
+ * POST /flashcards/generate builds cards from the segmentation's glossary and key points
+ * Reviews go through /api/study
+ */
+router.get('/:pdfId/flashcards', authenticateToken, requireDocumentOwner, listFlashcardsEndpoint);
+router.post('/:pdfId/flashcards', authenticateToken, requireDocumentOwner, createFlashcardEndpoint);
+router.post('/:pdfId/flashcards/generate', authenticateToken, requireDocumentOwner, generateFlashcardsEndpoint);
+router.patch('/:pdfId/flashcards/:cardId', authenticateToken, requireDocumentOwner, updateFlashcardEndpoint);
+router.delete('/:pdfId/flashcards/:cardId', authenticateToken, requireDocumentOwner, deleteFlashcardEndpoint);
+
+/**
+ * ANNOTATION ROUTES - Highlights and notes, private to the current user
+ * Anchored by page, rects and quote text; re-anchored by quote when page text is re-extracted
+ */
+router.get('/:pdfId/annotations', authenticateToken, requireDocumentOwner, listAnnotationsEndpoint);
+router.post('/:pdfId/annotations', authenticateToken, requireDocumentOwner, createAnnotationEndpoint);
+router.get('/:pdfId/annotations/:annotationId', authenticateToken, requireDocumentOwner, getAnnotationEndpoint);
+router.patch('/:pdfId/annotations/:annotationId', authenticateToken, requireDocumentOwner, updateAnnotationEndpoint);
+router.delete('/:pdfId/annotations/:annotationId', authenticateToken, requireDocumentOwner, deleteAnnotationEndpoint);
+
+/**
+ * EXPORT ROUTES - Roadmap and study material as files, and re-import
+ * GET  /:pdfId/export?format=markdown|anki-csv|anki-tsv|json
+ * POST /:pdfId/import?replace=true  Body: JSON bundle from format=json
+ */
+router.get('/:pdfId/export', authenticateToken, requireDocumentOwner, exportDocumentEndpoint);
+router.post('/:pdfId/import', authenticateToken, requireDocumentOwner, importDocumentEndpoint);
+
+/**
+ * SHARE ROUTES - Read-only links for people without an account (viewed via GET /api/share/:token)
+ * POST /:pdfId/shares takes { expiresInDays?, password?, includePdf? }; the token is returned once
+ */
+router.post('/:pdfId/shares', authenticateToken, requireDocumentOwner, createShareEndpoint);
+router.get('/:pdfId/shares', authenticateToken, requireDocumentOwner, listSharesEndpoint);
+router.delete('/:pdfId/shares/:shareId', authenticateToken, requireDocumentOwner, revokeShareEndpoint);
+
+/**
+ * ASK ROUTES - Questions about one document, answered with page citations
+ * POST /:pdfId/ask takes { question }; the conversation is kept per document
+ */
+router.post('/:pdfId/ask', authenticateToken, requireDocumentOwner, askDocumentEndpoint);
+router.get('/:pdfId/conversation', authenticateToken, requireDocumentOwner, getConversationEndpoint);
+router.delete('/:pdfId/conversation', authenticateToken, requireDocumentOwner, deleteConversationEndpoint);
+
+/**
+ * @route   GET /api/pdf/:pdfId/pages
+ * @desc    Get cleaned per-page text (reading order, no running headers/footers)
+ * @access  Private (requires authentication, owner only)
+ */
+router.get('/:pdfId/pages', authenticateToken, requireDocumentOwner, getPDFPages);
+
+/**
+ * @route   GET /api/pdf/:pdfId/file
+ * @desc    Get a short-lived signed URL to the PDF itself (the bucket is not public)
+ * @access  Private (requires authentication, owner only)
+ */
+router.get('/:pdfId/file', authenticateToken, requireDocumentOwner, getPDFFile);
+
+/**
+ * @route   GET /api/pdf/:pdfId
+ * @desc    Get a document record (filename, size, page count, PDF title/author/date, warnings)
+ * @access  Private (requires authentication, owner only)
  */
-router.get('/list', listPDFs);
+router.get('/:pdfId', authenticateToken, requireDocumentOwner, getPDF);
 
 /**
- * @route   DELETE /api/pdf/:filename
- * @desc    Delete a PDF from storage
- * @access  Public (for testing) - Can be made Private with authenticateToken
+ * @route   PATCH /api/pdf/:pdfId
+ * @desc    Move a PDF to a collection (collectionId, null = unfiled) and/or replace its tags
+ * @access  Private (requires authentication, owner only)
  */
-router.delete('/:filename', deletePDF);
+router.patch('/:pdfId', authenticateToken, requireDocumentOwner, updatePDF);
 
 /**
- * SEGMENTATION ROUTES - AI-Powered Document Analysis (Groq)
+ * @route   DELETE /api/pdf/:pdfId
+ * @desc    Delete one of the current user's PDFs (storage object and document record)
+ * @access  Private (requires authentication, owner only)
  */
-router.post('/segment', segmentPDFEndpoint);
-router.get('/:pdfId/segments', getSegmentsEndpoint);
-router.delete('/:pdfId/segments', deleteSegmentsEndpoint);
+router.delete('/:pdfId', authenticateToken, requireDocumentOwner, deletePDF);
 
 // Error handling middleware for multer
 router.use((error, req, res, next) => {
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const { getSharedDocumentEndpoint } = require('../controllers/share.controller');
+
+/**
+ * @route   GET /api/share/:token
+ * @desc    Read-only roadmap of a shared document, plus a short-lived PDF URL if the owner allowed it
+ *          Header: X-Share-Password for password-protected links
+ * @access  Public (anyone with the link)
+ */
+router.get('/:token', getSharedDocumentEndpoint);
+
+module.exports = router;
@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth.middleware');
+const {
+  getDueFlashcardsEndpoint,
+  reviewFlashcardEndpoint
+} = require('../controllers/flashcard.controller');
+
+/**
+ * @route   GET /api/study/due
+ * @desc    Flashcards due today across all of the current user's documents, most overdue first
+ *          Query: limit, pdfId, tzOffset (minutes, as Date#getTimezoneOffset)
+ * @access  Private (requires authentication)
+ */
+router.get('/due', authenticateToken, getDueFlashcardsEndpoint);
+
+/**
+ * @route   POST /api/study/cards/:cardId/review
+ * @desc    Grade recall of a card (0-5) and schedule its next review
+ * @access  Private (requires authentication, card owner only)
+ */
+router.post('/cards/:cardId/review', authenticateToken, reviewFlashcardEndpoint);
+
+module.exports = router;
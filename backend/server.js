@@ -6,6 +6,10 @@ require('dotenv').config();
 
 const { supabase, testConnection } = require('./config/supabase');
 const authRoutes = require('./routes/auth.routes');
+const studyRoutes = require('./routes/study.routes');
+const shareRoutes = require('./routes/share.routes');
+const collectionRoutes = require('./routes/collection.routes');
+const { recoverInterruptedJobs } = require('./services/jobQueue.service');
 
 // Validate required environment variables
 if (!process.env.JWT_SECRET) {
@@ -16,9 +20,20 @@ if (!process.env.JWT_SECRET) {
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a reverse proxy, take the client address (req.ip) from
+// X-Forwarded-For, but only as far as the proxies listed in TRUST_PROXY:
+// a hop count, or comma-separated addresses/subnets. Unset = no proxy, so a
+// client can't pick its own address by sending the header.
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY.trim();
+  app.set('trust proxy', /^\d+$/.test(trustProxy)
+    ? parseInt(trustProxy, 10)
+    : trustProxy.split(',').map((entry) => entry.trim()).filter(Boolean));
+}
+
 // Middleware
 app.use(cors()); // Enable CORS for all routes
-app.use(express.json()); // Parse JSON request bodies
+app.use(express.json({ limit: '5mb' })); // Parse JSON request bodies (export bundles can be large)
 app.use(express.urlencoded({ extended: true })); // Parse URL-encoded bodies
 
 // Serve static files from frontend directory
@@ -33,6 +48,9 @@ app.use((req, res, next) => {
 // API Routes (must come before catch-all route)
 app.use('/api/auth', authRoutes);
 app.use('/api/pdf', pdfRoutes);
+app.use('/api/study', studyRoutes);
+app.use('/api/share', shareRoutes);
+app.use('/api/collections', collectionRoutes);
 
 // Health check endpoint for API
 // Health check endpoint for API
@@ -49,13 +67,59 @@ app.get('/api', (req, res) => {
         'reset-password': 'POST /api/auth/reset-password',
         google: 'GET /api/auth/google',
         'google-verify': 'POST /api/auth/google/verify',
+        refresh: 'POST /api/auth/refresh (rotates the refresh token)',
         profile: 'GET /api/auth/profile (requires auth)',
-        logout: 'POST /api/auth/logout (requires auth)'
+        logout: 'POST /api/auth/logout (requires auth, revokes the session)',
+        'logout-all': 'POST /api/auth/logout-all (requires auth, revokes every session)',
+        sessions: 'GET|DELETE /api/auth/sessions[/:sessionId] (requires auth)'
       },
       pdf: {
-        upload: 'POST /api/pdf/upload (with integrated validation)',
-        list: 'GET /api/pdf/list',
-        delete: 'DELETE /api/pdf/:filename'
+        upload: 'POST /api/pdf/upload (requires auth, with integrated validation)',
+        list: 'GET /api/pdf/list (requires auth, sortable, filterable by collection and tag, cursor paginated)',
+        search: 'GET /api/pdf/search?q= (requires auth, ranked page hits with snippets)',
+        get: 'GET /api/pdf/:pdfId (requires auth, owner only)',
+        update: 'PATCH /api/pdf/:pdfId (requires auth, owner only, collectionId and tags)',
+        tags: 'GET /api/pdf/tags (requires auth, tags with document counts)',
+        pages: 'GET /api/pdf/:pdfId/pages (requires auth, owner only, cleaned per-page text)',
+        delete: 'DELETE /api/pdf/:pdfId (requires auth, owner only)',
+        segment: 'POST /api/pdf/segment (requires auth, owner only, 202 + job id when not cached; targetSegments/audience/focus/detail/language/force)',
+        'segment-stream': 'GET /api/pdf/:pdfId/segment/stream (requires auth, Server-Sent Events)',
+        job: 'GET /api/pdf/jobs/:jobId (requires auth)',
+        'job-retry': 'POST /api/pdf/jobs/:jobId/retry (requires auth)',
+        segments: 'GET /api/pdf/:pdfId/segments (requires auth, owner only, with reading progress)',
+        'segment-configurations': 'GET /api/pdf/:pdfId/segments/configurations (requires auth, owner only)',
+        'segments-translate': 'POST /api/pdf/:pdfId/segments/translate (requires auth, owner only, stored as a language variant)',
+        'segments-edit': 'PATCH /api/pdf/:pdfId/segments (requires auth, owner only, rename/reorder/merge/split/add/remove/editKeyPoints)',
+        'segment-versions': 'GET /api/pdf/:pdfId/segments/versions[/:version | /diff?from=&to=] (requires auth, owner only)',
+        'segment-restore': 'POST /api/pdf/:pdfId/segments/versions/:version/restore (requires auth, owner only)',
+        'segment-progress': 'PUT /api/pdf/:pdfId/segments/:segmentId/progress (requires auth, owner only)',
+        continue: 'GET /api/pdf/continue (requires auth, documents in progress with resume point)',
+        'segment-text': 'GET /api/pdf/:pdfId/segments/:segmentId/text (requires auth, owner only)',
+        quiz: 'POST|GET /api/pdf/:pdfId/segments/:segmentId/quiz (requires auth, owner only)',
+        'quiz-attempts': 'POST|GET /api/pdf/:pdfId/segments/:segmentId/quiz/attempts (requires auth, graded per user)',
+        flashcards: 'GET|POST /api/pdf/:pdfId/flashcards (requires auth, owner only)',
+        'flashcards-generate': 'POST /api/pdf/:pdfId/flashcards/generate (requires auth, from glossary and key points)',
+        flashcard: 'PATCH|DELETE /api/pdf/:pdfId/flashcards/:cardId (requires auth, owner only)',
+        annotations: 'GET|POST /api/pdf/:pdfId/annotations (requires auth, owner only)',
+        annotation: 'GET|PATCH|DELETE /api/pdf/:pdfId/annotations/:annotationId (requires auth, owner only)',
+        file: 'GET /api/pdf/:pdfId/file (requires auth, owner only, short-lived signed URL)',
+        shares: 'GET|POST /api/pdf/:pdfId/shares (requires auth, owner only, read-only links)',
+        share: 'DELETE /api/pdf/:pdfId/shares/:shareId (requires auth, owner only, revokes the link)',
+        export: 'GET /api/pdf/:pdfId/export?format=markdown|anki-csv|anki-tsv|json (requires auth, owner only)',
+        import: 'POST /api/pdf/:pdfId/import (requires auth, owner only, JSON bundle from export)',
+        ask: 'POST /api/pdf/:pdfId/ask (requires auth, owner only, answers with page citations)',
+        conversation: 'GET|DELETE /api/pdf/:pdfId/conversation (requires auth, owner only)'
+      },
+      study: {
+        due: 'GET /api/study/due (requires auth, flashcards due today across documents)',
+        review: 'POST /api/study/cards/:cardId/review (requires auth, SM-2 grade 0-5)'
+      },
+      collections: {
+        list: 'GET|POST /api/collections (requires auth, nestable via parentId)',
+        collection: 'PATCH|DELETE /api/collections/:collectionId (requires auth, rename/move; delete moves contents up)'
+      },
+      share: {
+        view: 'GET /api/share/:token (public, X-Share-Password header for protected links)'
       }
     }
   });
@@ -95,6 +159,9 @@ const startServer = async () => {
       console.error('Please check your SUPABASE_URL and SUPABASE_ANON_KEY in .env file');
     }
 
+    // Jobs cut off by the last shutdown can't resume; fail them so they can be retried
+    await recoverInterruptedJobs();
+
     app.listen(PORT, () => {
       console.log('================================');
       console.log(`🚀 Server is running on port ${PORT}`);
@@ -0,0 +1,301 @@
+/**
+ * ANNOTATION SERVICE
+ * Highlights and notes (`annotations`) anchored to a page by rectangles and
+ * by a text quote with surrounding context. The quote is what survives
+ * re-processing: when page text is re-extracted every annotation is looked
+ * up again and moved to wherever its quote now is.
+ *
+ * anchor_status:
+ *   anchored   - quote found on its page
+ *   moved      - quote found on another page after re-processing; rects are
+ *                cleared until the client sends new ones
+ *   orphaned   - quote no longer found anywhere
+ *   unverified - quote not found when the annotation was created
+ */
+
+const { supabase } = require('../config/supabase');
+
+// Characters of context stored on each side of a quote
+const CONTEXT_LENGTH = 32;
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Length of the common prefix of two strings, ignoring case and whitespace runs
+ */
+function sharedLength(a, b) {
+  const left = a.toLowerCase().replace(/\s+/g, ' ');
+  const right = b.toLowerCase().replace(/\s+/g, ' ');
+  let length = 0;
+  while (length < left.length && length < right.length && left[length] === right[length]) length++;
+  return length;
+}
+
+/**
+ * Find a quote in a page's text. Whitespace and case differences are
+ * tolerated; when the quote occurs more than once the occurrence whose
+ * surroundings best match the stored context wins.
+ * @param {string} text - Page text
+ * @param {Object} selector - { quote, prefix?, suffix? }
+ * @returns {Object|null} - { start, end, score } or null if absent
+ */
+function findQuote(text, { quote, prefix = '', suffix = '' }) {
+  const words = (quote || '').split(/\s+/).filter(Boolean);
+  if (words.length === 0 || !text) return null;
+
+  const pattern = new RegExp(words.map(escapeRegExp).join('\\s+'), 'gi');
+  let best = null;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    const before = text.slice(Math.max(0, match.index - prefix.length - CONTEXT_LENGTH), match.index);
+    const after = text.slice(match.index + match[0].length, match.index + match[0].length + suffix.length + CONTEXT_LENGTH);
+    const score = sharedLength([...before].reverse().join('').trimStart(), [...prefix].reverse().join('').trimStart()) +
+      sharedLength(after.trimStart(), suffix.trimStart());
+
+    if (!best || score > best.score) {
+      best = { start: match.index, end: match.index + match[0].length, score };
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Context around a located quote
+ * @returns {Object} - { prefix, suffix }
+ */
+function contextAround(text, start, end) {
+  return {
+    prefix: text.slice(Math.max(0, start - CONTEXT_LENGTH), start),
+    suffix: text.slice(end, end + CONTEXT_LENGTH)
+  };
+}
+
+/**
+ * Anchor a new annotation's quote to its page text
+ * @param {Object} fields - Annotation fields (page, quote, prefix?, suffix?)
+ * @param {string|null} pageText - Stored text of fields.page
+ * @returns {Object} - Anchor columns: text_start, text_end, prefix, suffix, anchor_status
+ */
+function anchorToPage(fields, pageText) {
+  if (!fields.quote) {
+    return { text_start: null, text_end: null, anchor_status: 'anchored' };
+  }
+
+  const located = pageText ? findQuote(pageText, fields) : null;
+  if (!located) {
+    return {
+      text_start: null,
+      text_end: null,
+      prefix: fields.prefix || null,
+      suffix: fields.suffix || null,
+      anchor_status: 'unverified'
+    };
+  }
+
+  const context = contextAround(pageText, located.start, located.end);
+  return {
+    text_start: located.start,
+    text_end: located.end,
+    prefix: fields.prefix || context.prefix,
+    suffix: fields.suffix || context.suffix,
+    anchor_status: 'anchored'
+  };
+}
+
+/**
+ * Look an annotation's quote up again in freshly extracted pages, starting
+ * with its own page and then moving outwards
+ * @param {Object} annotation - Annotation row
+ * @param {Array} pages - [{ page, text }]
+ * @returns {Object|null} - Column changes, or null when nothing changed
+ */
+function reanchor(annotation, pages) {
+  if (!annotation.quote) return null;
+
+  const selector = { quote: annotation.quote, prefix: annotation.prefix || '', suffix: annotation.suffix || '' };
+  const byDistance = [...pages].sort((a, b) =>
+    Math.abs(a.page - annotation.page_number) - Math.abs(b.page - annotation.page_number) || a.page - b.page
+  );
+
+  for (const { page, text } of byDistance) {
+    const located = findQuote(text, selector);
+    if (!located) continue;
+
+    const samePage = page === annotation.page_number;
+    // A moved annotation stays "moved" until the client sends new rects
+    const status = !samePage || annotation.anchor_status === 'moved' ? 'moved' : 'anchored';
+    const changes = {
+      page_number: page,
+      text_start: located.start,
+      text_end: located.end,
+      anchor_status: status
+    };
+    // Rectangles describe positions on the old page
+    if (!samePage) changes.rects = [];
+
+    const unchanged = samePage && annotation.anchor_status === status &&
+      annotation.text_start === located.start && annotation.text_end === located.end;
+    return unchanged ? null : changes;
+  }
+
+  return annotation.anchor_status === 'orphaned' ? null : { anchor_status: 'orphaned' };
+}
+
+/**
+ * Re-anchor every annotation of a document against new page texts
+ * @param {string} pdfId - Document id
+ * @param {Array} pages - [{ page, text }] as just stored
+ * @returns {Object} - { checked, updated }
+ */
+async function reanchorAnnotations(pdfId, pages) {
+  const { data, error } = await supabase
+    .from('annotations')
+    .select('*')
+    .eq('pdf_id', pdfId);
+
+  if (error) throw error;
+
+  let updated = 0;
+  for (const annotation of data || []) {
+    const changes = reanchor(annotation, pages);
+    if (!changes) continue;
+
+    await updateAnnotation(annotation.id, changes);
+    updated++;
+  }
+
+  if (updated > 0) {
+    console.log(`[Annotations] Re-anchored ${updated} of ${data.length} annotations on ${pdfId}`);
+  }
+
+  return { checked: (data || []).length, updated };
+}
+
+/**
+ * Store a new annotation
+ * @param {Object} record - Annotation columns (snake_case, as stored)
+ * @returns {Object} - Inserted row
+ */
+async function createAnnotation(record) {
+  const now = new Date().toISOString();
+  const { data, error } = await supabase
+    .from('annotations')
+    .insert([{ ...record, created_at: now, updated_at: now }])
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Annotations of a user on a document, in reading order
+ * @param {Object} [filters] - { page, segmentId, tag, color }
+ * @returns {Array} - Annotation rows
+ */
+async function listAnnotations(pdfId, userId, { page, segmentId, tag, color } = {}) {
+  let query = supabase
+    .from('annotations')
+    .select('*')
+    .eq('pdf_id', pdfId)
+    .eq('user_id', userId);
+
+  if (page !== undefined) query = query.eq('page_number', page);
+  if (segmentId !== undefined) query = query.eq('segment_id', String(segmentId));
+  if (tag) query = query.contains('tags', [tag]);
+  if (color) query = query.eq('color', color);
+
+  const { data, error } = await query
+    .order('page_number', { ascending: true })
+    .order('text_start', { ascending: true, nullsFirst: false })
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * One of the user's annotations on a document
+ * @returns {Object|null} - Annotation row or null
+ */
+async function getAnnotation(annotationId, pdfId, userId) {
+  const { data, error } = await supabase
+    .from('annotations')
+    .select('*')
+    .eq('id', annotationId)
+    .eq('pdf_id', pdfId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  // A malformed uuid is just an unknown annotation
+  if (error && error.code !== '22P02') throw error;
+  return data || null;
+}
+
+/**
+ * Update columns of an annotation
+ * @returns {Object} - Updated row
+ */
+async function updateAnnotation(annotationId, changes) {
+  const { data, error } = await supabase
+    .from('annotations')
+    .update({ ...changes, updated_at: new Date().toISOString() })
+    .eq('id', annotationId)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+async function deleteAnnotation(annotationId) {
+  const { error } = await supabase
+    .from('annotations')
+    .delete()
+    .eq('id', annotationId);
+
+  if (error) throw error;
+}
+
+/**
+ * Map an annotation row to the API response shape
+ * @param {Object} row - Annotation row
+ * @returns {Object} - API representation
+ */
+function formatAnnotation(row) {
+  return {
+    id: row.id,
+    pdfId: row.pdf_id,
+    segmentId: row.segment_id,
+    page: row.page_number,
+    quote: row.quote,
+    context: { prefix: row.prefix || '', suffix: row.suffix || '' },
+    textRange: row.text_start !== null && row.text_start !== undefined
+      ? { start: row.text_start, end: row.text_end }
+      : null,
+    rects: row.rects || [],
+    color: row.color,
+    tags: row.tags || [],
+    note: row.note,
+    anchorStatus: row.anchor_status,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+module.exports = {
+  findQuote,
+  anchorToPage,
+  reanchor,
+  reanchorAnnotations,
+  createAnnotation,
+  listAnnotations,
+  getAnnotation,
+  updateAnnotation,
+  deleteAnnotation,
+  formatAnnotation
+};
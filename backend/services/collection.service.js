@@ -0,0 +1,215 @@
+/**
+ * COLLECTION SERVICE
+ * User-owned folders (`collections`) that nest through parent_id. A document
+ * sits in at most one collection (documents.collection_id); null is unfiled.
+ */
+
+const { supabase } = require('../config/supabase');
+
+/**
+ * All of a user's collections, by name
+ * @returns {Array} - Collection rows
+ */
+async function listCollections(userId) {
+  const { data, error } = await supabase
+    .from('collections')
+    .select('*')
+    .eq('user_id', userId)
+    .order('name', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * One of the user's collections
+ * @returns {Object|null} - Collection row or null
+ */
+async function getCollection(collectionId, userId) {
+  const { data, error } = await supabase
+    .from('collections')
+    .select('*')
+    .eq('id', collectionId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  // A malformed uuid is just an unknown collection
+  if (error && error.code !== '22P02') throw error;
+  return data || null;
+}
+
+async function createCollection(userId, { name, parentId }) {
+  const now = new Date().toISOString();
+  const { data, error } = await supabase
+    .from('collections')
+    .insert([{
+      user_id: userId,
+      name,
+      parent_id: parentId || null,
+      created_at: now,
+      updated_at: now
+    }])
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Rename and/or move a collection
+ * @param {Object} changes - { name?, parent_id? }
+ * @returns {Object} - Updated row
+ */
+async function updateCollection(collectionId, changes) {
+  const { data, error } = await supabase
+    .from('collections')
+    .update({ ...changes, updated_at: new Date().toISOString() })
+    .eq('id', collectionId)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+const COLLECTION_DELETE_RETRIES = 3;
+
+/**
+ * Delete a collection. Its documents and subcollections move up to its
+ * parent (or become unfiled/top-level), so nothing inside is lost.
+ * Every step only touches what is still in the collection and the row
+ * itself goes last, once it is empty, so a delete that failed part-way
+ * can simply be run again.
+ * @param {Object} collection - Collection row
+ * @returns {boolean} - Whether the collection row was deleted by this call
+ */
+async function deleteCollection(collection) {
+  const parentId = collection.parent_id || null;
+
+  for (let attempt = 1; attempt <= COLLECTION_DELETE_RETRIES; attempt++) {
+    const { error: documentError } = await supabase
+      .from('documents')
+      .update({ collection_id: parentId })
+      .eq('collection_id', collection.id)
+      .eq('user_id', collection.user_id);
+    if (documentError) throw documentError;
+
+    const { error: childError } = await supabase
+      .from('collections')
+      .update({ parent_id: parentId, updated_at: new Date().toISOString() })
+      .eq('parent_id', collection.id)
+      .eq('user_id', collection.user_id);
+    if (childError) throw childError;
+
+    // Something filed into the collection meanwhile would be unfiled or
+    // orphaned by the delete; move it up on the next pass instead
+    if (await isCollectionEmpty(collection.id)) {
+      const { data, error } = await supabase
+        .from('collections')
+        .delete()
+        .eq('id', collection.id)
+        .eq('user_id', collection.user_id)
+        .select('id');
+      if (error) throw error;
+
+      return (data || []).length > 0;
+    }
+  }
+
+  throw new Error('Collection kept receiving new content while being deleted; try again');
+}
+
+async function isCollectionEmpty(collectionId) {
+  const { count: documentCount, error: documentError } = await supabase
+    .from('documents')
+    .select('id', { count: 'exact', head: true })
+    .eq('collection_id', collectionId);
+  if (documentError) throw documentError;
+
+  const { count: childCount, error: childError } = await supabase
+    .from('collections')
+    .select('id', { count: 'exact', head: true })
+    .eq('parent_id', collectionId);
+  if (childError) throw childError;
+
+  return !documentCount && !childCount;
+}
+
+/**
+ * Ids of a collection and everything nested below it
+ * @param {Array} collections - The user's collection rows
+ * @param {string} collectionId - Root of the subtree
+ * @returns {Array} - Collection ids, root first
+ */
+function collectSubtreeIds(collections, collectionId) {
+  const ids = [collectionId];
+  for (let i = 0; i < ids.length; i++) {
+    for (const collection of collections) {
+      if (collection.parent_id === ids[i]) ids.push(collection.id);
+    }
+  }
+  return ids;
+}
+
+/**
+ * Depth of a collection (top level is 1)
+ * @param {Array} collections - The user's collection rows
+ */
+function collectionDepth(collections, collectionId) {
+  const byId = new Map(collections.map((collection) => [collection.id, collection]));
+  let depth = 0;
+  for (let current = byId.get(collectionId); current && depth <= collections.length; current = byId.get(current.parent_id)) {
+    depth++;
+  }
+  return depth;
+}
+
+/**
+ * Number of documents directly in each of a user's collections
+ * @returns {Map} - collection id -> count (null key for unfiled)
+ */
+async function countDocumentsByCollection(userId) {
+  const { data, error } = await supabase
+    .from('documents')
+    .select('collection_id')
+    .eq('user_id', userId);
+
+  if (error) throw error;
+
+  const counts = new Map();
+  for (const row of data || []) {
+    const key = row.collection_id || null;
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return counts;
+}
+
+/**
+ * Map a collection row to the API response shape
+ * @param {Object} row - Collection row
+ * @param {number} [documentCount] - Documents directly in the collection
+ * @returns {Object} - API representation
+ */
+function formatCollection(row, documentCount) {
+  return {
+    id: row.id,
+    name: row.name,
+    parentId: row.parent_id || null,
+    documentCount: documentCount ?? undefined,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+module.exports = {
+  listCollections,
+  getCollection,
+  createCollection,
+  updateCollection,
+  deleteCollection,
+  collectSubtreeIds,
+  collectionDepth,
+  countDocumentsByCollection,
+  formatCollection
+};
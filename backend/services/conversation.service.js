@@ -0,0 +1,110 @@
+/**
+ * CONVERSATION SERVICE
+ * Question/answer history per document and user, stored in
+ * `document_conversations` (one row per message)
+ */
+
+const { supabase } = require('../config/supabase');
+
+/**
+ * Map a message row to the API response shape
+ * @param {Object} row - Message row
+ * @returns {Object} - API representation
+ */
+function formatMessage(row) {
+  return {
+    id: row.id,
+    role: row.role,
+    content: row.content,
+    answered: row.role === 'assistant' ? row.answered : undefined,
+    citations: row.citations_json ? JSON.parse(row.citations_json) : undefined,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Read the most recent messages of a document conversation
+ * @param {string} pdfId - Document id
+ * @param {string} userId - Owner's user id
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Only the newest N messages
+ * @returns {Array} - Message rows, oldest first
+ */
+async function getConversation(pdfId, userId, { limit } = {}) {
+  let query = supabase
+    .from('document_conversations')
+    .select('*')
+    .eq('pdf_id', pdfId)
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: false });
+
+  if (limit) query = query.limit(limit);
+
+  const { data, error } = await query;
+  if (error) throw error;
+
+  return (data || []).reverse();
+}
+
+/**
+ * Append a question and its answer to a document conversation
+ * @param {string} pdfId - Document id
+ * @param {string} userId - Owner's user id
+ * @param {Object} exchange - { question, answer, answered, citations, llm }
+ * @returns {Array} - Inserted rows (question, answer)
+ */
+async function appendExchange(pdfId, userId, { question, answer, answered, citations, llm }) {
+  const askedAt = new Date();
+  // Keep the answer strictly after its question so ordering by time is stable
+  const answeredAt = new Date(askedAt.getTime() + 1);
+
+  const { data, error } = await supabase
+    .from('document_conversations')
+    .insert([
+      {
+        pdf_id: pdfId,
+        user_id: userId,
+        role: 'user',
+        content: question,
+        created_at: askedAt.toISOString()
+      },
+      {
+        pdf_id: pdfId,
+        user_id: userId,
+        role: 'assistant',
+        content: answer,
+        answered,
+        citations_json: JSON.stringify(citations || []),
+        llm_provider: llm?.provider || null,
+        llm_model: llm?.model || null,
+        created_at: answeredAt.toISOString()
+      }
+    ])
+    .select();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Delete a document conversation
+ * @param {string} pdfId - Document id
+ * @param {string} userId - Owner's user id
+ */
+async function clearConversation(pdfId, userId) {
+  const { error } = await supabase
+    .from('document_conversations')
+    .delete()
+    .eq('pdf_id', pdfId)
+    .eq('user_id', userId);
+
+  if (error) throw error;
+}
+
+module.exports = {
+  formatMessage,
+  getConversation,
+  appendExchange,
+  clearConversation
+};
@@ -0,0 +1,407 @@
+/**
+ * DOCUMENT SERVICE
+ * Ownership-aware access to the `documents` table and the PDF storage bucket
+ */
+
+const { supabase } = require('../config/supabase');
+
+const PDF_BUCKET = 'academic-pdfs';
+
+/**
+ * Build the storage path for a user's PDF
+ * Every user gets their own prefix inside the bucket: pdfs/<userId>/<filename>
+ * @param {string} userId - Owner's user id
+ * @param {string} filename - Generated storage filename
+ * @returns {string} - Storage path
+ */
+function buildStoragePath(userId, filename) {
+  return `pdfs/${userId}/${filename}`;
+}
+
+/**
+ * Fetch a document record by id (no ownership check)
+ * @param {string} pdfId - Document id
+ * @returns {Object|null} - Document row or null if it does not exist
+ */
+async function getDocumentById(pdfId) {
+  const { data, error } = await supabase
+    .from('documents')
+    .select('*')
+    .eq('id', pdfId)
+    .maybeSingle();
+
+  // 22P02 = malformed uuid, which can only mean "no such document"
+  if (error && error.code !== '22P02') throw error;
+  return data || null;
+}
+
+/**
+ * Fetch several document records by id (no ownership check)
+ * @param {Array} pdfIds - Document ids
+ * @returns {Array} - Document rows that exist
+ */
+async function getDocumentsByIds(pdfIds) {
+  if (pdfIds.length === 0) return [];
+
+  const { data, error } = await supabase
+    .from('documents')
+    .select('*')
+    .in('id', pdfIds);
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Download a document's PDF from storage
+ * @param {Object} document - Document row
+ * @returns {Buffer} - PDF bytes
+ */
+async function downloadDocumentPDF(document) {
+  const { data, error } = await supabase
+    .storage
+    .from(PDF_BUCKET)
+    .download(document.storage_path);
+
+  if (error) {
+    throw new Error(`Failed to download PDF: ${error.message}`);
+  }
+
+  return Buffer.from(await data.arrayBuffer());
+}
+
+/**
+ * Time-limited URL to a document's PDF in the (private) bucket
+ * @param {Object} document - Document row
+ * @param {number} expiresIn - Lifetime in seconds
+ * @returns {Object} - { url, expiresAt }
+ */
+async function createSignedPDFUrl(document, expiresIn) {
+  const { data, error } = await supabase
+    .storage
+    .from(PDF_BUCKET)
+    .createSignedUrl(document.storage_path, expiresIn);
+
+  if (error) {
+    throw new Error(`Failed to sign PDF URL: ${error.message}`);
+  }
+
+  return {
+    url: data.signedUrl,
+    expiresAt: new Date(Date.now() + expiresIn * 1000).toISOString()
+  };
+}
+
+/**
+ * Record a newly uploaded PDF for its owner
+ * @param {Object} record - Document fields (snake_case, as stored)
+ * @returns {Object} - Inserted document row
+ */
+async function createDocument(record) {
+  const { data, error } = await supabase
+    .from('documents')
+    .insert([{
+      ...record,
+      created_at: new Date().toISOString()
+    }])
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Update columns of a document row
+ * @param {string} pdfId - Document id
+ * @param {Object} changes - Column values to set
+ * @returns {Object} - Updated document row
+ */
+async function updateDocument(pdfId, changes) {
+  const { data, error } = await supabase
+    .from('documents')
+    .update(changes)
+    .eq('id', pdfId)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Find a document with the given content hash
+ * @param {string} contentHash - SHA-256 hex digest of the PDF bytes
+ * @param {string} [userId] - Restrict to this owner; omit to search all users
+ * @returns {Object|null} - Oldest matching document row or null
+ */
+async function findDocumentByHash(contentHash, userId) {
+  let query = supabase
+    .from('documents')
+    .select('*')
+    .eq('content_hash', contentHash);
+
+  if (userId) query = query.eq('user_id', userId);
+
+  const { data, error } = await query
+    .order('created_at', { ascending: true })
+    .limit(1);
+
+  if (error) throw error;
+  return data?.[0] || null;
+}
+
+/**
+ * Count documents that point at a storage object, excluding one document
+ * @param {string} storagePath - Path inside the PDF bucket
+ * @param {string} excludeId - Document id to leave out of the count
+ * @returns {number} - Number of other documents using the blob
+ */
+async function countDocumentsWithStoragePath(storagePath, excludeId) {
+  const { count, error } = await supabase
+    .from('documents')
+    .select('id', { count: 'exact', head: true })
+    .eq('storage_path', storagePath)
+    .neq('id', excludeId);
+
+  if (error) throw error;
+  return count || 0;
+}
+
+// API sort keys -> documents columns (all NOT NULL so keyset pagination is stable)
+const SORTABLE_COLUMNS = {
+  uploadedAt: 'created_at',
+  filename: 'original_filename',
+  fileSize: 'file_size'
+};
+
+/**
+ * Quote a value for use inside a PostgREST or() filter
+ * @param {*} value - Raw value
+ * @returns {string} - Double-quoted, escaped value
+ */
+function quoteFilterValue(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Encode the position after a row as an opaque cursor
+ * @param {Object} row - Last document row of a page
+ * @param {string} column - Sort column
+ * @returns {string} - base64url cursor
+ */
+function encodeCursor(row, column) {
+  return Buffer.from(JSON.stringify({ v: row[column], id: row.id })).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor - base64url cursor
+ * @returns {Object|null} - { v, id } or null if malformed
+ */
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return decoded && decoded.id !== undefined && decoded.v !== undefined ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Restrict a documents query to a collection and/or tags
+ * @param {Object} query - Supabase query on `documents`, or on a table embedding it
+ * @param {Object} filters
+ * @param {Array} [filters.collectionIds] - Any of these collections; [null] means unfiled
+ * @param {Array} [filters.tags] - Every one of these tags
+ * @param {string} [prefix] - Column prefix for an embedded documents resource, e.g. 'documents.'
+ * @returns {Object} - Filtered query
+ */
+function applyOrganisationFilters(query, { collectionIds, tags } = {}, prefix = '') {
+  if (collectionIds) {
+    query = collectionIds.length === 1 && collectionIds[0] === null
+      ? query.is(`${prefix}collection_id`, null)
+      : query.in(`${prefix}collection_id`, collectionIds);
+  }
+  if (tags && tags.length > 0) query = query.contains(`${prefix}tags`, tags);
+  return query;
+}
+
+/**
+ * List documents owned by a user with sorting, filtering and cursor pagination
+ * @param {string} userId - Owner's user id
+ * @param {Object} options - Normalised list options
+ * @param {string} options.sortBy - Key of SORTABLE_COLUMNS
+ * @param {string} options.order - 'asc' or 'desc'
+ * @param {number} options.limit - Page size
+ * @param {Object} [options.cursor] - Decoded cursor
+ * @param {string} [options.q] - Substring match on filename or PDF title
+ * @param {string} [options.author] - Substring match on PDF author
+ * @param {number} [options.minPages] - Minimum page count
+ * @param {number} [options.maxPages] - Maximum page count
+ * @param {string} [options.uploadedAfter] - ISO date lower bound
+ * @param {string} [options.uploadedBefore] - ISO date upper bound
+ * @param {Array} [options.collectionIds] - See applyOrganisationFilters
+ * @param {Array} [options.tags] - See applyOrganisationFilters
+ * @returns {Object} - { documents, nextCursor }
+ */
+async function listDocumentsForUser(userId, options) {
+  const column = SORTABLE_COLUMNS[options.sortBy];
+  const ascending = options.order === 'asc';
+
+  let query = supabase
+    .from('documents')
+    .select('*')
+    .eq('user_id', userId);
+
+  if (options.q) {
+    const pattern = quoteFilterValue(`%${options.q}%`);
+    query = query.or(`original_filename.ilike.${pattern},pdf_title.ilike.${pattern}`);
+  }
+  if (options.author) query = query.ilike('pdf_author', `%${options.author}%`);
+  if (options.minPages !== undefined) query = query.gte('page_count', options.minPages);
+  if (options.maxPages !== undefined) query = query.lte('page_count', options.maxPages);
+  if (options.uploadedAfter) query = query.gte('created_at', options.uploadedAfter);
+  if (options.uploadedBefore) query = query.lte('created_at', options.uploadedBefore);
+  query = applyOrganisationFilters(query, options);
+
+  // Keyset pagination on (sort column, id) so inserts don't shift pages
+  if (options.cursor) {
+    const op = ascending ? 'gt' : 'lt';
+    const v = quoteFilterValue(options.cursor.v);
+    const id = quoteFilterValue(options.cursor.id);
+    query = query.or(`${column}.${op}.${v},and(${column}.eq.${v},id.${op}.${id})`);
+  }
+
+  const { data, error } = await query
+    .order(column, { ascending })
+    .order('id', { ascending })
+    .limit(options.limit + 1);
+
+  if (error) throw error;
+
+  const rows = data || [];
+  const hasMore = rows.length > options.limit;
+  const documents = hasMore ? rows.slice(0, options.limit) : rows;
+
+  return {
+    documents,
+    nextCursor: hasMore ? encodeCursor(documents[documents.length - 1], column) : null
+  };
+}
+
+/**
+ * Tags a user has put on their documents, most used first
+ * @param {string} userId - Owner's user id
+ * @returns {Array} - [{ tag, count }]
+ */
+async function listDocumentTags(userId) {
+  const { data, error } = await supabase
+    .from('documents')
+    .select('tags')
+    .eq('user_id', userId);
+
+  if (error) throw error;
+
+  const counts = new Map();
+  for (const row of data || []) {
+    for (const tag of row.tags || []) counts.set(tag, (counts.get(tag) || 0) + 1);
+  }
+
+  return [...counts.entries()]
+    .map(([tag, count]) => ({ tag, count }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
+
+// Rows that belong to a document, whoever created them (share recipients
+// have their own progress, notes and cards); children before parents
+const DOCUMENT_DEPENDENT_TABLES = [
+  // Jobs are only stored in the database with the supabase job persistence
+  ...(process.env.JOB_PERSISTENCE === 'supabase' ? [['segmentation_jobs', 'payload->>pdfId']] : []),
+  ['quiz_attempts', 'pdf_id'],
+  ['segment_quizzes', 'pdf_id'],
+  ['flashcards', 'pdf_id'],
+  ['annotations', 'pdf_id'],
+  ['segment_progress', 'pdf_id'],
+  ['document_conversations', 'pdf_id'],
+  ['share_password_attempts', 'pdf_id'],
+  ['document_shares', 'pdf_id'],
+  ['segmentation_versions', 'pdf_id'],
+  ['document_segments', 'pdf_id'],
+  ['document_pages', 'document_id']
+];
+
+/**
+ * Delete a document record together with everything that refers to it
+ * The document row goes last, so a failure part-way leaves it in place and
+ * the delete can simply be repeated.
+ * @param {string} pdfId - Document id
+ * @param {string} userId - Owner's user id
+ */
+async function deleteDocument(pdfId, userId) {
+  const document = await getDocumentById(pdfId);
+  if (!document || document.user_id !== userId) return;
+
+  for (const [table, column] of DOCUMENT_DEPENDENT_TABLES) {
+    const { error } = await supabase
+      .from(table)
+      .delete()
+      .eq(column, pdfId);
+
+    if (error) throw error;
+  }
+
+  const { error } = await supabase
+    .from('documents')
+    .delete()
+    .eq('id', pdfId)
+    .eq('user_id', userId);
+
+  if (error) throw error;
+}
+
+/**
+ * Map a document row to the API response shape
+ * @param {Object} doc - Document row
+ * @returns {Object} - API representation
+ */
+function formatDocument(doc) {
+  return {
+    id: doc.id,
+    filename: doc.filename,
+    originalFilename: doc.original_filename,
+    fileSize: doc.file_size,
+    pageCount: doc.page_count,
+    title: doc.pdf_title,
+    author: doc.pdf_author,
+    createdDate: doc.pdf_created_at,
+    warnings: doc.warnings || [],
+    ocrPages: doc.ocr_pages || [],
+    language: doc.language || null,
+    contentHash: doc.content_hash,
+    storagePath: doc.storage_path,
+    collectionId: doc.collection_id || null,
+    tags: doc.tags || [],
+    uploadedAt: doc.created_at
+  };
+}
+
+module.exports = {
+  PDF_BUCKET,
+  buildStoragePath,
+  getDocumentById,
+  getDocumentsByIds,
+  downloadDocumentPDF,
+  createSignedPDFUrl,
+  createDocument,
+  updateDocument,
+  findDocumentByHash,
+  countDocumentsWithStoragePath,
+  SORTABLE_COLUMNS,
+  decodeCursor,
+  applyOrganisationFilters,
+  listDocumentsForUser,
+  listDocumentTags,
+  deleteDocument,
+  formatDocument
+};
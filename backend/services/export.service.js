@@ -0,0 +1,204 @@
+/**
+ * EXPORT SERVICE
+ * Turns a document's roadmap and the user's notes into files: Markdown for
+ * reading, CSV/TSV for Anki, and a versioned JSON bundle for re-import
+ */
+
+const { buildCardsFromSegments } = require('./flashcard.service');
+
+const BUNDLE_FORMAT = 'docvia-export';
+const BUNDLE_VERSION = 1;
+
+function pageRangeLabel(segment) {
+  if (!segment.startPage) return null;
+  return segment.startPage === segment.endPage
+    ? `page ${segment.startPage}`
+    : `pages ${segment.startPage}-${segment.endPage}`;
+}
+
+/**
+ * Segment an annotation belongs to: its linked segment, else the segment
+ * whose page range contains it
+ */
+function segmentIdForAnnotation(annotation, segments) {
+  if (annotation.segmentId) return String(annotation.segmentId);
+
+  const containing = segments.find((segment) => segment.startPage &&
+    annotation.page >= segment.startPage && annotation.page <= segment.endPage);
+  return containing ? String(containing.id) : null;
+}
+
+function markdownList(items) {
+  return items.map((item) => `- ${item}`).join('\n');
+}
+
+function markdownAnnotation(annotation) {
+  const lines = [];
+  const quote = annotation.quote ? annotation.quote.replace(/\s+/g, ' ') : null;
+
+  lines.push(quote ? `> ${quote} (p. ${annotation.page})` : `> Highlight on page ${annotation.page}`);
+  if (annotation.note) {
+    lines.push('', annotation.note);
+  }
+  if (annotation.tags.length > 0) {
+    lines.push('', annotation.tags.map((tag) => `#${tag.replace(/\s+/g, '-')}`).join(' '));
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Markdown study guide: overview, segments with key points, objectives and
+ * glossary, and the user's highlights under the segment they belong to
+ * @param {Object} document - Formatted document
+ * @param {Object} segmentation - Formatted segmentation
+ * @param {Array} annotations - Formatted annotations
+ * @returns {string} - Markdown
+ */
+function buildMarkdown(document, segmentation, annotations) {
+  const segments = segmentation.segments;
+  const annotationsBySegment = new Map();
+  for (const annotation of annotations) {
+    const key = segmentIdForAnnotation(annotation, segments);
+    if (!annotationsBySegment.has(key)) annotationsBySegment.set(key, []);
+    annotationsBySegment.get(key).push(annotation);
+  }
+
+  const parts = [`# ${segmentation.title || document.title || document.originalFilename}`];
+
+  const details = [
+    `Source: ${document.originalFilename}`,
+    document.author ? `Author: ${document.author}` : null,
+    segmentation.estimatedTime ? `Estimated time: ${segmentation.estimatedTime}` : null
+  ].filter(Boolean);
+  parts.push(details.map((line) => `*${line}*`).join('  \n'));
+
+  if (segmentation.overview) parts.push(segmentation.overview);
+
+  segments.forEach((segment, index) => {
+    const range = pageRangeLabel(segment);
+    parts.push(`## ${index + 1}. ${segment.title}${range ? ` (${range})` : ''}`);
+
+    const meta = [segment.difficulty, segment.estimatedTime].filter(Boolean).join(' · ');
+    if (meta) parts.push(`*${meta}*`);
+    if (segment.description) parts.push(segment.description);
+
+    if (segment.keyPoints?.length > 0) {
+      parts.push(`### Key points\n\n${markdownList(segment.keyPoints)}`);
+    }
+    if (segment.learningObjectives?.length > 0) {
+      parts.push(`### Learning objectives\n\n${markdownList(segment.learningObjectives)}`);
+    }
+    if (segment.glossary?.length > 0) {
+      parts.push(`### Glossary\n\n${markdownList(segment.glossary.map((entry) => `**${entry.term}**: ${entry.definition}`))}`);
+    }
+
+    const notes = annotationsBySegment.get(String(segment.id)) || [];
+    if (notes.length > 0) {
+      parts.push(`### Highlights and notes\n\n${notes.map(markdownAnnotation).join('\n\n')}`);
+    }
+  });
+
+  const unassigned = annotationsBySegment.get(null) || [];
+  if (unassigned.length > 0) {
+    parts.push(`## Other highlights and notes\n\n${unassigned.map(markdownAnnotation).join('\n\n')}`);
+  }
+
+  return `${parts.join('\n\n')}\n`;
+}
+
+function csvField(value) {
+  return /[",\n\r]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+function tsvField(value) {
+  return value.replace(/[\t\r\n]+/g, ' ');
+}
+
+/**
+ * Anki import file with one note per key point or glossary term
+ * (Front, Back, Tags). The header lines tell Anki the separator and which
+ * column holds tags.
+ * @param {Object} document - Formatted document
+ * @param {Object} segmentation - Formatted segmentation
+ * @param {string} separator - 'csv' or 'tsv'
+ * @returns {string} - File contents
+ */
+function buildAnkiFile(document, segmentation, separator) {
+  const deckTag = (segmentation.title || document.originalFilename.replace(/\.pdf$/i, ''))
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '') || 'document';
+
+  const rows = buildCardsFromSegments(segmentation.segments).map((card) => [
+    card.front,
+    card.back,
+    `docvia::${deckTag} segment-${card.segmentId} ${card.source.replace('_', '-')}`
+  ]);
+
+  const [field, delimiter, name] = separator === 'tsv' ? [tsvField, '\t', 'tab'] : [csvField, ',', 'comma'];
+
+  return [
+    `#separator:${name}`,
+    '#html:false',
+    '#tags column:3',
+    ...rows.map((row) => row.map(field).join(delimiter))
+  ].join('\n') + '\n';
+}
+
+/**
+ * Versioned JSON bundle of everything needed to rebuild the study material
+ * @param {Object} document - Formatted document
+ * @param {Object} segmentation - Formatted segmentation
+ * @param {Array} annotations - Formatted annotations
+ * @param {Array} flashcards - Formatted flashcards
+ * @returns {Object} - Bundle
+ */
+function buildBundle(document, segmentation, annotations, flashcards) {
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    document: {
+      filename: document.originalFilename,
+      title: document.title,
+      author: document.author,
+      pageCount: document.pageCount,
+      contentHash: document.contentHash
+    },
+    segmentation: {
+      title: segmentation.title,
+      overview: segmentation.overview,
+      segments: segmentation.segments,
+      totalSegments: segmentation.totalSegments,
+      estimatedTotalTime: segmentation.estimatedTime,
+      method: segmentation.method,
+      coverage: segmentation.coverage
+    },
+    annotations: annotations.map((annotation) => ({
+      segmentId: annotation.segmentId,
+      page: annotation.page,
+      quote: annotation.quote,
+      context: annotation.context,
+      rects: annotation.rects,
+      color: annotation.color,
+      tags: annotation.tags,
+      note: annotation.note,
+      createdAt: annotation.createdAt
+    })),
+    flashcards: flashcards.map((card) => ({
+      segmentId: card.segmentId,
+      front: card.front,
+      back: card.back,
+      source: card.source
+    }))
+  };
+}
+
+module.exports = {
+  BUNDLE_FORMAT,
+  BUNDLE_VERSION,
+  buildMarkdown,
+  buildAnkiFile,
+  buildBundle
+};
@@ -0,0 +1,283 @@
+/**
+ * FLASHCARD SERVICE
+ * Flashcards (`flashcards`) made from a segmentation's key points and
+ * glossary ('glossary', 'key_point') or written by the user ('manual'),
+ * scheduled for review with SM-2
+ */
+
+const { supabase } = require('../config/supabase');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// SM-2 defaults
+const INITIAL_EASE = 2.5;
+const MIN_EASE = 1.3;
+const PASSING_GRADE = 3;
+const MAX_GRADE = 5;
+
+const MAX_CARD_TEXT_LENGTH = 2000;
+
+// "Entropy: a measure of disorder" / "Entropy - a measure of disorder"
+const DEFINITION_PATTERN = /^([^:–—]{2,60}?)\s*(?::|\s[–—-]\s)\s*(.{10,})$/;
+
+/**
+ * Build cards from a segmentation: one per glossary term and one per key
+ * point. Key points written as "term: explanation" become term cards too.
+ * @param {Array} segments - Parsed segments_json
+ * @returns {Array} - [{ segmentId, front, back, source, sourceKey }]
+ */
+function buildCardsFromSegments(segments) {
+  const cards = [];
+
+  for (const segment of segments) {
+    const segmentId = String(segment.id);
+
+    for (const entry of segment.glossary || []) {
+      if (!entry?.term || !entry?.definition) continue;
+      cards.push({
+        segmentId,
+        front: entry.term,
+        back: entry.definition,
+        source: 'glossary',
+        sourceKey: `${segmentId}:glossary:${entry.term.toLowerCase()}`
+      });
+    }
+
+    const keyPoints = (segment.keyPoints || []).filter((point) => typeof point === 'string' && point);
+    keyPoints.forEach((point, index) => {
+      const definition = point.match(DEFINITION_PATTERN);
+      cards.push({
+        segmentId,
+        front: definition ? definition[1] : `${segment.title}: key point ${index + 1} of ${keyPoints.length}`,
+        back: definition ? definition[2] : point,
+        source: 'key_point',
+        sourceKey: `${segmentId}:key_point:${point.toLowerCase()}`
+      });
+    });
+  }
+
+  return cards;
+}
+
+/**
+ * Next SM-2 state after a review
+ * @param {Object} card - Card row (ease_factor, interval_days, repetitions, lapses)
+ * @param {number} grade - Recall quality from 0 (blackout) to 5 (perfect)
+ * @param {Date} [now] - Review time
+ * @returns {Object} - Column changes for the card
+ */
+function scheduleReview(card, grade, now = new Date()) {
+  let repetitions = card.repetitions || 0;
+  let interval = card.interval_days || 0;
+  let lapses = card.lapses || 0;
+
+  if (grade < PASSING_GRADE) {
+    // Forgotten cards start over but keep their (lowered) ease
+    repetitions = 0;
+    interval = 1;
+    lapses++;
+  } else {
+    if (repetitions === 0) interval = 1;
+    else if (repetitions === 1) interval = 6;
+    else interval = Math.round(interval * (card.ease_factor || INITIAL_EASE));
+    repetitions++;
+  }
+
+  const miss = MAX_GRADE - grade;
+  const ease = Math.max(MIN_EASE, (card.ease_factor || INITIAL_EASE) + (0.1 - miss * (0.08 + miss * 0.02)));
+
+  return {
+    ease_factor: Math.round(ease * 100) / 100,
+    interval_days: interval,
+    repetitions,
+    lapses,
+    last_grade: grade,
+    last_reviewed_at: now.toISOString(),
+    due_at: new Date(now.getTime() + interval * DAY_MS).toISOString(),
+    updated_at: now.toISOString()
+  };
+}
+
+/**
+ * Store new cards, skipping generated cards the user already has
+ * @param {string} pdfId - Document id
+ * @param {string} userId - Owner's user id
+ * @param {Array} cards - [{ segmentId, front, back, source, sourceKey? }]
+ * @returns {Object} - { created: rows, skipped }
+ */
+async function createFlashcards(pdfId, userId, cards) {
+  const keys = cards.map((card) => card.sourceKey).filter(Boolean);
+  let existingKeys = new Set();
+
+  if (keys.length > 0) {
+    const { data, error } = await supabase
+      .from('flashcards')
+      .select('source_key')
+      .eq('pdf_id', pdfId)
+      .eq('user_id', userId)
+      .in('source_key', keys);
+
+    if (error) throw error;
+    existingKeys = new Set((data || []).map((row) => row.source_key));
+  }
+
+  const now = new Date().toISOString();
+  const rows = [];
+  for (const card of cards) {
+    if (card.sourceKey && existingKeys.has(card.sourceKey)) continue;
+    if (card.sourceKey) existingKeys.add(card.sourceKey);
+
+    rows.push({
+      pdf_id: pdfId,
+      user_id: userId,
+      segment_id: card.segmentId != null ? String(card.segmentId) : null,
+      front: card.front,
+      back: card.back,
+      source: card.source,
+      source_key: card.sourceKey || null,
+      ease_factor: INITIAL_EASE,
+      interval_days: 0,
+      repetitions: 0,
+      lapses: 0,
+      // New cards are due straight away
+      due_at: now,
+      created_at: now,
+      updated_at: now
+    });
+  }
+
+  if (rows.length === 0) return { created: [], skipped: cards.length };
+
+  const { data, error } = await supabase
+    .from('flashcards')
+    .insert(rows)
+    .select();
+
+  if (error) throw error;
+  return { created: data || [], skipped: cards.length - rows.length };
+}
+
+/**
+ * Cards of a document, optionally of one segment
+ * @returns {Array} - Card rows, oldest first
+ */
+async function listFlashcards(pdfId, userId, { segmentId } = {}) {
+  let query = supabase
+    .from('flashcards')
+    .select('*')
+    .eq('pdf_id', pdfId)
+    .eq('user_id', userId);
+
+  if (segmentId !== undefined) query = query.eq('segment_id', String(segmentId));
+
+  const { data, error } = await query.order('created_at', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * One of the user's cards
+ * @returns {Object|null} - Card row or null
+ */
+async function getFlashcard(cardId, userId) {
+  const { data, error } = await supabase
+    .from('flashcards')
+    .select('*')
+    .eq('id', cardId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  // A malformed uuid is just an unknown card
+  if (error && error.code !== '22P02') throw error;
+  return data || null;
+}
+
+/**
+ * Update columns of a card
+ * @returns {Object} - Updated row
+ */
+async function updateFlashcard(cardId, changes) {
+  const { data, error } = await supabase
+    .from('flashcards')
+    .update({ updated_at: new Date().toISOString(), ...changes })
+    .eq('id', cardId)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+async function deleteFlashcard(cardId) {
+  const { error } = await supabase
+    .from('flashcards')
+    .delete()
+    .eq('id', cardId);
+
+  if (error) throw error;
+}
+
+/**
+ * Cards due by a given time across all of the user's documents
+ * @param {string} userId - Owner's user id
+ * @param {Object} options - { dueBy: Date, pdfId?, limit }
+ * @returns {Object} - { cards, total }, most overdue first
+ */
+async function getDueFlashcards(userId, { dueBy, pdfId, limit }) {
+  let query = supabase
+    .from('flashcards')
+    .select('*', { count: 'exact' })
+    .eq('user_id', userId)
+    .lte('due_at', dueBy.toISOString());
+
+  if (pdfId) query = query.eq('pdf_id', pdfId);
+
+  const { data, count, error } = await query
+    .order('due_at', { ascending: true })
+    .limit(limit);
+
+  if (error) throw error;
+  return { cards: data || [], total: count ?? (data || []).length };
+}
+
+/**
+ * Map a card row to the API response shape
+ * @param {Object} row - Card row
+ * @returns {Object} - API representation
+ */
+function formatFlashcard(row) {
+  return {
+    id: row.id,
+    pdfId: row.pdf_id,
+    segmentId: row.segment_id,
+    front: row.front,
+    back: row.back,
+    source: row.source,
+    schedule: {
+      easeFactor: row.ease_factor,
+      intervalDays: row.interval_days,
+      repetitions: row.repetitions,
+      lapses: row.lapses,
+      lastGrade: row.last_grade ?? null,
+      lastReviewedAt: row.last_reviewed_at || null,
+      dueAt: row.due_at
+    },
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+module.exports = {
+  MAX_CARD_TEXT_LENGTH,
+  MAX_GRADE,
+  buildCardsFromSegments,
+  scheduleReview,
+  createFlashcards,
+  listFlashcards,
+  getFlashcard,
+  updateFlashcard,
+  deleteFlashcard,
+  getDueFlashcards,
+  formatFlashcard
+};
@@ -0,0 +1,500 @@
+/**
+ * HEURISTIC SEGMENTATION SERVICE
+ * Structure-aware segmentation used when the LLM is unavailable: bookmarks,
+ * then font-based headings, then numbered sections, then equal page splits
+ */
+
+const { loadPDFDocument } = require('./pdf.service');
+const { MAX_SEGMENTS } = require('../validators/segmentation.validator');
+
+// A heading has to stand out from body text by at least this factor
+const HEADING_SIZE_RATIO = 1.15;
+const MAX_HEADING_LENGTH = 120;
+const MIN_SECTIONS = 2;
+const WORDS_PER_MINUTE = 200;
+const MIN_SEGMENT_MINUTES = 5;
+const MAX_KEY_POINTS = 5;
+
+// "2 Methods", "2. Methods", "2.1 Data Collection"
+const NUMBERED_HEADING_PATTERN = /^(\d+(?:\.\d+)*)\.?\s+([A-Z][^]{0,100})$/;
+const BOLD_FONT_PATTERN = /bold|black|heavy|semibold|demi/i;
+
+const SOURCE_LABELS = {
+  outline: 'bookmarks',
+  headings: 'headings',
+  numbering: 'numbered sections'
+};
+
+/**
+ * Look up the real font name pdfjs resolved for a text item's font id
+ * @returns {string} - Font name or '' if unknown
+ */
+function resolveFontName(page, fontId) {
+  try {
+    const font = page.commonObjs.get(fontId);
+    return font?.name || '';
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Rebuild text lines from positioned items, keeping font size and weight
+ * @param {Object} page - pdfjs PDFPageProxy
+ * @returns {Array} - [{ text, size, bold }]
+ */
+async function readPageLines(page) {
+  // Fonts only land in commonObjs once the page's operator list is built
+  await page.getOperatorList();
+  const textContent = await page.getTextContent();
+
+  const lines = [];
+  let current = null;
+
+  for (const item of textContent.items) {
+    if (typeof item.str !== 'string') continue;
+
+    const [, , c, d, x, y] = item.transform;
+    const size = Math.round(Math.hypot(c, d) * 2) / 2;
+
+    if (!current || Math.abs(y - current.y) > Math.max(size, current.size) * 0.5) {
+      current = { y, size: 0, parts: [], endX: x, boldChars: 0, chars: 0 };
+      lines.push(current);
+    }
+
+    if (item.str.trim()) {
+      // Separate fragments that were placed apart rather than drawn as one run
+      const gap = x - current.endX;
+      if (current.parts.length > 0 && gap > size * 0.2) current.parts.push(' ');
+      current.parts.push(item.str);
+
+      const length = item.str.trim().length;
+      current.chars += length;
+      current.size = Math.max(current.size, size);
+      if (BOLD_FONT_PATTERN.test(resolveFontName(page, item.fontName))) {
+        current.boldChars += length;
+      }
+    } else if (item.str) {
+      current.parts.push(' ');
+    }
+
+    current.endX = x + (item.width || 0);
+  }
+
+  return lines
+    .map((line) => ({
+      text: line.parts.join('').replace(/\s+/g, ' ').trim(),
+      size: line.size,
+      bold: line.chars > 0 && line.boldChars === line.chars
+    }))
+    .filter((line) => line.text);
+}
+
+/**
+ * Read every page once, collecting lines and word counts
+ * @returns {Array} - [{ page, lines, words, characters }]
+ */
+async function readDocumentPages(pdf) {
+  const pages = [];
+
+  for (let i = 1; i <= pdf.numPages; i++) {
+    const page = await pdf.getPage(i);
+    const lines = await readPageLines(page);
+    pages.push({
+      page: i,
+      lines,
+      words: lines.reduce((sum, line) => sum + line.text.split(' ').length, 0),
+      characters: lines.reduce((sum, line) => sum + line.text.length, 0)
+    });
+    page.cleanup();
+  }
+
+  return pages;
+}
+
+/**
+ * Resolve an outline destination to a 1-based page number
+ * @returns {number|null}
+ */
+async function resolveDestinationPage(pdf, dest) {
+  try {
+    const explicit = typeof dest === 'string' ? await pdf.getDestination(dest) : dest;
+    if (!Array.isArray(explicit) || explicit.length === 0) return null;
+
+    const ref = explicit[0];
+    const pageIndex = typeof ref === 'number' ? ref : await pdf.getPageIndex(ref);
+    return Number.isInteger(pageIndex) ? pageIndex + 1 : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Sections from the PDF's bookmarks. A single top-level entry (usually the
+ * document title) is skipped in favour of its children.
+ * @returns {Array} - [{ title, page, subheadings }]
+ */
+async function sectionsFromOutline(pdf) {
+  let outline = await pdf.getOutline();
+  if (!outline || outline.length === 0) return [];
+
+  if (outline.length === 1 && outline[0].items?.length >= MIN_SECTIONS) {
+    outline = outline[0].items;
+  }
+
+  const sections = [];
+  for (const entry of outline) {
+    const title = (entry.title || '').trim();
+    const page = await resolveDestinationPage(pdf, entry.dest);
+    if (!title || !page) continue;
+
+    sections.push({
+      title,
+      page,
+      subheadings: (entry.items || []).map((child) => (child.title || '').trim()).filter(Boolean)
+    });
+  }
+
+  return sections.sort((a, b) => a.page - b.page);
+}
+
+/**
+ * Lines that repeat on several pages are running headers/footers, not headings
+ * @returns {Set} - Repeated line texts
+ */
+function findRepeatedLines(pages) {
+  const pagesByText = new Map();
+
+  for (const { page, lines } of pages) {
+    for (const line of lines) {
+      if (!pagesByText.has(line.text)) pagesByText.set(line.text, new Set());
+      pagesByText.get(line.text).add(page);
+    }
+  }
+
+  const threshold = Math.max(3, Math.ceil(pages.length / 2));
+  return new Set([...pagesByText].filter(([, seen]) => seen.size >= threshold).map(([text]) => text));
+}
+
+/**
+ * Font size carrying the most characters, i.e. the body text size
+ */
+function findBodySize(pages) {
+  const charsBySize = new Map();
+
+  for (const { lines } of pages) {
+    for (const line of lines) {
+      charsBySize.set(line.size, (charsBySize.get(line.size) || 0) + line.text.length);
+    }
+  }
+
+  let bodySize = 0;
+  let mostChars = -1;
+  for (const [size, chars] of charsBySize) {
+    if (chars > mostChars) {
+      bodySize = size;
+      mostChars = chars;
+    }
+  }
+  return bodySize;
+}
+
+function looksLikeHeading(text) {
+  return text.length <= MAX_HEADING_LENGTH && /[A-Za-z]{2,}/.test(text) && !/[.,;:]$/.test(text);
+}
+
+/**
+ * Sections from lines set larger or bolder than the body text. The largest
+ * heading style that occurs at least twice becomes the section level; the
+ * next style down provides key points.
+ * @returns {Array} - [{ title, page, subheadings }]
+ */
+function sectionsFromHeadings(pages) {
+  const bodySize = findBodySize(pages);
+  if (!bodySize) return [];
+
+  const repeated = findRepeatedLines(pages);
+  const candidates = [];
+
+  for (const { page, lines } of pages) {
+    let previous = null;
+
+    for (const line of lines) {
+      const isHeading = looksLikeHeading(line.text) && !repeated.has(line.text) &&
+        (line.size >= bodySize * HEADING_SIZE_RATIO || (line.bold && line.size >= bodySize));
+
+      if (!isHeading) {
+        previous = null;
+        continue;
+      }
+
+      const level = `${line.size}:${line.bold ? 'b' : 'r'}`;
+
+      // Headings that wrap onto a second line are one heading
+      if (previous && previous.page === page && previous.level === level) {
+        previous.title = `${previous.title} ${line.text}`;
+        continue;
+      }
+
+      previous = { title: line.text, page, level, size: line.size, bold: line.bold };
+      candidates.push(previous);
+    }
+  }
+
+  const levels = [...new Set(candidates.map((candidate) => candidate.level))]
+    .map((level) => {
+      const sample = candidates.find((candidate) => candidate.level === level);
+      return { level, size: sample.size, bold: sample.bold, count: candidates.filter((candidate) => candidate.level === level).length };
+    })
+    .filter((level) => level.count >= MIN_SECTIONS)
+    .sort((a, b) => (b.size - a.size) || (Number(b.bold) - Number(a.bold)));
+
+  if (levels.length === 0) return [];
+
+  const sectionLevel = levels[0].level;
+  const subLevel = levels[1]?.level;
+  const sections = [];
+
+  for (const candidate of candidates) {
+    if (candidate.level === sectionLevel) {
+      sections.push({ title: candidate.title, page: candidate.page, subheadings: [] });
+    } else if (candidate.level === subLevel && sections.length > 0) {
+      sections[sections.length - 1].subheadings.push(candidate.title);
+    }
+  }
+
+  return sections;
+}
+
+/**
+ * Sections from numbered headings ("3 Methods", "3.1 Data"). Top-level
+ * numbers have to increase by one, which filters out numbered list items
+ * and stray lines that happen to start with a number.
+ * @returns {Array} - [{ title, page, subheadings }]
+ */
+function sectionsFromNumbering(pages) {
+  const repeated = findRepeatedLines(pages);
+  const sections = [];
+  let lastNumber = null;
+
+  for (const { page, lines } of pages) {
+    for (const line of lines) {
+      if (repeated.has(line.text) || !looksLikeHeading(line.text) || line.text.split(' ').length > 12) continue;
+
+      const match = line.text.match(NUMBERED_HEADING_PATTERN);
+      if (!match) continue;
+
+      const parts = match[1].split('.').map((part) => parseInt(part, 10));
+
+      if (parts.length === 1) {
+        if (lastNumber === null ? parts[0] > 1 : parts[0] !== lastNumber + 1) continue;
+        lastNumber = parts[0];
+        sections.push({ title: line.text, page, subheadings: [] });
+      } else if (sections.length > 0 && parts[0] === lastNumber) {
+        sections[sections.length - 1].subheadings.push(line.text);
+      }
+    }
+  }
+
+  return sections;
+}
+
+/**
+ * Combine neighbouring sections until there are at most MAX_SEGMENTS
+ */
+function mergeSections(sections) {
+  if (sections.length <= MAX_SEGMENTS) return sections;
+
+  const merged = [];
+  for (let i = 0; i < MAX_SEGMENTS; i++) {
+    const group = sections.slice(
+      Math.floor((i * sections.length) / MAX_SEGMENTS),
+      Math.floor(((i + 1) * sections.length) / MAX_SEGMENTS)
+    );
+
+    merged.push({
+      title: group.length > 1 ? `${group[0].title} – ${group[group.length - 1].title}` : group[0].title,
+      page: group[0].page,
+      endPage: group[group.length - 1].endPage,
+      subheadings: group.map((section) => section.title)
+    });
+  }
+  return merged;
+}
+
+function difficultyForPosition(index, count) {
+  if (index === 0) return 'beginner';
+  if (index < count - 1 && index >= Math.ceil((count * 2) / 3)) return 'advanced';
+  return 'intermediate';
+}
+
+function minutesForWords(words) {
+  return Math.max(MIN_SEGMENT_MINUTES, Math.round(words / WORDS_PER_MINUTE));
+}
+
+function formatMinutes(minutes) {
+  return `${minutes}-${Math.ceil(minutes * 1.5)} minutes`;
+}
+
+/**
+ * Turn sections into the roadmap shape the LLM produces
+ * @param {Array} sections - [{ title, page, subheadings }] in reading order
+ * @param {Array} pages - [{ page, words, characters }]
+ * @param {Object} meta - { title, source }
+ * @returns {Object} - Segment data
+ */
+function buildSegmentation(sections, pages, { title, source }) {
+  const pageCount = pages.length;
+
+  // Each section runs until the next one starts; front matter joins the first
+  const ranged = sections.map((section, index) => {
+    const next = sections[index + 1];
+    return {
+      ...section,
+      page: index === 0 ? 1 : section.page,
+      endPage: next ? Math.max(section.page, next.page - 1) : pageCount
+    };
+  });
+
+  const sumInRange = (start, end, field) => pages
+    .filter((page) => page.page >= start && page.page <= end)
+    .reduce((sum, page) => sum + (page[field] || 0), 0);
+
+  const grouped = mergeSections(ranged);
+  let totalMinutes = 0;
+
+  const segments = grouped.map((section, index) => {
+    const minutes = minutesForWords(sumInRange(section.page, section.endPage, 'words'));
+    totalMinutes += minutes;
+    const pageLabel = section.page === section.endPage ? `page ${section.page}` : `pages ${section.page}-${section.endPage}`;
+
+    return {
+      id: index + 1,
+      title: section.title,
+      description: `Covers ${pageLabel} of the document.`,
+      keyPoints: section.subheadings.length > 0
+        ? section.subheadings.slice(0, MAX_KEY_POINTS)
+        : [section.title],
+      difficulty: difficultyForPosition(index, grouped.length),
+      estimatedTime: formatMinutes(minutes),
+      learningObjectives: [`Understand ${section.title}`],
+      startPage: section.page,
+      endPage: section.endPage
+    };
+  });
+
+  const totalCharacters = sumInRange(1, pageCount, 'characters');
+
+  return {
+    title,
+    overview: source === 'pages'
+      ? 'Document divided into equal page ranges for guided learning.'
+      : `Document divided into ${segments.length} sections following its ${SOURCE_LABELS[source]}.`,
+    segments,
+    totalSegments: segments.length,
+    estimatedTotalTime: formatMinutes(totalMinutes),
+    coverage: {
+      strategy: `heuristic:${source}`,
+      chunks: 0,
+      pagesCovered: pageCount,
+      totalPages: pageCount,
+      charactersCovered: totalCharacters,
+      totalCharacters,
+      percent: 100
+    },
+    // Only the equal page split is a fallback; structure results are
+    // recorded by the structure they followed
+    method: source === 'pages' ? 'fallback' : `heuristic:${source}`,
+    isUsingFallback: source === 'pages'
+  };
+}
+
+/**
+ * Split a document into equal page ranges. Used when no structure was found,
+ * or with an unknown page count when the PDF can't be read at all.
+ * @param {string} fileName - Original filename, used as the title
+ * @param {number} [pageCount] - Page count, if known
+ * @param {Array} [pages] - [{ page, words, characters }] for reading time estimates
+ * @returns {Object} - Segment data
+ */
+function fallbackSegmentation(fileName, pageCount, pages) {
+  console.log('[Fallback] Using equal page split segmentation');
+
+  const title = fileName.replace(/\.pdf$/i, '');
+
+  if (!pageCount) {
+    return {
+      title,
+      overview: 'Document could not be analysed, so it is presented as a single section.',
+      segments: [{
+        id: 1,
+        title: 'Full document',
+        description: 'The complete document.',
+        keyPoints: ['Full document'],
+        difficulty: 'intermediate',
+        estimatedTime: formatMinutes(MIN_SEGMENT_MINUTES),
+        learningObjectives: [`Understand ${title}`]
+      }],
+      totalSegments: 1,
+      estimatedTotalTime: formatMinutes(MIN_SEGMENT_MINUTES),
+      method: 'fallback',
+      isUsingFallback: true
+    };
+  }
+
+  const segmentCount = Math.min(4, pageCount);
+  const sections = [];
+  for (let i = 0; i < segmentCount; i++) {
+    const start = Math.floor((i * pageCount) / segmentCount) + 1;
+    const end = Math.floor(((i + 1) * pageCount) / segmentCount);
+    sections.push({
+      title: start === end ? `Page ${start}` : `Pages ${start}-${end}`,
+      page: start,
+      subheadings: []
+    });
+  }
+
+  const pageWords = pages || Array.from({ length: pageCount }, (_, i) => ({ page: i + 1, words: 0, characters: 0 }));
+  return buildSegmentation(sections, pageWords, { title, source: 'pages' });
+}
+
+/**
+ * Segment a PDF from its own structure, without an LLM
+ * @param {Buffer} pdfBuffer - PDF file buffer
+ * @param {string} fileName - Original filename
+ * @param {Object} [options]
+ * @param {string} [options.title] - Document title, defaults to the filename
+ * @returns {Object} - Segment data with startPage/endPage per segment
+ */
+async function segmentByStructure(pdfBuffer, fileName, { title } = {}) {
+  const pdf = await loadPDFDocument(pdfBuffer);
+
+  try {
+    const pages = await readDocumentPages(pdf);
+    const documentTitle = title || fileName.replace(/\.pdf$/i, '');
+
+    const strategies = [
+      ['outline', () => sectionsFromOutline(pdf)],
+      ['headings', () => sectionsFromHeadings(pages)],
+      ['numbering', () => sectionsFromNumbering(pages)]
+    ];
+
+    for (const [source, findSections] of strategies) {
+      const sections = await findSections();
+      if (sections.length >= MIN_SECTIONS) {
+        console.log(`[Heuristic] Found ${sections.length} sections from ${SOURCE_LABELS[source]}`);
+        return buildSegmentation(sections, pages, { title: documentTitle, source });
+      }
+    }
+
+    console.log('[Heuristic] No document structure found');
+    return fallbackSegmentation(fileName, pdf.numPages, pages);
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+module.exports = {
+  segmentByStructure,
+  fallbackSegmentation
+};
@@ -0,0 +1,431 @@
+/**
+ * JOB QUEUE SERVICE
+ * In-process background job queue with bounded concurrency, automatic retry
+ * and a persistence hook so job status can outlive the in-memory map.
+ * Live job events (state changes plus whatever handlers emit) can be
+ * subscribed to, e.g. for Server-Sent Events.
+ */
+
+const crypto = require('crypto');
+const { supabase } = require('../config/supabase');
+
+const JOB_STATES = ['queued', 'extracting', 'segmenting', 'saving', 'done', 'failed'];
+const ACTIVE_STATES = ['queued', 'extracting', 'segmenting', 'saving'];
+
+const CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY, 10) || 2;
+const MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 3;
+const RETRY_BASE_DELAY_MS = 2000;
+const FINISHED_JOB_TTL_MS = 60 * 60 * 1000; // keep finished jobs in memory for 1 hour
+
+const jobs = new Map();
+const handlers = new Map();
+const listeners = new Map(); // jobId -> Set of (event, data) callbacks
+const pending = [];
+let running = 0;
+
+/**
+ * Default persistence: memory only
+ * Replace with setJobPersistence() to mirror jobs into durable storage.
+ */
+let persistence = {
+  save: async () => {},
+  load: async () => null,
+  failActive: async () => 0
+};
+
+/**
+ * Persistence adapter storing jobs in the `segmentation_jobs` table
+ */
+const supabaseJobPersistence = {
+  save: async (job) => {
+    const { error } = await supabase
+      .from('segmentation_jobs')
+      .upsert([{
+        id: job.id,
+        type: job.type,
+        key: job.key,
+        user_id: job.userId,
+        payload: job.payload,
+        state: job.state,
+        progress: job.progress,
+        attempts: job.attempts,
+        max_attempts: job.maxAttempts,
+        result: job.result,
+        error: job.error,
+        created_at: job.createdAt,
+        updated_at: job.updatedAt,
+        finished_at: job.finishedAt
+      }]);
+
+    if (error) throw error;
+  },
+  load: async (jobId) => {
+    const { data, error } = await supabase
+      .from('segmentation_jobs')
+      .select('*')
+      .eq('id', jobId)
+      .maybeSingle();
+
+    if (error && error.code !== '22P02') throw error;
+    if (!data) return null;
+
+    return {
+      id: data.id,
+      type: data.type,
+      key: data.key,
+      userId: data.user_id,
+      payload: data.payload,
+      state: data.state,
+      progress: data.progress,
+      attempts: data.attempts,
+      maxAttempts: data.max_attempts,
+      result: data.result,
+      error: data.error,
+      createdAt: data.created_at,
+      updatedAt: data.updated_at,
+      finishedAt: data.finished_at
+    };
+  },
+  failActive: async (jobError, finishedAt) => {
+    const { data, error } = await supabase
+      .from('segmentation_jobs')
+      .update({ state: 'failed', error: jobError, finished_at: finishedAt, updated_at: finishedAt })
+      .in('state', ACTIVE_STATES)
+      .select('id');
+
+    if (error) throw error;
+    return (data || []).length;
+  }
+};
+
+/**
+ * Swap the persistence adapter
+ * @param {Object} adapter - { save(job), load(jobId), failActive(error, finishedAt) }
+ */
+function setJobPersistence(adapter) {
+  persistence = adapter;
+}
+
+/**
+ * Register the function that executes jobs of a given type
+ * @param {string} type - Job type
+ * @param {Function} handler - async (job, { setState, emit }) => result
+ */
+function registerJobHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+async function persist(job) {
+  // A cancelled job's rows are removed with its document; don't recreate them
+  if (job.cancelled) return;
+
+  try {
+    await persistence.save({ ...job });
+  } catch (error) {
+    console.warn(`[Jobs] Failed to persist job ${job.id}:`, error.message);
+  }
+}
+
+function emitJobEvent(job, event, data) {
+  const subscribers = listeners.get(job.id);
+  if (!subscribers) return;
+
+  for (const listener of subscribers) {
+    try {
+      listener(event, data);
+    } catch (error) {
+      console.warn(`[Jobs] Listener error for job ${job.id}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Subscribe to live events of a job
+ * Events: state, retry, done, failed, plus any custom events the handler emits.
+ * @param {string} jobId - Job id
+ * @param {Function} listener - (event, data) => void
+ * @returns {Function} - Unsubscribe function
+ */
+function subscribeToJob(jobId, listener) {
+  if (!listeners.has(jobId)) {
+    listeners.set(jobId, new Set());
+  }
+  listeners.get(jobId).add(listener);
+
+  return () => {
+    const subscribers = listeners.get(jobId);
+    if (!subscribers) return;
+    subscribers.delete(listener);
+    if (subscribers.size === 0) listeners.delete(jobId);
+  };
+}
+
+function updateJob(job, changes) {
+  Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+  return persist(job);
+}
+
+function pruneFinishedJobs() {
+  const cutoff = Date.now() - FINISHED_JOB_TTL_MS;
+  for (const [id, job] of jobs) {
+    if (job.finishedAt && new Date(job.finishedAt).getTime() < cutoff) {
+      jobs.delete(id);
+    }
+  }
+}
+
+function drain() {
+  while (running < CONCURRENCY && pending.length > 0) {
+    const job = pending.shift();
+    running++;
+    runJob(job).finally(() => {
+      running--;
+      drain();
+    });
+  }
+}
+
+async function runJob(job) {
+  if (job.cancelled) return;
+
+  const handler = handlers.get(job.type);
+  const attempt = job.attempts + 1;
+
+  await updateJob(job, { attempts: attempt, error: null });
+
+  const setState = (state, progress) => {
+    if (!JOB_STATES.includes(state)) {
+      throw new Error(`Unknown job state: ${state}`);
+    }
+    emitJobEvent(job, 'state', { state, progress });
+    return updateJob(job, { state, progress });
+  };
+
+  const emit = (event, data) => emitJobEvent(job, event, data);
+
+  try {
+    if (!handler) {
+      throw new Error(`No handler registered for job type "${job.type}"`);
+    }
+
+    const result = await handler(job, { setState, emit });
+    if (job.cancelled) return;
+
+    await updateJob(job, {
+      state: 'done',
+      progress: 100,
+      result,
+      finishedAt: new Date().toISOString()
+    });
+    emitJobEvent(job, 'done', { result });
+    console.log(`[Jobs] ${job.type} job ${job.id} done`);
+
+  } catch (error) {
+    if (job.cancelled) {
+      console.log(`[Jobs] ${job.type} job ${job.id} stopped after cancellation`);
+      return;
+    }
+
+    const failedState = job.state;
+    console.error(`[Jobs] ${job.type} job ${job.id} failed in ${failedState} (attempt ${attempt}/${job.maxAttempts}):`, error.message);
+
+    const jobError = {
+      message: error.message,
+      stage: failedState,
+      attempt
+    };
+
+    if (attempt < job.maxAttempts) {
+      // Exponential backoff before re-queueing
+      await updateJob(job, { state: 'queued', progress: 0, error: jobError });
+      emitJobEvent(job, 'retry', { error: jobError, nextAttempt: attempt + 1 });
+      setTimeout(() => {
+        if (job.cancelled) return;
+        pending.push(job);
+        drain();
+      }, RETRY_BASE_DELAY_MS * 2 ** (attempt - 1));
+      return;
+    }
+
+    await updateJob(job, {
+      state: 'failed',
+      error: jobError,
+      finishedAt: new Date().toISOString()
+    });
+    emitJobEvent(job, 'failed', { error: jobError });
+  }
+}
+
+/**
+ * Find a queued or running job with the same deduplication key
+ * @param {string} key - Job key (e.g. user + document)
+ * @returns {Object|null} - Active job or null
+ */
+function findActiveJob(key) {
+  for (const job of jobs.values()) {
+    if (job.key === key && ACTIVE_STATES.includes(job.state)) {
+      return job;
+    }
+  }
+  return null;
+}
+
+/**
+ * Enqueue a job, or return the active job with the same key
+ * @param {string} type - Registered job type
+ * @param {Object} options - { userId, key, payload }
+ * @returns {Object} - { job, reused }
+ */
+function enqueueJob(type, { userId, key, payload }) {
+  pruneFinishedJobs();
+
+  const active = key ? findActiveJob(key) : null;
+  if (active) {
+    return { job: active, reused: true };
+  }
+
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    key: key || null,
+    userId,
+    payload,
+    state: 'queued',
+    progress: 0,
+    attempts: 0,
+    maxAttempts: MAX_ATTEMPTS,
+    result: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+    finishedAt: null
+  };
+
+  jobs.set(job.id, job);
+  persist(job);
+  pending.push(job);
+  drain();
+
+  return { job, reused: false };
+}
+
+/**
+ * Look up a job by id, falling back to the persistence adapter
+ * @param {string} jobId - Job id
+ * @returns {Object|null} - Job or null
+ */
+async function getJob(jobId) {
+  if (jobs.has(jobId)) {
+    return jobs.get(jobId);
+  }
+
+  try {
+    return await persistence.load(jobId);
+  } catch (error) {
+    console.warn(`[Jobs] Failed to load job ${jobId}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Re-queue a failed job with a fresh attempt budget
+ * @param {string} jobId - Job id
+ * @returns {Object|null} - The re-queued job, or null if it is not in memory
+ */
+async function retryJob(jobId) {
+  let job = jobs.get(jobId);
+
+  // A job loaded from persistence (e.g. after a restart) becomes live again
+  if (!job) {
+    job = await getJob(jobId);
+    if (!job) return null;
+    jobs.set(job.id, job);
+  }
+
+  if (job.state !== 'failed') {
+    throw new Error(`Only failed jobs can be retried (current state: ${job.state})`);
+  }
+
+  await updateJob(job, {
+    state: 'queued',
+    progress: 0,
+    attempts: 0,
+    finishedAt: null
+  });
+  pending.push(job);
+  drain();
+
+  return job;
+}
+
+/**
+ * Cancel every live job matching a predicate. Queued jobs never start;
+ * running jobs are flagged so their result and any retry are discarded
+ * (handlers should still check their target exists before saving).
+ * @param {Function} match - (job) => boolean
+ * @param {string} reason - Error message reported to subscribers
+ * @returns {number} - Jobs cancelled
+ */
+function cancelJobs(match, reason = 'Job was cancelled') {
+  let count = 0;
+
+  for (const job of [...jobs.values()]) {
+    if (!ACTIVE_STATES.includes(job.state) || !match(job)) continue;
+
+    const index = pending.indexOf(job);
+    if (index !== -1) pending.splice(index, 1);
+
+    const jobError = { message: reason, stage: job.state, cancelled: true };
+    Object.assign(job, {
+      state: 'failed',
+      error: jobError,
+      cancelled: true,
+      finishedAt: new Date().toISOString()
+    });
+    jobs.delete(job.id);
+    emitJobEvent(job, 'failed', { error: jobError });
+    count++;
+  }
+
+  if (count > 0) console.log(`[Jobs] Cancelled ${count} job(s): ${reason}`);
+  return count;
+}
+
+/**
+ * Mark persisted jobs that were still queued or running when the process
+ * stopped as failed, so they can be retried. Call once on startup, before
+ * any job is enqueued.
+ * @returns {number} - Jobs marked as interrupted
+ */
+async function recoverInterruptedJobs() {
+  try {
+    const count = await (persistence.failActive || (async () => 0))(
+      { message: 'Job was interrupted by a server restart', interrupted: true },
+      new Date().toISOString()
+    );
+    if (count > 0) console.warn(`[Jobs] Marked ${count} interrupted job(s) as failed`);
+    return count;
+  } catch (error) {
+    console.warn('[Jobs] Failed to recover interrupted jobs:', error.message);
+    return 0;
+  }
+}
+
+if (process.env.JOB_PERSISTENCE === 'supabase') {
+  setJobPersistence(supabaseJobPersistence);
+}
+
+module.exports = {
+  JOB_STATES,
+  registerJobHandler,
+  enqueueJob,
+  getJob,
+  retryJob,
+  cancelJobs,
+  recoverInterruptedJobs,
+  findActiveJob,
+  subscribeToJob,
+  setJobPersistence,
+  supabaseJobPersistence
+};
@@ -0,0 +1,74 @@
+/**
+ * LANGUAGE SERVICE
+ * Languages roadmaps can be written in, and detection of a document's
+ * language from its extracted text by counting common function words
+ */
+
+const LANGUAGES = {
+  en: 'English',
+  de: 'German',
+  es: 'Spanish',
+  fr: 'French',
+  it: 'Italian',
+  pt: 'Portuguese',
+  nl: 'Dutch'
+};
+
+// Frequent words that are rare in the other languages listed
+const STOPWORDS = {
+  en: ['the', 'and', 'of', 'to', 'is', 'that', 'with', 'for', 'this', 'are', 'which', 'be', 'by', 'from', 'it', 'as', 'or', 'have', 'not', 'we'],
+  de: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'mit', 'sich', 'auf', 'für', 'ein', 'eine', 'dem', 'den', 'wird', 'von', 'auch', 'werden', 'oder', 'bei'],
+  es: ['el', 'los', 'las', 'y', 'que', 'del', 'en', 'por', 'una', 'para', 'con', 'es', 'se', 'su', 'como', 'más', 'pero', 'son', 'también', 'entre'],
+  fr: ['le', 'les', 'des', 'et', 'est', 'une', 'dans', 'qui', 'pour', 'pas', 'sur', 'au', 'aux', 'avec', 'sont', 'ce', 'du', 'nous', 'mais', 'ou'],
+  it: ['il', 'gli', 'della', 'che', 'di', 'è', 'per', 'una', 'non', 'sono', 'nel', 'alla', 'dei', 'delle', 'anche', 'come', 'con', 'questo', 'più', 'ed'],
+  pt: ['o', 'os', 'as', 'do', 'da', 'dos', 'das', 'que', 'não', 'uma', 'para', 'com', 'em', 'por', 'mais', 'são', 'também', 'ao', 'pelo', 'é'],
+  nl: ['de', 'het', 'een', 'en', 'van', 'is', 'niet', 'dat', 'op', 'voor', 'zijn', 'met', 'wordt', 'ook', 'aan', 'bij', 'door', 'naar', 'maar', 'worden']
+};
+
+const STOPWORD_SETS = Object.fromEntries(
+  Object.entries(STOPWORDS).map(([code, words]) => [code, new Set(words)])
+);
+
+const SAMPLE_CHARACTERS = 20000;
+const MIN_MATCHES = 10;
+
+function isSupportedLanguage(code) {
+  return Object.prototype.hasOwnProperty.call(LANGUAGES, code);
+}
+
+function languageName(code) {
+  return LANGUAGES[code] || code;
+}
+
+/**
+ * Guess the language of a text
+ * @param {string} text - Extracted text (page markers are ignored)
+ * @returns {Object|null} - { language, confidence } or null when too little text matched
+ */
+function detectLanguage(text) {
+  const words = (text || '')
+    .slice(0, SAMPLE_CHARACTERS)
+    .toLowerCase()
+    .match(/\p{L}+/gu) || [];
+
+  const scores = Object.fromEntries(Object.keys(STOPWORD_SETS).map((code) => [code, 0]));
+  for (const word of words) {
+    for (const [code, stopwords] of Object.entries(STOPWORD_SETS)) {
+      if (stopwords.has(word)) scores[code]++;
+    }
+  }
+
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  const [best, bestScore] = ranked[0];
+  if (bestScore < MIN_MATCHES) return null;
+
+  const total = ranked.reduce((sum, [, score]) => sum + score, 0);
+  return { language: best, confidence: Math.round((bestScore / total) * 100) / 100 };
+}
+
+module.exports = {
+  LANGUAGES,
+  isSupportedLanguage,
+  languageName,
+  detectLanguage
+};
@@ -0,0 +1,367 @@
+/**
+ * LAYOUT SERVICE
+ * Rebuilds readable text from positioned pdfjs text items: lines, columns,
+ * paragraphs and reading order, with running headers/footers, page numbers
+ * and end-of-line hyphenation removed
+ */
+
+// Fraction of the page width searched for a column gutter, centred
+const GUTTER_SEARCH_FROM = 0.3;
+const GUTTER_SEARCH_TO = 0.7;
+const GUTTER_BINS = 100;
+// Lines crossing the gutter (titles, abstracts, figures) may not exceed this share
+const MAX_SPANNING_SHARE = 0.15;
+// Each column needs at least this share of the page's fragments
+const MIN_COLUMN_SHARE = 0.2;
+// A vertical gap this much larger than the usual line spacing starts a paragraph
+const PARAGRAPH_GAP_RATIO = 1.4;
+// Lines within this many lines of the top/bottom edge can be headers/footers
+const EDGE_LINES = 2;
+
+// "12", "Page 3", "iv", "7 of 20", "7/20"
+const PAGE_NUMBER_PATTERN = /^(page\s+)?(\d{1,4}|[ivxlcdm]+)(\s*(of|\/)\s*\d{1,4})?$/i;
+const ROMAN_NUMERAL_PATTERN = /^m{0,3}(cm|cd|d?c{0,3})(xc|xl|l?x{0,3})(ix|iv|v?i{0,3})$/i;
+
+/**
+ * Group text items into horizontal fragments: runs of items on the same
+ * baseline without a column-sized gap between them
+ * @param {Array} items - pdfjs textContent.items
+ * @returns {Array} - [{ text, x0, x1, y, size }]
+ */
+function buildFragments(items) {
+  const fragments = [];
+  let current = null;
+
+  for (const item of items) {
+    if (typeof item.str !== 'string' || !item.str.trim()) {
+      if (current && item.str) current.pendingSpace = true;
+      continue;
+    }
+
+    const [a, b, c, d, x, y] = item.transform;
+    const size = Math.hypot(c, d) || Math.hypot(a, b) || item.height || 10;
+    const width = item.width || 0;
+
+    const sameLine = current &&
+      Math.abs(y - current.y) <= Math.min(size, current.size) * 0.5 &&
+      x >= current.x1 - size &&
+      x - current.x1 <= size * 1.5;
+
+    if (sameLine) {
+      const gap = x - current.x1;
+      const needsSpace = current.pendingSpace || gap > size * 0.15;
+      current.text += (needsSpace && !current.text.endsWith(' ') && !item.str.startsWith(' ') ? ' ' : '') + item.str;
+      current.x1 = Math.max(current.x1, x + width);
+      current.size = Math.max(current.size, size);
+      current.pendingSpace = false;
+    } else {
+      current = { text: item.str, x0: x, x1: x + width, y, size, pendingSpace: false };
+      fragments.push(current);
+    }
+  }
+
+  return fragments.map(({ text, x0, x1, y, size }) => ({
+    text: text.replace(/\s+/g, ' ').trim(),
+    x0,
+    x1,
+    y,
+    size
+  }));
+}
+
+/**
+ * Find the x position of a gutter between two text columns
+ * @param {Array} fragments - Line fragments
+ * @param {number} pageWidth - Page width in PDF units
+ * @returns {number|null} - Gutter x or null for single-column pages
+ */
+function findColumnGutter(fragments, pageWidth) {
+  if (fragments.length < 6 || !pageWidth) return null;
+
+  const binWidth = pageWidth / GUTTER_BINS;
+  const coverage = new Array(GUTTER_BINS).fill(0);
+
+  for (const fragment of fragments) {
+    const first = Math.max(0, Math.floor(fragment.x0 / binWidth));
+    const last = Math.min(GUTTER_BINS - 1, Math.floor(fragment.x1 / binWidth));
+    for (let bin = first; bin <= last; bin++) coverage[bin]++;
+  }
+
+  // Widest run of least-covered bins in the middle of the page
+  const from = Math.floor(GUTTER_BINS * GUTTER_SEARCH_FROM);
+  const to = Math.ceil(GUTTER_BINS * GUTTER_SEARCH_TO);
+  const minCoverage = Math.min(...coverage.slice(from, to));
+  if (minCoverage > fragments.length * MAX_SPANNING_SHARE) return null;
+
+  let best = null;
+  let runStart = null;
+  for (let bin = from; bin <= to; bin++) {
+    const open = bin < to && coverage[bin] === minCoverage;
+    if (open && runStart === null) runStart = bin;
+    if (!open && runStart !== null) {
+      if (!best || bin - runStart > best.end - best.start) best = { start: runStart, end: bin };
+      runStart = null;
+    }
+  }
+  if (!best) return null;
+
+  const gutter = ((best.start + best.end) / 2) * binWidth;
+  const left = fragments.filter((fragment) => fragment.x1 <= gutter).length;
+  const right = fragments.filter((fragment) => fragment.x0 >= gutter).length;
+
+  const minColumn = fragments.length * MIN_COLUMN_SHARE;
+  return left >= minColumn && right >= minColumn ? gutter : null;
+}
+
+/**
+ * Merge fragments sharing a baseline into lines, left to right
+ * @param {Array} fragments - Fragments of one column, any order
+ * @returns {Array} - [{ text, x0, x1, y, size }] top to bottom
+ */
+function mergeIntoLines(fragments) {
+  const sorted = [...fragments].sort((a, b) => (b.y - a.y) || (a.x0 - b.x0));
+  const lines = [];
+
+  for (const fragment of sorted) {
+    const line = lines[lines.length - 1];
+    if (line && Math.abs(line.y - fragment.y) <= Math.min(line.size, fragment.size) * 0.5) {
+      line.parts.push(fragment);
+      line.x0 = Math.min(line.x0, fragment.x0);
+      line.x1 = Math.max(line.x1, fragment.x1);
+      line.size = Math.max(line.size, fragment.size);
+    } else {
+      lines.push({ parts: [fragment], x0: fragment.x0, x1: fragment.x1, y: fragment.y, size: fragment.size });
+    }
+  }
+
+  return lines.map((line) => ({
+    text: line.parts.sort((a, b) => a.x0 - b.x0).map((part) => part.text).join(' '),
+    x0: line.x0,
+    x1: line.x1,
+    y: line.y,
+    size: line.size
+  }));
+}
+
+/**
+ * Order a page's fragments for reading: full-width lines split the page
+ * into bands, and within a band the left column is read before the right
+ * @param {Array} fragments - Line fragments
+ * @param {number} pageWidth - Page width in PDF units
+ * @returns {Array} - Blocks of lines in reading order: [[line, ...], ...]
+ */
+function orderIntoBlocks(fragments, pageWidth) {
+  const gutter = findColumnGutter(fragments, pageWidth);
+  if (gutter === null) return [mergeIntoLines(fragments)];
+
+  const blocks = [];
+  let left = [];
+  let right = [];
+  let spanning = [];
+
+  const flushColumns = () => {
+    if (left.length > 0) blocks.push(mergeIntoLines(left));
+    if (right.length > 0) blocks.push(mergeIntoLines(right));
+    left = [];
+    right = [];
+  };
+  const flushSpanning = () => {
+    if (spanning.length > 0) blocks.push(mergeIntoLines(spanning));
+    spanning = [];
+  };
+
+  for (const fragment of [...fragments].sort((a, b) => b.y - a.y)) {
+    if (fragment.x1 <= gutter) {
+      flushSpanning();
+      left.push(fragment);
+    } else if (fragment.x0 >= gutter) {
+      flushSpanning();
+      right.push(fragment);
+    } else {
+      flushColumns();
+      spanning.push(fragment);
+    }
+  }
+  flushSpanning();
+  flushColumns();
+
+  return blocks;
+}
+
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+/**
+ * Lay out one page from its text items
+ * @param {Array} items - pdfjs textContent.items
+ * @param {number} pageWidth - Page width in PDF units
+ * @returns {Array} - Lines in reading order: [{ text, y, paragraphStart }]
+ */
+function layoutPage(items, pageWidth) {
+  const blocks = orderIntoBlocks(buildFragments(items), pageWidth);
+  const lines = [];
+
+  for (const block of blocks) {
+    const gaps = block.slice(1).map((line, i) => block[i].y - line.y).filter((gap) => gap > 0);
+    const lineSpacing = median(gaps);
+    const blockLeft = Math.min(...block.map((line) => line.x0));
+    const blockRight = Math.max(...block.map((line) => line.x1));
+
+    block.forEach((line, i) => {
+      const previous = block[i - 1];
+      let paragraphStart = i === 0;
+
+      if (previous) {
+        const gap = previous.y - line.y;
+        const indented = line.x0 - blockLeft > line.size;
+        const previousEndsShort = blockRight - previous.x1 > (blockRight - blockLeft) * 0.25 &&
+          /[.!?:"”)]$/.test(previous.text);
+        const sizeChanged = Math.abs(previous.size - line.size) > 0.5;
+
+        paragraphStart = (lineSpacing > 0 && gap > lineSpacing * PARAGRAPH_GAP_RATIO) ||
+          indented || previousEndsShort || sizeChanged;
+      }
+
+      lines.push({ text: line.text, y: line.y, paragraphStart });
+    });
+  }
+
+  return lines;
+}
+
+/**
+ * Whether a number can be a page number. Roman numerals must be well formed
+ * ("dim" and "mild" are words), and a bare four-digit number is more likely a
+ * year than a page.
+ * @param {string} number - Digits or letters
+ * @param {boolean} labelled - Written as "page n" or "n of m"
+ */
+function isPageNumberToken(number, labelled) {
+  if (/^\d+$/.test(number)) return number.length < 4 || labelled;
+  return ROMAN_NUMERAL_PATTERN.test(number);
+}
+
+function isPageNumber(text) {
+  const match = text.trim().match(PAGE_NUMBER_PATTERN);
+  return Boolean(match) && isPageNumberToken(match[2], Boolean(match[1] || match[3]));
+}
+
+// Running heads differ only in a leading or trailing page number ("12 Smith et al.")
+function normalizeEdgeLine(text) {
+  return text.toLowerCase().replace(/\s+/g, ' ').trim()
+    .replace(/^(page\s+)?(\d+|[ivxlcdm]+)\b/, (token, label, number) => (isPageNumberToken(number, Boolean(label)) ? '#' : token))
+    .replace(/\b(\d+|[ivxlcdm]+)$/, (token) => (isPageNumberToken(token, false) ? '#' : token));
+}
+
+/**
+ * Lines nearest the top and bottom of a page, where headers and footers live
+ */
+function edgeLines(lines) {
+  const byPosition = [...lines].sort((a, b) => b.y - a.y);
+  return new Set([
+    ...byPosition.slice(0, EDGE_LINES),
+    ...byPosition.slice(-EDGE_LINES)
+  ]);
+}
+
+/**
+ * Drop running headers/footers and page numbers. A header/footer is an
+ * edge line whose text (page number aside) recurs on at least half the pages;
+ * page numbers are only dropped when at least half the pages have one, so a
+ * lone number at the edge of one page stays.
+ * @param {Array} pages - [{ page, lines }] as produced by layoutPage
+ * @returns {Array} - Same pages with those lines removed
+ */
+function removeRunningLines(pages) {
+  const laidOut = pages.filter((page) => page.lines);
+  const edgeCounts = new Map();
+
+  for (const { lines } of laidOut) {
+    const seen = new Set([...edgeLines(lines)].map((line) => normalizeEdgeLine(line.text)));
+    for (const text of seen) edgeCounts.set(text, (edgeCounts.get(text) || 0) + 1);
+  }
+
+  const threshold = Math.max(2, Math.ceil(laidOut.length / 2));
+  const isRunning = (text) => laidOut.length >= 3 && (edgeCounts.get(normalizeEdgeLine(text)) || 0) >= threshold;
+  const numberedPages = laidOut
+    .filter(({ lines }) => [...edgeLines(lines)].some((line) => isPageNumber(line.text)))
+    .length;
+  const hasPageNumbers = numberedPages >= threshold;
+
+  return pages.map((page) => {
+    if (!page.lines) return page;
+
+    const edges = edgeLines(page.lines);
+    return {
+      ...page,
+      lines: page.lines.filter((line) =>
+        !edges.has(line) || !((hasPageNumbers && isPageNumber(line.text)) || isRunning(line.text))
+      )
+    };
+  });
+}
+
+/**
+ * Join laid-out lines into text: paragraphs separated by a blank line,
+ * hyphenated line breaks rejoined
+ * @param {Array} lines - [{ text, paragraphStart }]
+ * @returns {string}
+ */
+function joinLines(lines) {
+  const paragraphs = [];
+
+  for (const line of lines) {
+    if (line.paragraphStart || paragraphs.length === 0) {
+      paragraphs.push(line.text);
+      continue;
+    }
+
+    const last = paragraphs.length - 1;
+    paragraphs[last] = dehyphenate(paragraphs[last], line.text);
+  }
+
+  return paragraphs.join('\n\n');
+}
+
+/**
+ * Append a line to a paragraph, undoing an end-of-line hyphenation
+ * ("segmen-" + "tation" -> "segmentation"). Words that already contain a
+ * hyphen ("state-of-the-" + "art") keep theirs.
+ */
+function dehyphenate(paragraph, nextLine) {
+  if (/[A-Za-z]-$/.test(paragraph) && /^[a-z]/.test(nextLine)) {
+    const lastWord = paragraph.slice(paragraph.lastIndexOf(' ') + 1, -1);
+    return lastWord.includes('-')
+      ? paragraph + nextLine
+      : paragraph.slice(0, -1) + nextLine;
+  }
+  return `${paragraph} ${nextLine}`;
+}
+
+/**
+ * Tidy plain text without coordinates (e.g. OCR output): keep paragraph
+ * breaks, rejoin hyphenated line breaks, collapse other whitespace
+ * @param {string} text - Text with newline-separated lines
+ * @returns {string}
+ */
+function cleanPlainText(text) {
+  return (text || '')
+    .split(/\n\s*\n/)
+    .map((paragraph) => paragraph
+      .split('\n')
+      .map((line) => line.replace(/\s+/g, ' ').trim())
+      .filter(Boolean)
+      .reduce((joined, line) => (joined ? dehyphenate(joined, line) : line), ''))
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+module.exports = {
+  layoutPage,
+  removeRunningLines,
+  joinLines,
+  cleanPlainText
+};
@@ -0,0 +1,48 @@
+/**
+ * Groq provider (hosted, via groq-sdk)
+ */
+
+const Groq = require('groq-sdk');
+
+/**
+ * @param {Object} config - { apiKey, model, temperature, maxTokens }
+ * @returns {Object} - LLM provider
+ */
+function createGroqProvider(config) {
+  let client = null;
+
+  // Created on first use so a missing key only matters when Groq is selected
+  const getClient = () => {
+    if (!client) {
+      client = new Groq({ apiKey: config.apiKey });
+    }
+    return client;
+  };
+
+  return {
+    name: 'groq',
+    model: config.model,
+    temperature: config.temperature,
+    maxTokens: config.maxTokens,
+
+    async complete(messages, { maxTokens, temperature, onText } = {}) {
+      const stream = await getClient().chat.completions.create({
+        messages,
+        model: config.model,
+        max_tokens: maxTokens || config.maxTokens,
+        temperature: temperature !== undefined ? temperature : config.temperature,
+        stream: true
+      });
+
+      let responseText = '';
+      for await (const chunk of stream) {
+        responseText += chunk.choices[0]?.delta?.content || '';
+        if (onText) onText(responseText);
+      }
+
+      return responseText;
+    }
+  };
+}
+
+module.exports = { createGroqProvider };
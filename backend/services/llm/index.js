@@ -0,0 +1,113 @@
+/**
+ * LLM PROVIDER LAYER
+ * Selects and configures the chat-completion backend from the environment.
+ *
+ *   LLM_PROVIDER = groq (default) | openai | ollama | mock
+ *
+ * Each provider reads <PREFIX>_MODEL, <PREFIX>_TEMPERATURE and
+ * <PREFIX>_MAX_TOKENS (GROQ_, OPENAI_, OLLAMA_, MOCK_), plus:
+ *   groq:   GROQ_API_KEY
+ *   openai: OPENAI_API_KEY, OPENAI_BASE_URL (any OpenAI-compatible endpoint)
+ *   ollama: OLLAMA_BASE_URL (Ollama or llama.cpp server, OpenAI-compatible API)
+ *
+ * Providers expose: name, model, temperature, maxTokens and
+ * complete(messages, { maxTokens, temperature, onText, task }) -> response text
+ */
+
+const { createGroqProvider } = require('./groq.provider');
+const { createOpenAICompatibleProvider } = require('./openai.provider');
+const { createMockProvider } = require('./mock.provider');
+
+const DEFAULTS = {
+  groq: { model: 'llama-3.3-70b-versatile', temperature: 0.7, maxTokens: 2048 },
+  openai: { model: 'gpt-4o-mini', temperature: 0.7, maxTokens: 2048, baseUrl: 'https://api.openai.com/v1' },
+  ollama: { model: 'llama3.1', temperature: 0.7, maxTokens: 2048, baseUrl: 'http://localhost:11434/v1' },
+  mock: { model: 'mock-1', temperature: 0, maxTokens: 2048 }
+};
+
+let provider = null;
+
+function readNumber(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return isNaN(value) ? fallback : value;
+}
+
+/**
+ * Build the provider named by LLM_PROVIDER from environment settings
+ * @returns {Object} - LLM provider
+ */
+function createProviderFromEnv() {
+  const name = (process.env.LLM_PROVIDER || 'groq').toLowerCase();
+  const defaults = DEFAULTS[name];
+
+  if (!defaults) {
+    throw new Error(`Unknown LLM_PROVIDER "${name}". Expected one of: ${Object.keys(DEFAULTS).join(', ')}`);
+  }
+
+  const prefix = name.toUpperCase();
+  const config = {
+    model: process.env[`${prefix}_MODEL`] || defaults.model,
+    temperature: readNumber(`${prefix}_TEMPERATURE`, defaults.temperature),
+    maxTokens: readNumber(`${prefix}_MAX_TOKENS`, defaults.maxTokens)
+  };
+
+  switch (name) {
+    case 'groq':
+      return createGroqProvider({ ...config, apiKey: process.env.GROQ_API_KEY });
+    case 'openai':
+      return createOpenAICompatibleProvider({
+        ...config,
+        name,
+        apiKey: process.env.OPENAI_API_KEY,
+        baseUrl: process.env.OPENAI_BASE_URL || defaults.baseUrl
+      });
+    case 'ollama':
+      return createOpenAICompatibleProvider({
+        ...config,
+        name,
+        baseUrl: process.env.OLLAMA_BASE_URL || defaults.baseUrl
+      });
+    case 'mock':
+      return createMockProvider(config);
+  }
+}
+
+/**
+ * Get the configured provider (created once per process)
+ * @returns {Object} - LLM provider
+ */
+function getLLMProvider() {
+  if (!provider) {
+    provider = createProviderFromEnv();
+    console.log(`[LLM] Using provider ${provider.name} (${provider.model})`);
+  }
+  return provider;
+}
+
+/**
+ * Override the provider, e.g. with a mock in tests
+ * @param {Object|null} override - Provider, or null to re-read the environment
+ */
+function setLLMProvider(override) {
+  provider = override;
+}
+
+/**
+ * Settings to store alongside anything the provider generated
+ * @param {Object} llm - Provider
+ * @returns {Object} - { provider, model, temperature, maxTokens }
+ */
+function describeProvider(llm) {
+  return {
+    provider: llm.name,
+    model: llm.model,
+    temperature: llm.temperature,
+    maxTokens: llm.maxTokens
+  };
+}
+
+module.exports = {
+  getLLMProvider,
+  setLLMProvider,
+  describeProvider
+};
@@ -0,0 +1,214 @@
+/**
+ * Mock provider
+ * Deterministic, offline responses for development and tests. Callers pass
+ * a `task` option; each task has a responder that builds a plausible reply
+ * from the messages alone, so the same input always gives the same output.
+ * Responders read the data the prompts embed (page markers, excerpts, JSON)
+ * and fall back to fixed defaults for anything they can't find, so a
+ * reworded prompt still gets a well-formed reply.
+ */
+
+const responders = {
+  /**
+   * Learning roadmap: four segments (or the number asked for) over equal
+   * slices of the pages seen in the prompt
+   */
+  roadmap(prompt) {
+    const pageNumbers = [...prompt.matchAll(/\[PAGE (\d+)\]|PAGES (\d+)-(\d+)/g)]
+      .flatMap((match) => match.slice(1).filter(Boolean).map(Number));
+    const pageCount = pageNumbers.length > 0 ? Math.max(...pageNumbers) : 4;
+    const nameMatch = prompt.match(/DOCUMENT NAME: "([^"]*)"/);
+    const title = nameMatch ? nameMatch[1].replace(/\.pdf$/i, '') : 'Document';
+    const countMatch = prompt.match(/Identify exactly (\d+)/);
+    const segmentCount = countMatch ? Number(countMatch[1]) : 4;
+
+    // Short documents get segments that share pages rather than too few segments
+    const segments = Array.from({ length: segmentCount }, (unused, index) => {
+      const startPage = Math.min(pageCount, Math.floor((index * pageCount) / segmentCount) + 1);
+      const endPage = Math.max(startPage, Math.floor(((index + 1) * pageCount) / segmentCount));
+      return {
+        id: index + 1,
+        title: `Part ${index + 1} (pages ${startPage}-${endPage})`,
+        description: `Work through pages ${startPage} to ${endPage} of ${title}.`,
+        keyPoints: [`Main ideas of pages ${startPage}-${endPage}`, 'Key terms and definitions'],
+        difficulty: index === 0 ? 'beginner' : index === segmentCount - 1 ? 'advanced' : 'intermediate',
+        estimatedTime: '10-15 minutes',
+        learningObjectives: [`Summarise pages ${startPage}-${endPage}`],
+        glossary: [{ term: `Part ${index + 1}`, definition: `The material on pages ${startPage}-${endPage}.` }],
+        startPage,
+        endPage
+      };
+    });
+
+    return JSON.stringify({
+      title,
+      overview: `A ${segmentCount}-part walkthrough of ${title}.`,
+      segments,
+      totalSegments: segments.length,
+      estimatedTotalTime: `${segmentCount * 10}-${segmentCount * 15} minutes`
+    });
+  },
+
+  /**
+   * Chunk outline for map-reduce segmentation
+   */
+  outline(prompt) {
+    const rangeMatch = prompt.match(/\(pages (\d+)-(\d+)\)/);
+    const pages = rangeMatch ? `${rangeMatch[1]}-${rangeMatch[2]}` : '1-1';
+
+    return JSON.stringify({
+      summary: `Excerpt covering pages ${pages}.`,
+      topics: [{ title: `Pages ${pages}`, pages, summary: `Content of pages ${pages}.`, keyPoints: [`Pages ${pages}`] }]
+    });
+  },
+
+  /**
+   * Document question: quote the first sentence of the excerpt sharing the
+   * most words with the question, or decline if none shares any
+   */
+  ask(prompt, messages) {
+    const latest = messages[messages.length - 1].content;
+    const questionMatch = latest.match(/QUESTION: ([^]*)$/);
+    const questionWords = new Set((questionMatch ? questionMatch[1] : '').toLowerCase().match(/[a-z0-9]{4,}/g) || []);
+
+    let best = null;
+    for (const match of latest.matchAll(/\[EXCERPT \d+ \| PAGE (\d+)\]\n([^]*?)(?=\n\n\[EXCERPT|\n\nQUESTION:)/g)) {
+      const overlap = (match[2].toLowerCase().match(/[a-z0-9]{4,}/g) || [])
+        .filter((word) => questionWords.has(word)).length;
+      if (overlap > 0 && (!best || overlap > best.overlap)) {
+        best = { page: Number(match[1]), text: match[2], overlap };
+      }
+    }
+
+    if (!best) {
+      return JSON.stringify({ answerable: false, answer: '', citations: [] });
+    }
+
+    const sentence = (best.text.match(/[^.!?]+[.!?]?/) || [best.text])[0].trim();
+    return JSON.stringify({
+      answerable: true,
+      answer: `According to page ${best.page}: ${sentence}`,
+      citations: [{ page: best.page, quote: sentence }]
+    });
+  },
+
+  /**
+   * Segment quiz: questions built from the longest words on each page seen
+   */
+  quiz(prompt) {
+    const countMatch = prompt.match(/exactly (\d+) multiple_choice and (\d+) short_answer/);
+    const [multipleChoice, shortAnswer] = countMatch ? [Number(countMatch[1]), Number(countMatch[2])] : [1, 1];
+    const pages = [...prompt.matchAll(/\[PAGE (\d+)\]\n([^]*?)(?=\n\n\[PAGE|\n\nWrite exactly|$)/g)]
+      .map((match) => ({
+        page: Number(match[1]),
+        words: [...new Set((match[2].toLowerCase().match(/[a-z]{5,}/g) || []))].sort((a, b) => b.length - a.length)
+      }));
+    const pageAt = (index) => pages[index % Math.max(pages.length, 1)] || { page: 1, words: [] };
+    const wordAt = (page, index) => page.words[index % Math.max(page.words.length, 1)] || `term${index + 1}`;
+
+    const questions = [
+      ...Array.from({ length: multipleChoice }, (unused, index) => {
+        const page = pageAt(index);
+        const options = [0, 1, 2, 3].map((option) => `${wordAt(page, index * 4 + option)} (${option + 1})`);
+        return {
+          type: 'multiple_choice',
+          question: `Which term appears on page ${page.page}?`,
+          options,
+          correctIndex: index % 4,
+          explanation: `Page ${page.page} uses it.`,
+          page: page.page
+        };
+      }),
+      ...Array.from({ length: shortAnswer }, (unused, index) => {
+        const page = pageAt(index);
+        const keyword = wordAt(page, index);
+        return {
+          type: 'short_answer',
+          question: `Explain the role of "${keyword}" on page ${page.page}.`,
+          rubric: {
+            sampleAnswer: `It describes ${keyword}.`,
+            criteria: [{ point: `Mentions ${keyword}`, keywords: [keyword] }]
+          },
+          page: page.page
+        };
+      })
+    ];
+
+    return JSON.stringify({ questions });
+  },
+
+  /**
+   * Roadmap translation: every text field tagged with the target language code
+   */
+  translate(prompt) {
+    const code = (prompt.match(/into [^(]+\((\w+)\)/) || [null, 'xx'])[1];
+    const roadmapMatch = prompt.match(/ROADMAP JSON:\n(.*)/);
+    const tag = (value) => `[${code}] ${value}`;
+    let roadmap = { title: 'Document', overview: '', segments: [] };
+    try {
+      if (roadmapMatch) roadmap = JSON.parse(roadmapMatch[1]);
+    } catch (error) {
+      // Keep the empty roadmap
+    }
+
+    return JSON.stringify({
+      title: tag(roadmap.title),
+      overview: tag(roadmap.overview),
+      segments: roadmap.segments.map((segment) => ({
+        id: segment.id,
+        title: tag(segment.title),
+        description: tag(segment.description),
+        keyPoints: segment.keyPoints.map(tag),
+        learningObjectives: segment.learningObjectives.map(tag),
+        glossary: segment.glossary.map((entry) => ({ term: tag(entry.term), definition: tag(entry.definition) }))
+      }))
+    });
+  },
+
+  /**
+   * Short-answer grading: a criterion is met when the answer repeats the
+   * criterion's subject
+   */
+  grade(prompt) {
+    const results = [...prompt.matchAll(/QUESTION (\S+): [^]*?CRITERIA:\n([^]*?)STUDENT ANSWER: (.*)/g)]
+      .map(([, questionId, criteria, answer]) => {
+        const metCriteria = [...criteria.matchAll(/^\s*(\d+)\. (?:Mentions )?(.*)$/gm)]
+          .filter((criterion) => answer.toLowerCase().includes(criterion[2].toLowerCase()))
+          .map((criterion) => Number(criterion[1]));
+        return { questionId, metCriteria, feedback: metCriteria.length > 0 ? 'Good.' : 'Review this part of the section.' };
+      });
+
+    return JSON.stringify({ results });
+  }
+};
+
+/**
+ * @param {Object} config - { model, temperature, maxTokens }
+ * @returns {Object} - LLM provider
+ */
+function createMockProvider(config) {
+  return {
+    name: 'mock',
+    model: config.model,
+    temperature: config.temperature,
+    maxTokens: config.maxTokens,
+
+    async complete(messages, { task, onText } = {}) {
+      const prompt = messages.map((message) => message.content).join('\n\n');
+      const responder = responders[task];
+      const responseText = responder ? responder(prompt, messages) : '{}';
+
+      if (onText) {
+        // Emulate streaming so partial-output consumers are exercised too
+        for (let i = 64; i < responseText.length; i += 64) {
+          onText(responseText.slice(0, i));
+        }
+        onText(responseText);
+      }
+
+      return responseText;
+    }
+  };
+}
+
+module.exports = { createMockProvider, responders };
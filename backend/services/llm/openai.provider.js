@@ -0,0 +1,76 @@
+/**
+ * OpenAI-compatible provider
+ * Works with OpenAI itself and anything exposing POST {baseUrl}/chat/completions
+ * with SSE streaming: Ollama (/v1), llama.cpp server, vLLM, LM Studio, ...
+ */
+
+/**
+ * @param {Object} config - { name, baseUrl, apiKey, model, temperature, maxTokens }
+ * @returns {Object} - LLM provider
+ */
+function createOpenAICompatibleProvider(config) {
+  const baseUrl = config.baseUrl.replace(/\/+$/, '');
+
+  return {
+    name: config.name,
+    model: config.model,
+    temperature: config.temperature,
+    maxTokens: config.maxTokens,
+
+    async complete(messages, { maxTokens, temperature, onText } = {}) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (config.apiKey) {
+        headers['Authorization'] = `Bearer ${config.apiKey}`;
+      }
+
+      const response = await fetch(`${baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          model: config.model,
+          messages,
+          max_tokens: maxTokens || config.maxTokens,
+          temperature: temperature !== undefined ? temperature : config.temperature,
+          stream: true
+        })
+      });
+
+      if (!response.ok) {
+        const body = await response.text();
+        throw new Error(`${config.name} request failed (${response.status}): ${body.slice(0, 300)}`);
+      }
+
+      // Server-Sent Events: "data: {json}" lines, terminated by "data: [DONE]"
+      const decoder = new TextDecoder();
+      let buffer = '';
+      let responseText = '';
+
+      for await (const bytes of response.body) {
+        buffer += decoder.decode(bytes, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          const trimmed = line.trim();
+          if (!trimmed.startsWith('data:')) continue;
+
+          const payload = trimmed.slice(5).trim();
+          if (payload === '[DONE]') continue;
+
+          try {
+            const chunk = JSON.parse(payload);
+            responseText += chunk.choices?.[0]?.delta?.content || '';
+          } catch (error) {
+            continue; // keep-alive or partial line
+          }
+        }
+
+        if (onText) onText(responseText);
+      }
+
+      return responseText;
+    }
+  };
+}
+
+module.exports = { createOpenAICompatibleProvider };
@@ -0,0 +1,137 @@
+/**
+ * OCR SERVICE
+ * Local OCR for scanned pages that have no usable text layer. Pages are
+ * rendered with pdfjs and read with tesseract.js using language data
+ * installed from npm, so nothing is fetched over the network.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { cleanPlainText } = require('./layout.service');
+
+const OCR_ENABLED = process.env.OCR_ENABLED !== 'false';
+const OCR_LANGUAGE = process.env.OCR_LANGUAGE || 'eng';
+// Pages with fewer non-whitespace characters than this are treated as scanned
+const OCR_MIN_CHARS = parseInt(process.env.OCR_MIN_CHARS, 10) || 20;
+// 2x the PDF's 72dpi user space, roughly 150dpi, is enough for body text
+const OCR_RENDER_SCALE = parseFloat(process.env.OCR_RENDER_SCALE) || 2;
+
+let workerPromise = null;
+
+/**
+ * Whether a page's extracted text is too thin to be a real text layer
+ * @param {string} text - Text from pdfjs
+ * @returns {boolean}
+ */
+function pageNeedsOCR(text) {
+  return OCR_ENABLED && (text || '').replace(/\s+/g, '').length < OCR_MIN_CHARS;
+}
+
+/**
+ * Resolve the bundled traineddata for the configured language(s)
+ * OCR_LANGUAGE may combine languages (eng+deu); each has its own package,
+ * but tesseract reads every language from one langPath, so the files are
+ * linked side by side into a temp directory.
+ * @returns {Object} - { langPath, gzip }
+ */
+function resolveLanguageData() {
+  // Language packages are published per language as @tesseract.js-data/<code>
+  const languages = OCR_LANGUAGE.split('+').filter(Boolean);
+  const packages = languages.map((code) => {
+    try {
+      return { code, ...require(`@tesseract.js-data/${code}`) };
+    } catch (error) {
+      throw new Error(`OCR language data for "${code}" is not installed (npm install @tesseract.js-data/${code})`);
+    }
+  });
+
+  if (packages.length === 1) {
+    return { langPath: packages[0].langPath, gzip: packages[0].gzip };
+  }
+
+  const langPath = path.join(os.tmpdir(), 'docvia-tessdata');
+  fs.mkdirSync(langPath, { recursive: true });
+
+  for (const { code, langPath: packagePath, gzip } of packages) {
+    const source = path.join(packagePath, `${code}.traineddata${gzip ? '.gz' : ''}`);
+    // Always named without .gz; tesseract gunzips by the file's magic bytes
+    const target = path.join(langPath, `${code}.traineddata`);
+    fs.rmSync(target, { force: true });
+    try {
+      fs.symlinkSync(source, target);
+    } catch (error) {
+      fs.copyFileSync(source, target);
+    }
+  }
+
+  return { langPath, gzip: false };
+}
+
+/**
+ * Shared tesseract worker, created on first use
+ */
+function getOCRWorker() {
+  if (!workerPromise) {
+    workerPromise = (async () => {
+      const { createWorker, OEM } = require('tesseract.js');
+      const { langPath, gzip } = resolveLanguageData();
+
+      return createWorker(OCR_LANGUAGE, OEM.LSTM_ONLY, {
+        langPath,
+        gzip,
+        // Language data is read from node_modules; don't write a copy to the cwd
+        cacheMethod: 'none'
+      });
+    })();
+
+    // A failed start shouldn't poison every later attempt
+    workerPromise.catch(() => {
+      workerPromise = null;
+    });
+  }
+  return workerPromise;
+}
+
+/**
+ * Render one page to a PNG
+ * @param {Object} pdf - pdfjs PDFDocumentProxy
+ * @param {Object} page - pdfjs PDFPageProxy
+ * @returns {Buffer} - PNG image
+ */
+async function renderPageImage(pdf, page) {
+  const viewport = page.getViewport({ scale: OCR_RENDER_SCALE });
+  const { canvas, context } = pdf.canvasFactory.create(
+    Math.ceil(viewport.width),
+    Math.ceil(viewport.height)
+  );
+
+  try {
+    await page.render({ canvasContext: context, viewport }).promise;
+    return canvas.toBuffer('image/png');
+  } finally {
+    pdf.canvasFactory.destroy({ canvas, context });
+  }
+}
+
+/**
+ * Render and OCR one page
+ * @param {Object} pdf - pdfjs PDFDocumentProxy
+ * @param {Object} page - pdfjs PDFPageProxy
+ * @returns {Object} - { text, confidence } with confidence from 0 to 100
+ */
+async function recognizePage(pdf, page) {
+  const image = await renderPageImage(pdf, page);
+  const worker = await getOCRWorker();
+  const { data } = await worker.recognize(image);
+
+  return {
+    text: cleanPlainText(data.text),
+    confidence: Math.round(data.confidence || 0)
+  };
+}
+
+module.exports = {
+  pageNeedsOCR,
+  recognizePage
+};
@@ -0,0 +1,153 @@
+/**
+ * PAGE TEXT SERVICE
+ * Per-page extracted text stored in `document_pages`, so readers and
+ * segment lookups don't have to re-download and re-parse the PDF
+ */
+
+const { supabase } = require('../config/supabase');
+const { getDocumentById, downloadDocumentPDF, updateDocument } = require('./document.service');
+const { extractPDFText } = require('./pdf.service');
+const { registerJobHandler, enqueueJob } = require('./jobQueue.service');
+const { reanchorAnnotations } = require('./annotation.service');
+const { detectLanguage } = require('./language.service');
+
+/**
+ * Replace the stored page texts of a document
+ * @param {string} documentId - Document id
+ * @param {Array} pages - [{ page, text, source?, confidence? }]
+ */
+async function savePageTexts(documentId, pages) {
+  const { error: deleteError } = await supabase
+    .from('document_pages')
+    .delete()
+    .eq('document_id', documentId);
+
+  if (deleteError) throw deleteError;
+  if (pages.length === 0) return;
+
+  const { error } = await supabase
+    .from('document_pages')
+    .insert(pages.map(({ page, text, source, confidence }) => ({
+      document_id: documentId,
+      page_number: page,
+      text,
+      char_count: text.length,
+      source: source || 'text',
+      ocr_confidence: confidence ?? null,
+      created_at: new Date().toISOString()
+    })));
+
+  if (error) throw error;
+}
+
+/**
+ * Read stored page texts of a document, optionally limited to a page range
+ * @param {string} documentId - Document id
+ * @param {Object} [range] - { startPage, endPage }
+ * @returns {Array} - [{ page, text, source, confidence }] ordered by page
+ */
+async function getPageTexts(documentId, { startPage, endPage } = {}) {
+  let query = supabase
+    .from('document_pages')
+    .select('page_number, text, source, ocr_confidence')
+    .eq('document_id', documentId);
+
+  if (startPage) query = query.gte('page_number', startPage);
+  if (endPage) query = query.lte('page_number', endPage);
+
+  const { data, error } = await query.order('page_number', { ascending: true });
+
+  if (error) throw error;
+  return (data || []).map((row) => ({
+    page: row.page_number,
+    text: row.text,
+    source: row.source || 'text',
+    confidence: row.ocr_confidence ?? null
+  }));
+}
+
+/**
+ * Store the result of extractPDFText: page texts, plus which pages needed OCR
+ * and the language detected from the text.
+ * Annotations are re-anchored since their text offsets refer to the old text.
+ * Extraction can take a while, so the document is checked again first: it may
+ * have been deleted meanwhile and its pages must not be written back.
+ * @param {string} documentId - Document id
+ * @param {Object} extraction - Result of extractPDFText
+ */
+async function saveExtraction(documentId, extraction) {
+  if (!(await getDocumentById(documentId))) {
+    throw new Error('Document no longer exists');
+  }
+
+  await savePageTexts(documentId, extraction.pages);
+  await updateDocument(documentId, {
+    ocr_pages: extraction.ocrPages || [],
+    language: detectLanguage(extraction.text)?.language || null
+  });
+  await reanchorAnnotations(documentId, extraction.pages);
+}
+
+/**
+ * Read page texts, extracting and storing them first if they are missing
+ * @param {Object} document - Document row
+ * @param {Object} [range] - { startPage, endPage }
+ * @returns {Array} - [{ page, text, source, confidence }] ordered by page
+ */
+async function ensurePageTexts(document, range = {}) {
+  const stored = await getPageTexts(document.id, range);
+  if (stored.length > 0) return stored;
+
+  return refreshPageTexts(document, range);
+}
+
+/**
+ * Re-extract a document's text and replace the stored page texts
+ * @param {Object} document - Document row
+ * @param {Object} [range] - { startPage, endPage } of the pages to return
+ * @returns {Array} - [{ page, text, source, confidence }] ordered by page
+ */
+async function refreshPageTexts(document, range = {}) {
+  const extraction = await extractPDFText(await downloadDocumentPDF(document));
+  await saveExtraction(document.id, extraction);
+
+  return extraction.pages.filter(({ page }) =>
+    (!range.startPage || page >= range.startPage) && (!range.endPage || page <= range.endPage)
+  );
+}
+
+registerJobHandler('indexing', async (job, { setState }) => {
+  const document = await getDocumentById(job.payload.pdfId);
+
+  if (!document || document.user_id !== job.userId) {
+    throw new Error('Document no longer exists');
+  }
+
+  await setState('extracting', 10);
+  const pages = await refreshPageTexts(document);
+
+  return { pages: pages.length };
+});
+
+/**
+ * Queue extraction of a document's page text so it becomes searchable
+ * without waiting for segmentation
+ * @param {Object} document - Document row
+ * @returns {Object} - { job, reused }
+ */
+function enqueuePageIndexing(document) {
+  return enqueueJob('indexing', {
+    userId: document.user_id,
+    key: `indexing:${document.id}`,
+    payload: { pdfId: document.id }
+  });
+}
+
+module.exports = {
+  savePageTexts,
+  saveExtraction,
+  getPageTexts,
+  ensurePageTexts,
+  refreshPageTexts,
+  enqueuePageIndexing
+};
@@ -0,0 +1,165 @@
+/**
+ * PDF SERVICE
+ * Shared pdfjs-dist loading, metadata and text extraction
+ */
+
+const path = require('path');
+const { pageNeedsOCR, recognizePage } = require('./ocr.service');
+const { layoutPage, removeRunningLines, joinLines } = require('./layout.service');
+
+// pdfjs-dist ships as ES modules only; the legacy build is the one meant for Node
+let pdfjsLib = null;
+
+const STANDARD_FONT_DATA_URL = path.join(
+  path.dirname(require.resolve('pdfjs-dist/package.json')),
+  'standard_fonts'
+) + path.sep;
+
+/**
+ * Lazily import pdfjs-dist from CommonJS
+ * @returns {Object} - pdfjs module
+ */
+async function getPdfjs() {
+  if (!pdfjsLib) {
+    pdfjsLib = await import('pdfjs-dist/legacy/build/pdf.mjs');
+  }
+  return pdfjsLib;
+}
+
+/**
+ * Open a PDF with pdfjs
+ * @param {Buffer} pdfBuffer - PDF file buffer
+ * @returns {Object} - pdfjs PDFDocumentProxy
+ */
+async function loadPDFDocument(pdfBuffer) {
+  const pdfjs = await getPdfjs();
+
+  // pdfjs may transfer the underlying ArrayBuffer, so hand it a copy
+  return pdfjs.getDocument({
+    data: new Uint8Array(pdfBuffer),
+    standardFontDataUrl: STANDARD_FONT_DATA_URL,
+    isEvalSupported: false,
+    verbosity: 0
+  }).promise;
+}
+
+/**
+ * Convert a PDF date string (D:YYYYMMDDHHmmSSOHH'mm) to ISO 8601
+ * @param {string} value - Raw info-dictionary date
+ * @returns {string|null} - ISO date or null if missing/unparseable
+ */
+async function parsePDFDate(value) {
+  if (!value) return null;
+
+  const pdfjs = await getPdfjs();
+  const date = pdfjs.PDFDateString.toDateObject(value);
+  return date && !isNaN(date.getTime()) ? date.toISOString() : null;
+}
+
+/**
+ * Extract page count and info-dictionary fields from a PDF
+ * @param {Buffer} pdfBuffer - PDF file buffer
+ * @returns {Object} - { pageCount, title, author, creationDate }
+ */
+async function extractPDFMetadata(pdfBuffer) {
+  const pdf = await loadPDFDocument(pdfBuffer);
+
+  try {
+    const { info } = await pdf.getMetadata();
+    const clean = (value) => (typeof value === 'string' && value.trim()) ? value.trim() : null;
+
+    return {
+      pageCount: pdf.numPages,
+      title: clean(info?.Title),
+      author: clean(info?.Author),
+      creationDate: await parsePDFDate(info?.CreationDate)
+    };
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+/**
+ * Extract text from every page, tagging each with a [PAGE n] marker.
+ * Text is laid out in reading order with running headers/footers removed;
+ * pages without a usable text layer are rendered and OCR'd.
+ * @param {Buffer} pdfBuffer - PDF file buffer
+ * @param {Object} [options]
+ * @param {Function} [options.onPage] - Called after each page ({ page, pageCount, characters, ocr, confidence? })
+ * @returns {Object} - { text, pages: [{ page, text, source, confidence }], pageCount, ocrPages: [{ page, confidence }], extractedAt }
+ */
+async function extractPDFText(pdfBuffer, { onPage } = {}) {
+  try {
+    const pdf = await loadPDFDocument(pdfBuffer);
+    const rawPages = [];
+    const ocrPages = [];
+    const pageCount = pdf.numPages;
+
+    try {
+      for (let i = 1; i <= pageCount; i++) {
+        const page = await pdf.getPage(i);
+        const textContent = await page.getTextContent();
+        const [viewLeft, , viewRight] = page.view;
+        const lines = layoutPage(textContent.items, viewRight - viewLeft);
+        let rawPage = { page: i, lines, text: joinLines(lines), source: 'text', confidence: null };
+
+        if (pageNeedsOCR(rawPage.text)) {
+          try {
+            const ocr = await recognizePage(pdf, page);
+            if (ocr.text.length > rawPage.text.trim().length) {
+              rawPage = { page: i, text: ocr.text, source: 'ocr', confidence: ocr.confidence };
+              ocrPages.push({ page: i, confidence: ocr.confidence });
+            }
+          } catch (ocrError) {
+            console.warn(`[OCR] Page ${i} could not be OCR'd: ${ocrError.message}`);
+          }
+        }
+
+        rawPages.push(rawPage);
+        page.cleanup();
+
+        if (onPage) {
+          onPage({
+            page: i,
+            pageCount,
+            characters: rawPage.text.length,
+            ocr: rawPage.source === 'ocr',
+            ...(rawPage.confidence !== null && { confidence: rawPage.confidence })
+          });
+        }
+      }
+    } finally {
+      await pdf.destroy();
+    }
+
+    if (ocrPages.length > 0) {
+      console.log(`[OCR] Recognised ${ocrPages.length} of ${pageCount} pages`);
+    }
+
+    // Running headers/footers only show up when comparing pages
+    const pages = removeRunningLines(rawPages).map(({ page, lines, text, source, confidence }) => ({
+      page,
+      text: lines ? joinLines(lines) : text,
+      source,
+      confidence
+    }));
+
+    return {
+      text: pages.map(({ page, text }) => `\n[PAGE ${page}]\n${text}`).join(''),
+      pages,
+      pageCount: pageCount,
+      ocrPages,
+      extractedAt: new Date().toISOString()
+    };
+
+  } catch (error) {
+    throw new Error(`PDF extraction failed: ${error.message}`);
+  }
+}
+
+module.exports = {
+  loadPDFDocument,
+  extractPDFMetadata,
+  extractPDFText,
+  parsePDFDate
+};
@@ -0,0 +1,243 @@
+/**
+ * PROGRESS SERVICE
+ * Per-user reading progress on segments (`segment_progress`): status, time
+ * spent and the last page viewed, plus document-level summaries
+ */
+
+const { supabase } = require('../config/supabase');
+
+const PROGRESS_STATUSES = ['not_started', 'in_progress', 'done'];
+// Heartbeats landing at the same moment make the conditional write miss; re-read and retry
+const PROGRESS_UPDATE_RETRIES = 5;
+
+/**
+ * Progress rows of a user on one document
+ * @returns {Array} - Progress rows
+ */
+async function getDocumentProgress(pdfId, userId) {
+  const { data, error } = await supabase
+    .from('segment_progress')
+    .select('*')
+    .eq('pdf_id', pdfId)
+    .eq('user_id', userId);
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Apply an update to a segment's progress, creating the row on first use
+ * @param {Object} current - Existing progress row or null
+ * @param {Object} update - { status?, timeSpentSeconds?, addSeconds?, lastPage? }
+ * @param {Date} [now] - Time of the update
+ * @returns {Object} - Column values to store
+ */
+function applyProgressUpdate(current, update, now = new Date()) {
+  const previousStatus = current?.status || 'not_started';
+  let status = update.status || previousStatus;
+
+  // Reading or spending time on a segment starts it
+  if (!update.status && status === 'not_started' &&
+    (update.lastPage !== undefined || update.timeSpentSeconds > 0 || update.addSeconds > 0)) {
+    status = 'in_progress';
+  }
+
+  let timeSpent = current?.time_spent_seconds || 0;
+  if (update.timeSpentSeconds !== undefined) timeSpent = update.timeSpentSeconds;
+  if (update.addSeconds !== undefined) timeSpent += update.addSeconds;
+
+  return {
+    status,
+    time_spent_seconds: timeSpent,
+    last_page: update.lastPage !== undefined ? update.lastPage : current?.last_page ?? null,
+    started_at: status === 'not_started' ? null : current?.started_at || now.toISOString(),
+    completed_at: status === 'done'
+      ? (previousStatus === 'done' && current?.completed_at) || now.toISOString()
+      : null,
+    updated_at: now.toISOString()
+  };
+}
+
+/**
+ * Update the current user's progress on a segment
+ * The row is only written over the version it was read at (and only created
+ * if it still doesn't exist), so concurrent heartbeats never lose seconds.
+ * @param {string} pdfId - Document id
+ * @param {string} userId - User id
+ * @param {string|number} segmentId - Segment id
+ * @param {Object} update - See applyProgressUpdate
+ * @returns {Object} - Stored progress row
+ */
+async function saveSegmentProgress(pdfId, userId, segmentId, update) {
+  const key = { pdf_id: pdfId, user_id: userId, segment_id: String(segmentId) };
+
+  for (let attempt = 0; attempt < PROGRESS_UPDATE_RETRIES; attempt++) {
+    const { data: current, error: readError } = await supabase
+      .from('segment_progress')
+      .select('*')
+      .match(key)
+      .maybeSingle();
+
+    if (readError) throw readError;
+
+    const values = applyProgressUpdate(current, update);
+
+    if (!current) {
+      const { data, error } = await supabase
+        .from('segment_progress')
+        .insert([{ ...key, ...values }])
+        .select()
+        .single();
+
+      // 23505 = a concurrent update created the row first; apply on top of it
+      if (!error) return data;
+      if (error.code !== '23505') throw error;
+      continue;
+    }
+
+    let write = supabase
+      .from('segment_progress')
+      .update(values)
+      .match(key)
+      .eq('updated_at', current.updated_at);
+    write = current.time_spent_seconds === null
+      ? write.is('time_spent_seconds', null)
+      : write.eq('time_spent_seconds', current.time_spent_seconds);
+
+    const { data, error } = await write.select();
+
+    if (error) throw error;
+    if (data && data.length > 0) return data[0];
+  }
+
+  throw new Error('Progress is being updated concurrently, please retry');
+}
+
+/**
+ * Map a progress row to the API response shape
+ * @param {Object|null} row - Progress row; null means not started
+ * @returns {Object} - API representation
+ */
+function formatProgress(row) {
+  return {
+    status: row?.status || 'not_started',
+    timeSpentSeconds: row?.time_spent_seconds || 0,
+    lastPage: row?.last_page ?? null,
+    startedAt: row?.started_at || null,
+    completedAt: row?.completed_at || null,
+    updatedAt: row?.updated_at || null
+  };
+}
+
+/**
+ * Document-level progress over the segments of a segmentation. Progress
+ * left on segments that no longer exist (after re-segmenting) is ignored.
+ * @param {Array} segments - Parsed segments_json
+ * @param {Array} rows - Progress rows of the document
+ * @returns {Object} - { completedSegments, inProgressSegments, totalSegments, percentComplete, timeSpentSeconds, lastActivityAt, resume }
+ */
+function summarizeProgress(segments, rows) {
+  const segmentIds = new Set(segments.map((segment) => String(segment.id)));
+  const relevant = rows.filter((row) => segmentIds.has(String(row.segment_id)));
+  const completed = relevant.filter((row) => row.status === 'done').length;
+  const byRecency = [...relevant].sort((a, b) => (a.updated_at < b.updated_at ? 1 : a.updated_at > b.updated_at ? -1 : 0));
+
+  return {
+    completedSegments: completed,
+    inProgressSegments: relevant.filter((row) => row.status === 'in_progress').length,
+    totalSegments: segments.length,
+    percentComplete: segments.length > 0 ? Math.round((completed / segments.length) * 100) : 0,
+    timeSpentSeconds: relevant.reduce((sum, row) => sum + (row.time_spent_seconds || 0), 0),
+    lastActivityAt: byRecency[0]?.updated_at || null,
+    resume: findResumePoint(segments, byRecency)
+  };
+}
+
+/**
+ * Where to continue reading: the most recently read unfinished segment at
+ * its last page, otherwise the first segment not done yet
+ * @param {Array} segments - Parsed segments_json
+ * @param {Array} rows - Progress rows of those segments, most recent first
+ * @returns {Object|null} - { segmentId, title, page } or null when everything is done
+ */
+function findResumePoint(segments, rows) {
+  const rowsBySegment = new Map(rows.map((row) => [String(row.segment_id), row]));
+  const latest = rows.find((row) => row.status === 'in_progress');
+  const segment = latest
+    ? segments.find((candidate) => String(candidate.id) === String(latest.segment_id))
+    : segments.find((candidate) => rowsBySegment.get(String(candidate.id))?.status !== 'done');
+
+  if (!segment) return null;
+
+  return {
+    segmentId: String(segment.id),
+    title: segment.title,
+    page: rowsBySegment.get(String(segment.id))?.last_page ?? segment.startPage ?? null
+  };
+}
+
+/**
+ * Documents the user has started but not finished, most recently read first
+ * @param {string} userId - User id
+ * @param {Object} options - { limit }
+ * @returns {Array} - [{ pdfId, progress }] where progress is from summarizeProgress
+ */
+async function listDocumentsInProgress(userId, { limit }) {
+  const { data: rows, error } = await supabase
+    .from('segment_progress')
+    .select('*')
+    .eq('user_id', userId)
+    .neq('status', 'not_started')
+    .order('updated_at', { ascending: false });
+
+  if (error) throw error;
+  if (!rows || rows.length === 0) return [];
+
+  const rowsByDocument = new Map();
+  for (const row of rows) {
+    if (!rowsByDocument.has(row.pdf_id)) rowsByDocument.set(row.pdf_id, []);
+    rowsByDocument.get(row.pdf_id).push(row);
+  }
+
+  const { data: segmentations, error: segmentError } = await supabase
+    .from('document_segments')
+    .select('pdf_id, segments_json, is_active')
+    .eq('user_id', userId)
+    .in('pdf_id', [...rowsByDocument.keys()]);
+
+  if (segmentError) throw segmentError;
+
+  // A document can have several saved configurations; progress follows the current one
+  const segmentsByDocument = new Map();
+  for (const row of segmentations || []) {
+    if (!segmentsByDocument.has(row.pdf_id) || row.is_active) {
+      segmentsByDocument.set(row.pdf_id, JSON.parse(row.segments_json));
+    }
+  }
+  const documents = [];
+
+  // Map keeps insertion order, so documents stay sorted by latest activity
+  for (const [pdfId, documentRows] of rowsByDocument) {
+    const segments = segmentsByDocument.get(pdfId);
+    if (!segments) continue;
+
+    const progress = summarizeProgress(segments, documentRows);
+    if (progress.completedSegments + progress.inProgressSegments === 0) continue;
+    if (progress.completedSegments === progress.totalSegments) continue;
+
+    documents.push({ pdfId, progress });
+    if (documents.length >= limit) break;
+  }
+
+  return documents;
+}
+
+module.exports = {
+  PROGRESS_STATUSES,
+  getDocumentProgress,
+  applyProgressUpdate,
+  saveSegmentProgress,
+  formatProgress,
+  summarizeProgress,
+  listDocumentsInProgress
+};
@@ -0,0 +1,231 @@
+/**
+ * QUIZ SERVICE
+ * Stored segment quizzes (`segment_quizzes`), graded attempts
+ * (`quiz_attempts`) and the deterministic parts of grading
+ */
+
+const { supabase } = require('../config/supabase');
+
+/**
+ * Store a generated quiz
+ * @param {Object} quiz - { pdfId, userId, segmentId, segmentation, questions, llm, promptVersion }
+ *   segmentation is the document_segments row the segment was read from
+ * @returns {Object} - Inserted row
+ */
+async function saveQuiz({ pdfId, userId, segmentId, segmentation, questions, llm, promptVersion }) {
+  const { data, error } = await supabase
+    .from('segment_quizzes')
+    .insert([{
+      pdf_id: pdfId,
+      user_id: userId,
+      segment_id: String(segmentId),
+      segmentation_id: segmentation.id,
+      segmentation_version: segmentation.version || 1,
+      questions_json: JSON.stringify(questions),
+      question_count: questions.length,
+      llm_provider: llm?.provider || null,
+      llm_model: llm?.model || null,
+      prompt_version: promptVersion,
+      created_at: new Date().toISOString()
+    }])
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Most recent quiz for a segment of the current segmentation. Segment ids
+ * restart with every segmentation and edits change what a segment covers,
+ * so a quiz made from another segmentation or version doesn't count.
+ * @param {Object} segmentation - Current document_segments row
+ * @returns {Object|null} - Quiz row or null
+ */
+async function getLatestQuiz(pdfId, userId, segmentId, segmentation) {
+  const { data, error } = await supabase
+    .from('segment_quizzes')
+    .select('*')
+    .eq('pdf_id', pdfId)
+    .eq('user_id', userId)
+    .eq('segment_id', String(segmentId))
+    .eq('segmentation_id', segmentation.id)
+    .eq('segmentation_version', segmentation.version || 1)
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data || null;
+}
+
+/**
+ * A specific quiz of a segment
+ * @returns {Object|null} - Quiz row or null
+ */
+async function getQuiz(quizId, pdfId, userId, segmentId) {
+  const { data, error } = await supabase
+    .from('segment_quizzes')
+    .select('*')
+    .eq('id', quizId)
+    .eq('pdf_id', pdfId)
+    .eq('user_id', userId)
+    .eq('segment_id', String(segmentId))
+    .maybeSingle();
+
+  // A malformed uuid is just an unknown quiz
+  if (error && error.code !== '22P02') throw error;
+  return data || null;
+}
+
+/**
+ * Map a quiz row to the API response shape. Answers, explanations and
+ * rubrics are left out unless asked for, so the quiz can be taken.
+ * @param {Object} row - Quiz row
+ * @param {Object} [options] - { includeAnswers }
+ * @returns {Object} - API representation
+ */
+function formatQuiz(row, { includeAnswers = false } = {}) {
+  const questions = JSON.parse(row.questions_json).map((question) => {
+    const visible = { id: question.id, type: question.type, question: question.question, page: question.page };
+    if (question.type === 'multiple_choice') visible.options = question.options;
+    return includeAnswers ? question : visible;
+  });
+
+  return {
+    id: row.id,
+    segmentId: row.segment_id,
+    segmentationId: row.segmentation_id || null,
+    segmentationVersion: row.segmentation_version || null,
+    questions,
+    questionCount: row.question_count,
+    llm: row.llm_provider ? { provider: row.llm_provider, model: row.llm_model } : null,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Grade a multiple-choice answer
+ * @param {Object} question - Stored question
+ * @param {number|null} answer - Chosen option index
+ * @returns {Object} - Question result
+ */
+function gradeMultipleChoice(question, answer) {
+  const correct = answer === question.correctIndex;
+
+  return {
+    questionId: question.id,
+    type: question.type,
+    answer,
+    correct,
+    score: correct ? 1 : 0,
+    maxScore: 1,
+    correctIndex: question.correctIndex,
+    explanation: question.explanation
+  };
+}
+
+/**
+ * Grade a short answer against its rubric by keyword coverage. A criterion
+ * counts as met when at least half of its keywords appear (as word
+ * prefixes) in the answer.
+ * @param {Object} question - Stored question
+ * @param {string|null} answer - Learner's answer
+ * @returns {Array} - Indices of met criteria
+ */
+function matchRubricKeywords(question, answer) {
+  const words = (answer || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  const mentions = (keyword) => {
+    const parts = keyword.match(/[\p{L}\p{N}]+/gu) || [];
+    return parts.length > 0 && parts.every((part) => words.some((word) => word.startsWith(part)));
+  };
+
+  return question.rubric.criteria
+    .map((criterion, index) => {
+      const hits = criterion.keywords.filter(mentions).length;
+      return hits >= Math.ceil(criterion.keywords.length / 2) ? index : null;
+    })
+    .filter((index) => index !== null);
+}
+
+/**
+ * Build a short-answer result from the criteria it met
+ * @param {Object} question - Stored question
+ * @param {string|null} answer - Learner's answer
+ * @param {Array} metCriteria - Indices of met rubric criteria
+ * @param {Object} [details] - { feedback, gradedBy }
+ * @returns {Object} - Question result
+ */
+function scoreShortAnswer(question, answer, metCriteria, { feedback, gradedBy }) {
+  const criteria = question.rubric.criteria;
+  const met = new Set(metCriteria.filter((index) => Number.isInteger(index) && index >= 0 && index < criteria.length));
+  const score = answer ? met.size / criteria.length : 0;
+
+  return {
+    questionId: question.id,
+    type: question.type,
+    answer,
+    correct: score >= 0.5,
+    score: Math.round(score * 100) / 100,
+    maxScore: 1,
+    criteria: criteria.map((criterion, index) => ({ point: criterion.point, met: met.has(index) })),
+    sampleAnswer: question.rubric.sampleAnswer,
+    feedback: feedback || null,
+    gradedBy
+  };
+}
+
+/**
+ * Store a graded attempt
+ * @param {Object} attempt - { quizId, pdfId, userId, segmentId, answers, results, score, maxScore }
+ * @returns {Object} - Inserted row
+ */
+async function saveAttempt({ quizId, pdfId, userId, segmentId, answers, results, score, maxScore }) {
+  const { data, error } = await supabase
+    .from('quiz_attempts')
+    .insert([{
+      quiz_id: quizId,
+      pdf_id: pdfId,
+      user_id: userId,
+      segment_id: String(segmentId),
+      answers_json: JSON.stringify(answers),
+      results_json: JSON.stringify(results),
+      score,
+      max_score: maxScore,
+      created_at: new Date().toISOString()
+    }])
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Attempts of a user on a segment's quizzes, newest first
+ * @returns {Array} - Attempt rows
+ */
+async function listAttempts(pdfId, userId, segmentId) {
+  const { data, error } = await supabase
+    .from('quiz_attempts')
+    .select('id, quiz_id, score, max_score, created_at')
+    .eq('pdf_id', pdfId)
+    .eq('user_id', userId)
+    .eq('segment_id', String(segmentId))
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+  return data || [];
+}
+
+module.exports = {
+  saveQuiz,
+  getLatestQuiz,
+  getQuiz,
+  formatQuiz,
+  gradeMultipleChoice,
+  matchRubricKeywords,
+  scoreShortAnswer,
+  saveAttempt,
+  listAttempts
+};
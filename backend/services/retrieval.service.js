@@ -0,0 +1,99 @@
+/**
+ * RETRIEVAL SERVICE
+ * Lexical retrieval of the passages of one document most relevant to a
+ * natural-language question, for grounding LLM answers
+ */
+
+const { buildMatchers, findMatches, scorePages } = require('./search.service');
+
+const CHUNK_CHAR_LIMIT = 1200;
+const DEFAULT_CHUNK_COUNT = 5;
+
+// Question words carry no meaning for retrieval
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'could', 'did', 'do', 'does',
+  'for', 'from', 'had', 'has', 'have', 'how', 'i', 'if', 'in', 'is', 'it', 'its', 'me', 'my',
+  'of', 'on', 'or', 'so', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these',
+  'they', 'this', 'those', 'to', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'who',
+  'whom', 'why', 'will', 'with', 'would', 'you', 'your', 'about', 'into', 'also', 'any',
+  'according', 'paper', 'document', 'author', 'authors', 'explain', 'describe', 'tell', 'mean'
+]);
+
+/**
+ * Content words of a question
+ * @param {string} question - Natural-language question
+ * @returns {Array} - Unique lowercase terms
+ */
+function extractQueryTerms(question) {
+  const words = (question || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  return [...new Set(words.filter((word) => word.length >= 2 && !STOPWORDS.has(word)))];
+}
+
+/**
+ * Split page texts into passages of at most CHUNK_CHAR_LIMIT characters,
+ * breaking at paragraphs, then sentences
+ * @param {Array} pages - [{ page, text }]
+ * @returns {Array} - [{ page, text }]
+ */
+function chunkPageTexts(pages) {
+  const chunks = [];
+
+  for (const { page, text } of pages) {
+    let current = '';
+    const flush = () => {
+      if (current.trim()) chunks.push({ page, text: current.trim() });
+      current = '';
+    };
+
+    const pieces = (text || '').split(/\n\s*\n/).flatMap((paragraph) =>
+      paragraph.length <= CHUNK_CHAR_LIMIT
+        ? [paragraph]
+        : paragraph.match(/[^.!?]+[.!?]*\s*/g) || [paragraph]
+    );
+
+    for (const piece of pieces) {
+      if (current && current.length + piece.length + 2 > CHUNK_CHAR_LIMIT) flush();
+      current = current ? `${current}\n\n${piece}` : piece;
+      while (current.length > CHUNK_CHAR_LIMIT) {
+        chunks.push({ page, text: current.slice(0, CHUNK_CHAR_LIMIT).trim() });
+        current = current.slice(CHUNK_CHAR_LIMIT);
+      }
+    }
+    flush();
+  }
+
+  return chunks;
+}
+
+/**
+ * Rank a document's passages against a question with BM25
+ * @param {Array} pages - [{ page, text }]
+ * @param {string} question - Question (plus any context worth matching)
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Number of passages to return
+ * @returns {Array} - [{ page, text, score }] most relevant first; only passages that match
+ */
+function retrieveRelevantChunks(pages, question, { limit = DEFAULT_CHUNK_COUNT } = {}) {
+  const terms = extractQueryTerms(question);
+  if (terms.length === 0) return [];
+
+  const matchers = buildMatchers({ terms, phrases: [] });
+  const chunks = chunkPageTexts(pages).map((chunk) => ({
+    ...chunk,
+    matches: findMatches(chunk.text, matchers)
+  }));
+
+  const scores = scorePages(chunks, matchers);
+
+  return chunks
+    .map((chunk, index) => ({ page: chunk.page, text: chunk.text, score: scores[index] }))
+    .filter((chunk) => chunk.score > 0)
+    .sort((a, b) => (b.score - a.score) || (a.page - b.page))
+    .slice(0, limit);
+}
+
+module.exports = {
+  extractQueryTerms,
+  chunkPageTexts,
+  retrieveRelevantChunks
+};
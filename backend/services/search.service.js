@@ -0,0 +1,308 @@
+/**
+ * SEARCH SERVICE
+ * Full-text search over the per-page text in `document_pages`. Postgres
+ * does the matching (websearch syntax, English stemming) and the ownership
+ * filter, joining each page to its document; hits are ranked with BM25 and
+ * given a highlighted snippet here. Ranking and highlighting use the same
+ * Snowball English stemmer and stop words as Postgres' `english` config, so
+ * they count exactly the words Postgres matched.
+ */
+
+const { newStemmer } = require('snowball-stemmers');
+const { supabase } = require('../config/supabase');
+const { applyOrganisationFilters } = require('./document.service');
+
+// Upper bound on matching pages pulled from the database for ranking; when
+// more pages match, results are flagged as truncated
+const CANDIDATE_LIMIT = 500;
+const SNIPPET_LENGTH = 240;
+const SNIPPET_LEAD = 60;
+const MIN_TERM_LENGTH = 2;
+// A page containing the exact phrase outranks one merely containing its words
+const PHRASE_WEIGHT = 2;
+
+// BM25 parameters
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Postgres' english stop words (tsearch_data/english.stop); they are never indexed
+const STOP_WORDS = new Set(`
+  i me my myself we our ours ourselves you your yours yourself yourselves he him
+  his himself she her hers herself it its itself they them their theirs
+  themselves what which who whom this that these those am is are was were be
+  been being have has had having do does did doing a an the and but if or
+  because as until while of at by for with about against between into through
+  during before after above below to from up down in out on off over under
+  again further then once here there when where why how all any both each few
+  more most other some such no nor not only own same so than too very s t can
+  will just don should now
+`.trim().split(/\s+/));
+
+const stemmer = newStemmer('english');
+
+function escapeHTML(value) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Split a query into loose terms and "quoted phrases"
+ * @param {string} query - Raw query string
+ * @returns {Object} - { terms, phrases } with phrases as arrays of words
+ */
+function parseSearchQuery(query) {
+  const terms = [];
+  const phrases = [];
+  const tokenPattern = /"([^"]*)"|(\S+)/g;
+  const words = (text) => (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter((word) => word.length >= MIN_TERM_LENGTH);
+
+  let match;
+  while ((match = tokenPattern.exec(query)) !== null) {
+    if (match[1] !== undefined) {
+      const phrase = words(match[1]);
+      if (phrase.length > 1) phrases.push(phrase);
+      else terms.push(...phrase);
+    } else {
+      terms.push(...words(match[2]));
+    }
+  }
+
+  return { terms: [...new Set(terms)], phrases };
+}
+
+/**
+ * Rebuild a Postgres websearch query from parsed terms, so stray operators
+ * and punctuation in user input can't change its meaning
+ */
+function toWebsearchQuery({ terms, phrases }) {
+  return [
+    ...phrases.map((phrase) => `"${phrase.join(' ')}"`),
+    ...terms
+  ].join(' ');
+}
+
+/**
+ * The words of a text as Postgres indexes them: lowercased, stop words
+ * dropped, the rest reduced to their stem
+ * @returns {Array} - [{ stem, start, end }] in text order
+ */
+function tokenize(text) {
+  const tokens = [];
+  const wordPattern = /[\p{L}\p{N}]+/gu;
+
+  let match;
+  while ((match = wordPattern.exec(text)) !== null) {
+    const word = match[0].toLowerCase();
+    if (STOP_WORDS.has(word)) continue;
+    tokens.push({ stem: stemmer.stem(word), start: match.index, end: match.index + match[0].length });
+  }
+
+  return tokens;
+}
+
+function stemWords(words) {
+  return words
+    .map((word) => word.toLowerCase())
+    .filter((word) => !STOP_WORDS.has(word))
+    .map((word) => stemmer.stem(word));
+}
+
+/**
+ * Matchers for every query part, as stems: a term matches every word with
+ * the same stem, a phrase its stems in a row. Stop words are left out, as
+ * Postgres leaves them out of the query.
+ * @returns {Array} - [{ key, stems, weight }]
+ */
+function buildMatchers({ terms, phrases }) {
+  const matchers = [];
+  const seen = new Set();
+
+  for (const stem of stemWords(terms)) {
+    if (seen.has(stem)) continue;
+    seen.add(stem);
+    matchers.push({ key: stem, stems: [stem], weight: 1 });
+  }
+
+  for (const phrase of phrases) {
+    const stems = stemWords(phrase);
+    const key = `"${stems.join(' ')}"`;
+    if (stems.length === 0 || seen.has(key)) continue;
+    seen.add(key);
+    matchers.push({ key, stems, weight: stems.length > 1 ? PHRASE_WEIGHT : 1 });
+  }
+
+  return matchers;
+}
+
+/**
+ * All match ranges of the query in a text
+ * @returns {Array} - [{ key, start, end }] sorted by position
+ */
+function findMatches(text, matchers) {
+  const tokens = tokenize(text);
+  const matches = [];
+
+  for (const { key, stems } of matchers) {
+    for (let i = 0; i + stems.length <= tokens.length; i++) {
+      if (stems.every((stem, offset) => tokens[i + offset].stem === stem)) {
+        matches.push({ key, start: tokens[i].start, end: tokens[i + stems.length - 1].end });
+      }
+    }
+  }
+
+  return matches.sort((a, b) => a.start - b.start || b.end - a.end);
+}
+
+/**
+ * Score candidate pages with BM25 over the candidate set
+ * @param {Array} pages - [{ text, matches }]
+ * @param {Array} matchers - From buildMatchers
+ * @returns {Array} - Scores, index-aligned with pages
+ */
+function scorePages(pages, matchers) {
+  const count = pages.length;
+  const averageLength = pages.reduce((sum, page) => sum + page.text.length, 0) / Math.max(count, 1) || 1;
+
+  const frequencies = pages.map((page) => {
+    const tf = {};
+    for (const { key } of page.matches) tf[key] = (tf[key] || 0) + 1;
+    return tf;
+  });
+
+  return pages.map((page, index) => {
+    const lengthNorm = 1 - BM25_B + BM25_B * (page.text.length / averageLength);
+
+    return matchers.reduce((score, { key, weight }) => {
+      const tf = frequencies[index][key] || 0;
+      if (tf === 0) return score;
+
+      const documentFrequency = frequencies.filter((frequency) => frequency[key]).length;
+      const idf = Math.log(1 + (count - documentFrequency + 0.5) / (documentFrequency + 0.5));
+      return score + weight * idf * ((tf * (BM25_K1 + 1)) / (tf + BM25_K1 * lengthNorm));
+    }, 0);
+  });
+}
+
+/**
+ * Cut the passage with the most matches and wrap matches in <mark>
+ * @param {string} text - Page text, whitespace collapsed
+ * @param {Array} matches - From findMatches on the same text
+ * @returns {string} - HTML-escaped snippet
+ */
+function buildSnippet(text, matches) {
+  if (matches.length === 0) {
+    return escapeHTML(text.slice(0, SNIPPET_LENGTH));
+  }
+
+  // Start the window a little before whichever match has most company
+  let best = matches[0];
+  let bestCount = 0;
+  for (const candidate of matches) {
+    const windowEnd = candidate.start - SNIPPET_LEAD + SNIPPET_LENGTH;
+    const inWindow = matches.filter((match) => match.start >= candidate.start && match.end <= windowEnd).length;
+    if (inWindow > bestCount) {
+      best = candidate;
+      bestCount = inWindow;
+    }
+  }
+
+  let start = Math.max(0, best.start - SNIPPET_LEAD);
+  let end = Math.min(text.length, start + SNIPPET_LENGTH);
+
+  // Don't cut words in half
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    if (space !== -1 && space < best.start) start = space + 1;
+  }
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    if (space > best.end) end = space;
+  }
+
+  let snippet = '';
+  let cursor = start;
+  for (const match of matches) {
+    if (match.start < cursor || match.end > end) continue;
+    snippet += escapeHTML(text.slice(cursor, match.start));
+    snippet += `<mark>${escapeHTML(text.slice(match.start, match.end))}</mark>`;
+    cursor = match.end;
+  }
+  snippet += escapeHTML(text.slice(cursor, end));
+
+  return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+}
+
+/**
+ * Search the current user's documents page by page
+ * @param {string} userId - Owner's user id
+ * @param {Object} options
+ * @param {string} options.q - Query; words are ANDed, "quoted phrases" must appear verbatim
+ * @param {string} [options.pdfId] - Only search this document
+ * @param {Array} [options.collectionIds] - Only search these collections ([null] = unfiled)
+ * @param {Array} [options.tags] - Only search documents with all of these tags
+ * @param {number} [options.limit] - Page size
+ * @param {number} [options.offset] - Number of ranked hits to skip
+ * @returns {Object} - { results: [{ pdfId, filename, title, page, score, matches, snippet }], total, truncated }
+ *   truncated: more than CANDIDATE_LIMIT pages matched and only that many were ranked
+ */
+async function searchDocuments(userId, { q, pdfId, collectionIds, tags, limit = 20, offset = 0 }) {
+  const parsed = parseSearchQuery(q);
+  if (parsed.terms.length === 0 && parsed.phrases.length === 0) {
+    return { results: [], total: 0, truncated: false };
+  }
+
+  let query = supabase
+    .from('document_pages')
+    .select('document_id, page_number, text, documents!inner(original_filename, pdf_title)')
+    .eq('documents.user_id', userId);
+
+  if (pdfId) query = query.eq('document_id', pdfId);
+  query = applyOrganisationFilters(query, { collectionIds, tags }, 'documents.');
+
+  // One row more than the limit tells us whether anything was cut off
+  const { data, error } = await query
+    .textSearch('text', toWebsearchQuery(parsed), { type: 'websearch', config: 'english' })
+    .limit(CANDIDATE_LIMIT + 1);
+
+  // 22P02 = malformed pdfId, which can only match nothing
+  if (error && error.code === '22P02') return { results: [], total: 0, truncated: false };
+  if (error) throw error;
+
+  const truncated = (data || []).length > CANDIDATE_LIMIT;
+  const rows = (data || []).slice(0, CANDIDATE_LIMIT);
+
+  const matchers = buildMatchers(parsed);
+  const pages = rows.map((row) => {
+    const text = (row.text || '').replace(/\s+/g, ' ').trim();
+    return { row, text, matches: findMatches(text, matchers) };
+  });
+
+  const scores = scorePages(pages, matchers);
+  const ranked = pages
+    .map((page, index) => ({ ...page, score: scores[index] }))
+    .sort((a, b) => (b.score - a.score) || (a.row.page_number - b.row.page_number));
+
+  const results = ranked.slice(offset, offset + limit).map(({ row, text, matches, score }) => ({
+    pdfId: row.document_id,
+    filename: row.documents.original_filename,
+    title: row.documents.pdf_title,
+    page: row.page_number,
+    score: Math.round(score * 1000) / 1000,
+    matches: matches.length,
+    snippet: buildSnippet(text, matches)
+  }));
+
+  return { results, total: ranked.length, truncated };
+}
+
+module.exports = {
+  parseSearchQuery,
+  buildMatchers,
+  findMatches,
+  scorePages,
+  searchDocuments
+};
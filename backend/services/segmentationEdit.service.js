@@ -0,0 +1,395 @@
+/**
+ * SEGMENTATION EDIT SERVICE
+ * Hand edits to a saved roadmap, applied to a snapshot
+ * ({ title, overview, estimatedTotalTime, segments }), and diffs between
+ * snapshots. Segment ids stay stable across edits because progress,
+ * annotations, flashcards and quizzes refer to them: new segments get fresh
+ * ids, merged segments keep the first id and removed ids are never reused
+ * within a snapshot.
+ */
+
+const { DIFFICULTY_LEVELS } = require('../validators/segmentation.validator');
+
+const EDIT_OPERATIONS = ['rename', 'reorder', 'merge', 'split', 'add', 'remove', 'editKeyPoints'];
+
+// Segment fields compared by diffSnapshots, in display order
+const DIFF_FIELDS = [
+  'title', 'description', 'keyPoints', 'learningObjectives', 'glossary',
+  'difficulty', 'estimatedTime', 'startPage', 'endPage'
+];
+
+// Fields each operation reads; anything else a client sends is dropped
+// before the operation is recorded in the version history
+const OPERATION_FIELDS = {
+  rename: ['segmentId', 'title', 'overview', 'description'],
+  reorder: ['order'],
+  merge: ['segmentIds', 'title'],
+  split: ['segmentId', 'atPage', 'title', 'description', 'keyPointsFrom', 'keyPoints'],
+  add: ['after', 'segment'],
+  remove: ['segmentId'],
+  editKeyPoints: ['segmentId', 'keyPoints']
+};
+
+const ADDED_SEGMENT_FIELDS = [
+  'title', 'description', 'keyPoints', 'learningObjectives', 'glossary',
+  'difficulty', 'estimatedTime', 'startPage', 'endPage'
+];
+
+class EditError extends Error {}
+
+function pick(source, fields) {
+  return Object.fromEntries(fields
+    .filter((field) => source[field] !== undefined)
+    .map((field) => [field, source[field]]));
+}
+
+/**
+ * The operation as it is stored: its op plus the fields that op reads
+ */
+function normalizeOperation(operation) {
+  const normalized = { op: operation.op, ...pick(operation, OPERATION_FIELDS[operation.op]) };
+  if (operation.op === 'add' && normalized.segment && typeof normalized.segment === 'object') {
+    normalized.segment = pick(normalized.segment, ADDED_SEGMENT_FIELDS);
+  }
+  return normalized;
+}
+
+function findSegment(segments, segmentId, operationLabel) {
+  const index = segments.findIndex((segment) => String(segment.id) === String(segmentId));
+  if (index === -1) {
+    throw new EditError(`${operationLabel}: segment ${JSON.stringify(segmentId)} does not exist`);
+  }
+  return index;
+}
+
+function nextSegmentId(segments, usedIds) {
+  return Math.max(0, ...segments.map((segment) => Number(segment.id) || 0), ...usedIds) + 1;
+}
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every((item) => typeof item === 'string');
+}
+
+/**
+ * Parse "5-10 minutes" / "1 hour" into a minute range
+ * @returns {Array|null} - [min, max] in minutes
+ */
+function parseTimeRange(value) {
+  const match = typeof value === 'string' && value.match(/^(\d+)(?:\s*-\s*(\d+))?\s+(minutes?|hours?)$/);
+  if (!match) return null;
+  const factor = match[3].startsWith('hour') ? 60 : 1;
+  const low = parseInt(match[1], 10) * factor;
+  return [low, (match[2] ? parseInt(match[2], 10) : parseInt(match[1], 10)) * factor];
+}
+
+/**
+ * Sum the estimated times of merged segments, e.g. "10-15 minutes" + "5 minutes"
+ */
+function addEstimatedTimes(times) {
+  const ranges = times.map(parseTimeRange);
+  if (ranges.some((range) => !range)) return times[0];
+
+  const low = ranges.reduce((sum, range) => sum + range[0], 0);
+  const high = ranges.reduce((sum, range) => sum + range[1], 0);
+  return low === high ? `${low} minutes` : `${low}-${high} minutes`;
+}
+
+function unique(items, key = (item) => item.toLowerCase()) {
+  const seen = new Set();
+  return items.filter((item) => {
+    const itemKey = key(item);
+    if (seen.has(itemKey)) return false;
+    seen.add(itemKey);
+    return true;
+  });
+}
+
+/**
+ * A page range changed by hand is no longer an estimate and no longer
+ * matches offsets into the original extraction
+ */
+function withPages(segment, startPage, endPage) {
+  const { textOffset, ...rest } = segment;
+  return { ...rest, startPage, endPage, pagesEstimated: false };
+}
+
+const OPERATIONS = {
+  /**
+   * { op: 'rename', segmentId?, title?, description? } - without segmentId
+   * renames the roadmap itself (title, overview)
+   */
+  rename(snapshot, operation, label) {
+    if (operation.segmentId === undefined) {
+      if (operation.title === undefined && operation.overview === undefined) {
+        throw new EditError(`${label}: give a title and/or overview`);
+      }
+      return {
+        ...snapshot,
+        title: operation.title ?? snapshot.title,
+        overview: operation.overview ?? snapshot.overview
+      };
+    }
+
+    if (operation.title === undefined && operation.description === undefined) {
+      throw new EditError(`${label}: give a title and/or description`);
+    }
+    const segments = [...snapshot.segments];
+    const index = findSegment(segments, operation.segmentId, label);
+    segments[index] = {
+      ...segments[index],
+      title: operation.title ?? segments[index].title,
+      description: operation.description ?? segments[index].description
+    };
+    return { ...snapshot, segments };
+  },
+
+  /**
+   * { op: 'reorder', order: [segmentId, ...] } - every segment exactly once
+   */
+  reorder(snapshot, operation, label) {
+    const order = Array.isArray(operation.order) ? operation.order.map(String) : null;
+    const ids = snapshot.segments.map((segment) => String(segment.id));
+
+    if (!order || order.length !== ids.length || new Set(order).size !== order.length ||
+      !order.every((id) => ids.includes(id))) {
+      throw new EditError(`${label}: order must list every segment id exactly once`);
+    }
+
+    return {
+      ...snapshot,
+      segments: order.map((id) => snapshot.segments.find((segment) => String(segment.id) === id))
+    };
+  },
+
+  /**
+   * { op: 'merge', segmentIds: [a, b, ...], title? } - adjacent segments, in
+   * reading order, become one that keeps the first id
+   */
+  merge(snapshot, operation, label) {
+    if (!Array.isArray(operation.segmentIds) || operation.segmentIds.length < 2) {
+      throw new EditError(`${label}: segmentIds must list at least two segments`);
+    }
+
+    const indexes = operation.segmentIds.map((id) => findSegment(snapshot.segments, id, label)).sort((a, b) => a - b);
+    if (indexes.some((index, i) => i > 0 && index !== indexes[i - 1] + 1)) {
+      throw new EditError(`${label}: only adjacent segments can be merged`);
+    }
+
+    const parts = indexes.map((index) => snapshot.segments[index]);
+    const [first] = parts;
+    const pages = parts.filter((part) => part.startPage);
+    const difficulty = DIFFICULTY_LEVELS[Math.max(...parts.map((part) => DIFFICULTY_LEVELS.indexOf(part.difficulty)))] ||
+      first.difficulty;
+
+    let merged = {
+      ...first,
+      title: operation.title ?? first.title,
+      description: parts.map((part) => part.description).filter(Boolean).join(' '),
+      keyPoints: unique(parts.flatMap((part) => part.keyPoints || [])),
+      learningObjectives: unique(parts.flatMap((part) => part.learningObjectives || [])),
+      glossary: unique(parts.flatMap((part) => part.glossary || []), (entry) => entry.term.toLowerCase()),
+      difficulty,
+      estimatedTime: addEstimatedTimes(parts.map((part) => part.estimatedTime))
+    };
+    if (pages.length > 0) {
+      merged = withPages(merged, Math.min(...pages.map((part) => part.startPage)), Math.max(...pages.map((part) => part.endPage)));
+    }
+
+    const segments = [...snapshot.segments];
+    segments.splice(indexes[0], indexes.length, merged);
+    return { ...snapshot, segments };
+  },
+
+  /**
+   * { op: 'split', segmentId, atPage, title, description?, keyPointsFrom?, keyPoints? } -
+   * pages from atPage on, key points from index keyPointsFrom on, plus any
+   * keyPoints given go to a new segment placed right after the original
+   */
+  split(snapshot, operation, label, usedIds) {
+    const segments = [...snapshot.segments];
+    const index = findSegment(segments, operation.segmentId, label);
+    const original = segments[index];
+
+    if (!original.startPage || !original.endPage) {
+      throw new EditError(`${label}: segment has no page range to split`);
+    }
+    if (!Number.isInteger(operation.atPage) || operation.atPage <= original.startPage || operation.atPage > original.endPage) {
+      throw new EditError(`${label}: atPage must be a page from ${original.startPage + 1} to ${original.endPage}`);
+    }
+    if (typeof operation.title !== 'string' || !operation.title.trim()) {
+      throw new EditError(`${label}: title of the new segment is required`);
+    }
+
+    const keyPoints = original.keyPoints || [];
+    const keyPointsFrom = operation.keyPointsFrom ?? keyPoints.length;
+    if (!Number.isInteger(keyPointsFrom) || keyPointsFrom < 0 || keyPointsFrom > keyPoints.length) {
+      throw new EditError(`${label}: keyPointsFrom must be an index from 0 to ${keyPoints.length}`);
+    }
+    if (operation.keyPoints !== undefined && !isStringList(operation.keyPoints)) {
+      throw new EditError(`${label}: keyPoints must be an array of strings`);
+    }
+
+    const added = {
+      ...withPages(original, operation.atPage, original.endPage),
+      id: nextSegmentId(segments, usedIds),
+      title: operation.title,
+      description: operation.description ?? original.description,
+      keyPoints: [...keyPoints.slice(keyPointsFrom), ...(operation.keyPoints || [])],
+      learningObjectives: [],
+      glossary: []
+    };
+    segments[index] = {
+      ...withPages(original, original.startPage, operation.atPage - 1),
+      keyPoints: keyPoints.slice(0, keyPointsFrom)
+    };
+    segments.splice(index + 1, 0, added);
+    return { ...snapshot, segments };
+  },
+
+  /**
+   * { op: 'add', after?: segmentId | null, segment: { title, description,
+   * keyPoints, difficulty?, estimatedTime?, learningObjectives?, startPage?, endPage? } }
+   * after: null puts it first; leaving it out appends
+   */
+  add(snapshot, operation, label, usedIds) {
+    const fields = operation.segment;
+    if (!fields || typeof fields !== 'object') {
+      throw new EditError(`${label}: segment is required`);
+    }
+
+    const segments = [...snapshot.segments];
+    const position = operation.after === undefined
+      ? segments.length
+      : operation.after === null ? 0 : findSegment(segments, operation.after, label) + 1;
+
+    const added = {
+      title: fields.title,
+      description: fields.description,
+      keyPoints: fields.keyPoints,
+      learningObjectives: fields.learningObjectives ?? [],
+      glossary: fields.glossary ?? [],
+      difficulty: fields.difficulty ?? 'intermediate',
+      estimatedTime: fields.estimatedTime ?? '10-15 minutes',
+      id: nextSegmentId(segments, usedIds)
+    };
+    segments.splice(position, 0, fields.startPage !== undefined || fields.endPage !== undefined
+      ? withPages(added, fields.startPage, fields.endPage ?? fields.startPage)
+      : added);
+    return { ...snapshot, segments };
+  },
+
+  /**
+   * { op: 'remove', segmentId }
+   */
+  remove(snapshot, operation, label) {
+    const index = findSegment(snapshot.segments, operation.segmentId, label);
+    return { ...snapshot, segments: snapshot.segments.filter((segment, i) => i !== index) };
+  },
+
+  /**
+   * { op: 'editKeyPoints', segmentId, keyPoints: [string] }
+   */
+  editKeyPoints(snapshot, operation, label) {
+    if (!isStringList(operation.keyPoints)) {
+      throw new EditError(`${label}: keyPoints must be an array of strings`);
+    }
+    const segments = [...snapshot.segments];
+    const index = findSegment(segments, operation.segmentId, label);
+    segments[index] = { ...segments[index], keyPoints: operation.keyPoints };
+    return { ...snapshot, segments };
+  }
+};
+
+/**
+ * Apply edit operations in order. The result still needs schema validation.
+ * @param {Object} snapshot - Current roadmap snapshot
+ * @param {Array} operations - [{ op, ... }]
+ * @returns {Object} - { snapshot, operations (normalised) } or { errors }
+ */
+function applyOperations(snapshot, operations) {
+  // Ids removed during this edit aren't handed out again by a later add/split
+  const usedIds = snapshot.segments.map((segment) => Number(segment.id) || 0);
+  const applied = [];
+  let current = snapshot;
+
+  try {
+    operations.forEach((operation, index) => {
+      const label = `operations[${index}]`;
+      if (!operation || !EDIT_OPERATIONS.includes(operation.op)) {
+        throw new EditError(`${label}: op must be one of ${EDIT_OPERATIONS.join(', ')}`);
+      }
+      const normalized = normalizeOperation(operation);
+      current = OPERATIONS[operation.op](current, normalized, label, usedIds);
+      applied.push(normalized);
+      usedIds.push(...current.segments.map((segment) => Number(segment.id) || 0));
+    });
+  } catch (error) {
+    if (error instanceof EditError) return { errors: [error.message] };
+    throw error;
+  }
+
+  return {
+    snapshot: {
+      ...current,
+      totalSegments: current.segments.length
+    },
+    operations: applied
+  };
+}
+
+/**
+ * Compare two roadmap snapshots
+ * @returns {Object} - { roadmap: { field: { from, to } }, added, removed, changed, reordered }
+ */
+function diffSnapshots(from, to) {
+  const roadmap = {};
+  for (const field of ['title', 'overview', 'estimatedTotalTime']) {
+    if (from[field] !== to[field]) roadmap[field] = { from: from[field] ?? null, to: to[field] ?? null };
+  }
+
+  const fromById = new Map(from.segments.map((segment) => [String(segment.id), segment]));
+  const toById = new Map(to.segments.map((segment) => [String(segment.id), segment]));
+
+  const added = to.segments
+    .filter((segment) => !fromById.has(String(segment.id)))
+    .map((segment) => ({ id: segment.id, title: segment.title }));
+  const removed = from.segments
+    .filter((segment) => !toById.has(String(segment.id)))
+    .map((segment) => ({ id: segment.id, title: segment.title }));
+
+  const changed = [];
+  for (const segment of to.segments) {
+    const before = fromById.get(String(segment.id));
+    if (!before) continue;
+
+    const fields = {};
+    for (const field of DIFF_FIELDS) {
+      if (JSON.stringify(before[field] ?? null) !== JSON.stringify(segment[field] ?? null)) {
+        fields[field] = { from: before[field] ?? null, to: segment[field] ?? null };
+      }
+    }
+    if (Object.keys(fields).length > 0) changed.push({ id: segment.id, title: segment.title, fields });
+  }
+
+  // Order of the segments present in both versions
+  const kept = (segments, other) => segments.filter((segment) => other.has(String(segment.id))).map((segment) => String(segment.id));
+  const reordered = JSON.stringify(kept(from.segments, toById)) !== JSON.stringify(kept(to.segments, fromById));
+
+  return {
+    roadmap,
+    added,
+    removed,
+    changed,
+    reordered,
+    order: {
+      from: from.segments.map((segment) => segment.id),
+      to: to.segments.map((segment) => segment.id)
+    }
+  };
+}
+
+module.exports = {
+  EDIT_OPERATIONS,
+  applyOperations,
+  diffSnapshots
+};
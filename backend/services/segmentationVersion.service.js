@@ -0,0 +1,213 @@
+/**
+ * SEGMENTATION VERSION SERVICE
+ * History of a saved roadmap (`segmentation_versions`). Version 1 is the
+ * roadmap as generated and is recorded when it is first edited; every edit
+ * or restore after that adds the next version. document_segments always
+ * holds the latest one, with its number in `version`.
+ *
+ * Concurrent saves are serialised on the version number: the table has a
+ * unique index on (segmentation_id, version), and document_segments is only
+ * moved on if it is still at the version the edit started from. The loser
+ * gets a VersionConflictError.
+ */
+
+const { supabase } = require('../config/supabase');
+
+class VersionConflictError extends Error {}
+
+/**
+ * The editable part of a document_segments row
+ * @param {Object} row - document_segments row
+ * @returns {Object} - { title, overview, estimatedTotalTime, segments, totalSegments }
+ */
+function snapshotFromRow(row) {
+  const segments = JSON.parse(row.segments_json);
+  return {
+    title: row.title,
+    overview: row.overview,
+    estimatedTotalTime: row.estimated_total_time,
+    segments,
+    totalSegments: segments.length
+  };
+}
+
+/**
+ * Versions of a segmentation, newest first
+ * @param {Object} [options] - { withSnapshots } to include the roadmap of each version
+ * @returns {Array} - Version rows
+ */
+async function listVersions(segmentationId, { withSnapshots = false } = {}) {
+  const { data, error } = await supabase
+    .from('segmentation_versions')
+    .select(withSnapshots
+      ? '*'
+      : 'id, segmentation_id, version, author_id, author_email, summary, operations, total_segments, created_at')
+    .eq('segmentation_id', segmentationId)
+    .order('version', { ascending: false });
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * One version of a segmentation
+ * @returns {Object|null} - Version row or null
+ */
+async function getVersion(segmentationId, version) {
+  const { data, error } = await supabase
+    .from('segmentation_versions')
+    .select('*')
+    .eq('segmentation_id', segmentationId)
+    .eq('version', version)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data || null;
+}
+
+async function insertVersion(segmentation, { version, snapshot, authorId, authorEmail, summary, operations, createdAt }) {
+  const { data, error } = await supabase
+    .from('segmentation_versions')
+    .insert([{
+      segmentation_id: segmentation.id,
+      pdf_id: segmentation.pdf_id,
+      user_id: segmentation.user_id,
+      version,
+      author_id: authorId,
+      author_email: authorEmail,
+      summary,
+      operations: operations || null,
+      snapshot_json: JSON.stringify(snapshot),
+      total_segments: snapshot.segments.length,
+      created_at: createdAt || new Date().toISOString()
+    }])
+    .select()
+    .single();
+
+  if (error?.code === '23505') {
+    throw new VersionConflictError(`Version ${version} has already been saved`);
+  }
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Record the generated roadmap as version 1 if nothing has been recorded yet
+ * @param {Object} segmentation - document_segments row
+ */
+async function ensureInitialVersion(segmentation) {
+  if ((segmentation.version || 1) > 1 || await getVersion(segmentation.id, 1)) return;
+
+  try {
+    await insertVersion(segmentation, {
+      version: 1,
+      snapshot: snapshotFromRow(segmentation),
+      authorId: null,
+      authorEmail: null,
+      summary: `Generated (${segmentation.segmentation_method || 'llm'})`,
+      createdAt: segmentation.created_at
+    });
+  } catch (error) {
+    // A concurrent edit recorded it first
+    if (!(error instanceof VersionConflictError)) throw error;
+  }
+}
+
+/**
+ * Save a new version and make it the current roadmap
+ * @param {Object} segmentation - document_segments row being edited
+ * @param {Object} snapshot - Validated roadmap snapshot
+ * @param {Object} meta - { authorId, authorEmail, summary, operations }
+ * @returns {Object} - { segmentation (updated row), version (new version row) }
+ * @throws {VersionConflictError} - Another version was saved since the row was read
+ */
+async function saveNewVersion(segmentation, snapshot, meta) {
+  await ensureInitialVersion(segmentation);
+
+  const versionNumber = (segmentation.version || 1) + 1;
+  const version = await insertVersion(segmentation, { ...meta, version: versionNumber, snapshot });
+
+  let update = supabase
+    .from('document_segments')
+    .update({
+      title: snapshot.title,
+      overview: snapshot.overview,
+      estimated_total_time: snapshot.estimatedTotalTime,
+      segments_json: JSON.stringify(snapshot.segments),
+      total_segments: snapshot.segments.length,
+      version: versionNumber,
+      // Edited roadmaps are personal and must not be served from the shared cache
+      content_hash: null,
+      updated_at: version.created_at
+    })
+    .eq('id', segmentation.id);
+
+  // Rows that were never edited have no version number yet
+  update = segmentation.version ? update.eq('version', segmentation.version) : update.is('version', null);
+
+  const { data, error } = await update.select();
+
+  if (error) throw error;
+  if (!data || data.length === 0) {
+    await supabase.from('segmentation_versions').delete().eq('id', version.id);
+    throw new VersionConflictError(`Version ${versionNumber} has already been saved`);
+  }
+  return { segmentation: data[0], version };
+}
+
+/**
+ * Remove the history of all of a user's segmentations of a document
+ */
+async function deleteVersions(pdfId, userId) {
+  const { error } = await supabase
+    .from('segmentation_versions')
+    .delete()
+    .eq('pdf_id', pdfId)
+    .eq('user_id', userId);
+
+  if (error) throw error;
+}
+
+/**
+ * Remove the history of particular segmentations (e.g. ones being replaced)
+ * @param {Array} segmentationIds - document_segments ids
+ */
+async function deleteVersionsOfSegmentations(segmentationIds) {
+  const { error } = await supabase
+    .from('segmentation_versions')
+    .delete()
+    .in('segmentation_id', segmentationIds);
+
+  if (error) throw error;
+}
+
+/**
+ * Map a version row to the API response shape
+ * @param {Object} row - Version row
+ * @param {number} currentVersion - Version number of the live roadmap
+ * @returns {Object} - API representation
+ */
+function formatVersion(row, currentVersion) {
+  return {
+    version: row.version,
+    current: row.version === currentVersion,
+    author: row.author_id ? { id: row.author_id, email: row.author_email } : null,
+    summary: row.summary,
+    operations: row.operations || [],
+    totalSegments: row.total_segments,
+    createdAt: row.created_at,
+    roadmap: row.snapshot_json ? JSON.parse(row.snapshot_json) : undefined
+  };
+}
+
+module.exports = {
+  VersionConflictError,
+  snapshotFromRow,
+  listVersions,
+  getVersion,
+  ensureInitialVersion,
+  saveNewVersion,
+  deleteVersions,
+  deleteVersionsOfSegmentations,
+  formatVersion
+};
@@ -0,0 +1,334 @@
+/**
+ * SESSION SERVICE
+ * Login sessions (`auth_sessions`), each with a family of rotating refresh
+ * tokens (`refresh_tokens`, stored as hashes) and short-lived access JWTs.
+ * Every refresh replaces the refresh token; presenting one that was already
+ * used means it leaked, so the whole session is revoked. Revoking a session
+ * puts its unexpired access tokens on the jti denylist
+ * (`revoked_access_tokens`) checked by authenticateToken.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { supabase } = require('../config/supabase');
+
+const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS, 10) || 15 * 60;
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+const REFRESH_TOKEN_BYTES = 48;
+const MAX_USER_AGENT_LENGTH = 300;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Sign an access token and issue a new refresh token for a session
+ * @param {Object} session - auth_sessions row
+ * @returns {Object} - { tokens: { token, refreshToken, expiresIn }, jti, accessExpiresAt }
+ */
+async function issueTokens(session) {
+  const jti = crypto.randomUUID();
+  const refreshToken = crypto.randomBytes(REFRESH_TOKEN_BYTES).toString('base64url');
+  const now = Date.now();
+  const accessExpiresAt = new Date(now + ACCESS_TOKEN_TTL_SECONDS * 1000).toISOString();
+
+  const token = jwt.sign(
+    { userId: session.user_id, email: session.email, sid: session.id },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL_SECONDS, jwtid: jti }
+  );
+
+  const { error } = await supabase
+    .from('refresh_tokens')
+    .insert([{
+      session_id: session.id,
+      user_id: session.user_id,
+      token_hash: hashToken(refreshToken),
+      // The access token issued alongside, so revoking the session can deny it
+      access_jti: jti,
+      access_expires_at: accessExpiresAt,
+      expires_at: new Date(now + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+      used_at: null,
+      created_at: new Date(now).toISOString()
+    }]);
+
+  if (error) throw error;
+  return { tokens: { token, refreshToken, expiresIn: ACCESS_TOKEN_TTL_SECONDS }, jti, accessExpiresAt };
+}
+
+/**
+ * Start a session for a user who just signed in
+ * @param {Object} user - { id, email }
+ * @param {Object} client - { userAgent, ipAddress } of the request
+ * @returns {Object} - { token, refreshToken, expiresIn }
+ */
+async function createSession(user, { userAgent, ipAddress }) {
+  const now = new Date().toISOString();
+
+  const { data: session, error } = await supabase
+    .from('auth_sessions')
+    .insert([{
+      user_id: user.id,
+      email: user.email,
+      user_agent: userAgent ? userAgent.slice(0, MAX_USER_AGENT_LENGTH) : null,
+      ip_address: ipAddress || null,
+      created_at: now,
+      last_used_at: now,
+      revoked_at: null,
+      revoked_reason: null
+    }])
+    .select()
+    .single();
+
+  if (error) throw error;
+  return (await issueTokens(session)).tokens;
+}
+
+async function getSessionById(sessionId) {
+  const { data, error } = await supabase
+    .from('auth_sessions')
+    .select('*')
+    .eq('id', sessionId)
+    .maybeSingle();
+
+  if (error && error.code !== '22P02') throw error;
+  return data || null;
+}
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ * @param {string} refreshToken - Refresh token presented by the client
+ * @param {Object} client - { userAgent, ipAddress } of the request
+ * @returns {Object} - { tokens } or { error: 'invalid' | 'expired' | 'revoked' | 'reused' }
+ */
+async function rotateRefreshToken(refreshToken, { userAgent, ipAddress }) {
+  const { data: stored, error } = await supabase
+    .from('refresh_tokens')
+    .select('*')
+    .eq('token_hash', hashToken(refreshToken))
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!stored) return { error: 'invalid' };
+
+  const session = await getSessionById(stored.session_id);
+  if (!session) return { error: 'invalid' };
+  if (session.revoked_at) return { error: 'revoked' };
+
+  if (stored.used_at) {
+    console.warn(`[Auth] Refresh token reused in session ${session.id}, revoking it`);
+    await revokeSession(session, 'refresh_token_reuse');
+    return { error: 'reused' };
+  }
+
+  if (new Date(stored.expires_at) <= new Date()) return { error: 'expired' };
+
+  // Claim the token; if a concurrent request got there first this is a reuse too
+  const { data: claimed, error: claimError } = await supabase
+    .from('refresh_tokens')
+    .update({ used_at: new Date().toISOString() })
+    .eq('id', stored.id)
+    .is('used_at', null)
+    .select();
+
+  if (claimError) throw claimError;
+  if (!claimed || claimed.length === 0) {
+    await revokeSession(session, 'refresh_token_reuse');
+    return { error: 'reused' };
+  }
+
+  // The new pair is recorded before the session is touched, and the touch only
+  // succeeds while the session is live. A revokeSession running concurrently
+  // either sees the new access token and denies it, or makes the touch fail.
+  const issued = await issueTokens(session);
+
+  const { data: touched, error: sessionError } = await supabase
+    .from('auth_sessions')
+    .update({
+      last_used_at: new Date().toISOString(),
+      user_agent: userAgent ? userAgent.slice(0, MAX_USER_AGENT_LENGTH) : session.user_agent,
+      ip_address: ipAddress || session.ip_address
+    })
+    .eq('id', session.id)
+    .is('revoked_at', null)
+    .select('id');
+
+  if (sessionError) throw sessionError;
+
+  if (!touched || touched.length === 0) {
+    await denyAccessTokens([{ jti: issued.jti, userId: session.user_id, expiresAt: issued.accessExpiresAt }], 'revoked');
+    return { error: 'revoked' };
+  }
+
+  return { tokens: issued.tokens };
+}
+
+/**
+ * Put access tokens on the denylist until they expire
+ * @param {Array} tokens - [{ jti, userId, expiresAt }]
+ */
+async function denyAccessTokens(tokens, reason) {
+  const now = new Date();
+  const live = tokens.filter((token) => token.jti && new Date(token.expiresAt) > now);
+  if (live.length === 0) return;
+
+  const { error } = await supabase
+    .from('revoked_access_tokens')
+    .upsert(live.map((token) => ({
+      jti: token.jti,
+      user_id: token.userId,
+      expires_at: token.expiresAt,
+      reason,
+      created_at: now.toISOString()
+    })), { onConflict: 'jti' });
+
+  if (error) throw error;
+
+  // Expired entries can't match a valid token any more
+  await supabase
+    .from('revoked_access_tokens')
+    .delete()
+    .lt('expires_at', now.toISOString());
+}
+
+/**
+ * Revoke a session: its refresh tokens stop working and its access tokens
+ * are denied from the next request on
+ * @param {Object} session - auth_sessions row
+ * @param {string} reason - logout | logout_all | revoked | refresh_token_reuse
+ */
+async function revokeSession(session, reason) {
+  const { error } = await supabase
+    .from('auth_sessions')
+    .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+    .eq('id', session.id)
+    .is('revoked_at', null);
+
+  if (error) throw error;
+
+  const { data: tokens, error: tokenError } = await supabase
+    .from('refresh_tokens')
+    .select('access_jti, access_expires_at')
+    .eq('session_id', session.id)
+    .gt('access_expires_at', new Date().toISOString());
+
+  if (tokenError) throw tokenError;
+
+  await denyAccessTokens((tokens || []).map((token) => ({
+    jti: token.access_jti,
+    userId: session.user_id,
+    expiresAt: token.access_expires_at
+  })), reason);
+}
+
+/**
+ * Revoke every active session of a user ("log out everywhere")
+ * @returns {number} - Sessions revoked
+ */
+async function revokeAllSessions(userId, reason) {
+  const sessions = await listActiveSessions(userId);
+  for (const session of sessions) {
+    await revokeSession(session, reason);
+  }
+  return sessions.length;
+}
+
+/**
+ * A user's sessions that are not revoked and can still be refreshed, most recently used first
+ * @returns {Array} - auth_sessions rows
+ */
+async function listActiveSessions(userId) {
+  const { data, error } = await supabase
+    .from('auth_sessions')
+    .select('*')
+    .eq('user_id', userId)
+    .is('revoked_at', null)
+    .gt('last_used_at', new Date(Date.now() - REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString())
+    .order('last_used_at', { ascending: false });
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * One of the user's sessions
+ * @returns {Object|null} - auth_sessions row or null
+ */
+async function getSession(sessionId, userId) {
+  const session = await getSessionById(sessionId);
+  return session && session.user_id === userId ? session : null;
+}
+
+/**
+ * Whether an access token has been revoked
+ * @param {string} jti - Token id
+ */
+async function isAccessTokenRevoked(jti) {
+  const { data, error } = await supabase
+    .from('revoked_access_tokens')
+    .select('jti')
+    .eq('jti', jti)
+    .maybeSingle();
+
+  if (error) throw error;
+  return Boolean(data);
+}
+
+/**
+ * Short browser/OS label from a User-Agent header, e.g. "Firefox on Windows"
+ */
+function describeDevice(userAgent) {
+  if (!userAgent) return 'Unknown device';
+
+  const browser = [
+    [/Edg\//, 'Edge'],
+    [/OPR\/|Opera/, 'Opera'],
+    [/Firefox\//, 'Firefox'],
+    [/Chrome\//, 'Chrome'],
+    [/Safari\//, 'Safari'],
+    [/curl\//, 'curl']
+  ].find(([pattern]) => pattern.test(userAgent));
+
+  const os = [
+    [/Windows/, 'Windows'],
+    [/Android/, 'Android'],
+    [/iPhone|iPad|iOS/, 'iOS'],
+    [/Mac OS X|Macintosh/, 'macOS'],
+    [/Linux/, 'Linux']
+  ].find(([pattern]) => pattern.test(userAgent));
+
+  if (!browser && !os) return 'Unknown device';
+  return [browser?.[1], os?.[1]].filter(Boolean).join(' on ');
+}
+
+/**
+ * Map a session row to the API response shape
+ * @param {Object} row - auth_sessions row
+ * @param {string} [currentSessionId] - Session of the request, flagged as current
+ * @returns {Object} - API representation
+ */
+function formatSession(row, currentSessionId) {
+  return {
+    id: row.id,
+    device: describeDevice(row.user_agent),
+    userAgent: row.user_agent,
+    ipAddress: row.ip_address,
+    current: row.id === currentSessionId,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at
+  };
+}
+
+module.exports = {
+  ACCESS_TOKEN_TTL_SECONDS,
+  REFRESH_TOKEN_TTL_DAYS,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  listActiveSessions,
+  getSession,
+  isAccessTokenRevoked,
+  denyAccessTokens,
+  formatSession
+};
@@ -0,0 +1,308 @@
+/**
+ * SHARE SERVICE
+ * Read-only links to a segmented document (`document_shares`). Only a hash
+ * of each token is stored, so a link can be shown once at creation and
+ * revoked later, but never recovered from the database. Wrong passwords are
+ * counted per link and client address (`share_password_attempts`); past a
+ * few free tries each one makes that address wait twice as long as before,
+ * without affecting visitors from anywhere else.
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { supabase } = require('../config/supabase');
+
+const TOKEN_BYTES = 24;
+// Characters of the token kept in clear so owners can tell links apart
+const TOKEN_HINT_LENGTH = 6;
+const PASSWORD_SALT_ROUNDS = 10;
+// Wrong passwords allowed before backoff starts, then 2s, 4s, 8s... up to 15 minutes
+const FREE_PASSWORD_ATTEMPTS = 3;
+const PASSWORD_BACKOFF_BASE_MS = 2 * 1000;
+const PASSWORD_BACKOFF_MAX_MS = 15 * 60 * 1000;
+// Visits (or wrong passwords) counted at the same moment make the conditional
+// update miss; re-read and retry
+const ACCESS_COUNT_RETRIES = 5;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Create a share link
+ * @param {Object} options - { pdfId, userId, expiresAt (Date), password?, includePdf }
+ * @returns {Object} - { share (row), token } - the token is not stored and can't be shown again
+ */
+async function createShare({ pdfId, userId, expiresAt, password, includePdf }) {
+  const token = crypto.randomBytes(TOKEN_BYTES).toString('base64url');
+
+  const { data, error } = await supabase
+    .from('document_shares')
+    .insert([{
+      pdf_id: pdfId,
+      user_id: userId,
+      token_hash: hashToken(token),
+      token_hint: token.slice(0, TOKEN_HINT_LENGTH),
+      password_hash: password ? await bcrypt.hash(password, PASSWORD_SALT_ROUNDS) : null,
+      include_pdf: Boolean(includePdf),
+      expires_at: expiresAt.toISOString(),
+      revoked_at: null,
+      access_count: 0,
+      last_accessed_at: null,
+      created_at: new Date().toISOString()
+    }])
+    .select()
+    .single();
+
+  if (error) throw error;
+  return { share: data, token };
+}
+
+/**
+ * Share links of a document that are neither revoked nor expired, newest first
+ * @returns {Array} - Share rows
+ */
+async function listActiveShares(pdfId, userId) {
+  const { data, error } = await supabase
+    .from('document_shares')
+    .select('*')
+    .eq('pdf_id', pdfId)
+    .eq('user_id', userId)
+    .is('revoked_at', null)
+    .gt('expires_at', new Date().toISOString())
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * One of the user's share links on a document
+ * @returns {Object|null} - Share row or null
+ */
+async function getShare(shareId, pdfId, userId) {
+  const { data, error } = await supabase
+    .from('document_shares')
+    .select('*')
+    .eq('id', shareId)
+    .eq('pdf_id', pdfId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  // A malformed uuid is just an unknown share
+  if (error && error.code !== '22P02') throw error;
+  return data || null;
+}
+
+/**
+ * Look a share up by the token from its link
+ * @returns {Object|null} - Share row (possibly revoked or expired) or null
+ */
+async function getShareByToken(token) {
+  const { data, error } = await supabase
+    .from('document_shares')
+    .select('*')
+    .eq('token_hash', hashToken(token))
+    .maybeSingle();
+
+  if (error) throw error;
+  return data || null;
+}
+
+/**
+ * Why a share can't be used, if it can't
+ * @returns {string|null} - 'revoked', 'expired' or null when usable
+ */
+function shareUnavailableReason(share, now = new Date()) {
+  if (share.revoked_at) return 'revoked';
+  if (new Date(share.expires_at) <= now) return 'expired';
+  return null;
+}
+
+async function getPasswordAttempts(shareId, ipAddress) {
+  const { data, error } = await supabase
+    .from('share_password_attempts')
+    .select('*')
+    .eq('share_id', shareId)
+    .eq('ip_address', ipAddress)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data || null;
+}
+
+function passwordBackoffMs(failedCount) {
+  if (failedCount <= FREE_PASSWORD_ATTEMPTS) return 0;
+  return Math.min(PASSWORD_BACKOFF_MAX_MS, PASSWORD_BACKOFF_BASE_MS * 2 ** (failedCount - FREE_PASSWORD_ATTEMPTS - 1));
+}
+
+/**
+ * Seconds a client address must wait before trying another password
+ * @param {Object} share - Share row
+ * @param {string} ipAddress - Client address
+ * @returns {number} - 0 when a password may be tried
+ */
+async function passwordRetrySeconds(share, ipAddress, now = Date.now()) {
+  const attempts = await getPasswordAttempts(share.id, ipAddress || 'unknown');
+  if (!attempts || !attempts.locked_until) return 0;
+
+  const remaining = new Date(attempts.locked_until).getTime() - now;
+  return remaining > 0 ? Math.ceil(remaining / 1000) : 0;
+}
+
+/**
+ * Count a wrong password from an address and push its next try back
+ * Like recordShareAccess, the count only moves on from the value it was read
+ * at, so wrong passwords sent at the same moment are all counted.
+ */
+async function recordFailedPassword(share, ipAddress) {
+  for (let attempt = 0; attempt < ACCESS_COUNT_RETRIES; attempt++) {
+    const current = await getPasswordAttempts(share.id, ipAddress);
+    const failedCount = (current ? current.failed_count : 0) + 1;
+    const now = Date.now();
+    const backoff = passwordBackoffMs(failedCount);
+    const changes = {
+      failed_count: failedCount,
+      last_failed_at: new Date(now).toISOString(),
+      locked_until: backoff > 0 ? new Date(now + backoff).toISOString() : null
+    };
+
+    if (!current) {
+      const { error } = await supabase
+        .from('share_password_attempts')
+        .insert([{ share_id: share.id, pdf_id: share.pdf_id, ip_address: ipAddress, ...changes }]);
+
+      // 23505 = another request created the row first; count on top of it
+      if (!error) return;
+      if (error.code !== '23505') throw error;
+      continue;
+    }
+
+    const { data, error } = await supabase
+      .from('share_password_attempts')
+      .update(changes)
+      .eq('id', current.id)
+      .eq('failed_count', current.failed_count)
+      .select('id');
+
+    if (error) throw error;
+    if (data && data.length > 0) return;
+  }
+
+  console.warn(`[Share] Could not count a wrong password for ${share.id}: too many concurrent attempts`);
+}
+
+/**
+ * Check the password of a link; a wrong one counts towards the address's
+ * backoff, a right one clears it
+ * @param {Object} share - Share row
+ * @param {string} password - Password sent by the visitor
+ * @param {string} ipAddress - Client address
+ * @returns {boolean}
+ */
+async function checkSharePassword(share, password, ipAddress) {
+  if (!share.password_hash) return true;
+  if (typeof password !== 'string' || !password) return false;
+
+  const address = ipAddress || 'unknown';
+
+  if (await bcrypt.compare(password, share.password_hash)) {
+    const { error } = await supabase
+      .from('share_password_attempts')
+      .delete()
+      .eq('share_id', share.id)
+      .eq('ip_address', address);
+
+    if (error) console.warn(`[Share] Could not clear password attempts for ${share.id}:`, error.message);
+    return true;
+  }
+
+  await recordFailedPassword(share, address);
+  return false;
+}
+
+async function revokeShare(shareId) {
+  const { data, error } = await supabase
+    .from('document_shares')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('id', shareId)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Count a successful visit; failures here never block the visitor
+ * The count only moves on from the value it was read at, so concurrent
+ * visits are never lost.
+ */
+async function recordShareAccess(share) {
+  let current = share.access_count ?? null;
+
+  for (let attempt = 0; attempt < ACCESS_COUNT_RETRIES; attempt++) {
+    let update = supabase
+      .from('document_shares')
+      .update({
+        access_count: (current || 0) + 1,
+        last_accessed_at: new Date().toISOString()
+      })
+      .eq('id', share.id);
+    update = current === null ? update.is('access_count', null) : update.eq('access_count', current);
+
+    const { data, error } = await update.select('id');
+    if (error) {
+      console.warn(`[Share] Could not record access to ${share.id}:`, error.message);
+      return;
+    }
+    if (data && data.length > 0) return;
+
+    const { data: latest, error: readError } = await supabase
+      .from('document_shares')
+      .select('access_count')
+      .eq('id', share.id)
+      .maybeSingle();
+
+    if (readError || !latest) {
+      console.warn(`[Share] Could not record access to ${share.id}:`, readError ? readError.message : 'share not found');
+      return;
+    }
+    current = latest.access_count ?? null;
+  }
+
+  console.warn(`[Share] Could not record access to ${share.id}: too many concurrent visits`);
+}
+
+/**
+ * Map a share row to the API response shape (for the owner)
+ * @param {Object} row - Share row
+ * @returns {Object} - API representation
+ */
+function formatShare(row) {
+  return {
+    id: row.id,
+    pdfId: row.pdf_id,
+    tokenHint: row.token_hint,
+    passwordProtected: Boolean(row.password_hash),
+    includePdf: row.include_pdf,
+    expiresAt: row.expires_at,
+    revokedAt: row.revoked_at,
+    accessCount: row.access_count || 0,
+    lastAccessedAt: row.last_accessed_at,
+    createdAt: row.created_at
+  };
+}
+
+module.exports = {
+  createShare,
+  listActiveShares,
+  getShare,
+  getShareByToken,
+  shareUnavailableReason,
+  passwordRetrySeconds,
+  checkSharePassword,
+  revokeShare,
+  recordShareAccess,
+  formatShare
+};
@@ -0,0 +1,165 @@
+/**
+ * QUIZ VALIDATOR
+ * Normalisation and schema validation for LLM-generated segment quizzes
+ */
+
+const QUESTION_TYPES = ['multiple_choice', 'short_answer'];
+const MC_OPTION_COUNT = 4;
+
+const cleanString = (value) => (typeof value === 'string' ? value.trim() : value);
+
+const cleanStringList = (value) => (
+  Array.isArray(value)
+    ? value.map(cleanString).filter((item) => typeof item === 'string' && item.length > 0)
+    : value
+);
+
+/**
+ * Normalise what can be fixed without asking the model again: whitespace,
+ * type spelling, numeric strings, keyword casing. Question ids are
+ * reassigned (q1, q2, ...) in order.
+ * @param {Object} data - Parsed quiz
+ * @returns {Object} - Normalised copy
+ */
+function normalizeQuiz(data) {
+  if (!data || typeof data !== 'object' || !Array.isArray(data.questions)) return data;
+
+  return {
+    ...data,
+    questions: data.questions.map((question, index) => {
+      if (!question || typeof question !== 'object') return question;
+
+      const type = typeof question.type === 'string'
+        ? question.type.trim().toLowerCase().replace(/[\s-]+/g, '_')
+        : question.type;
+
+      const normalized = {
+        id: `q${index + 1}`,
+        type: type === 'mcq' || type === 'multiple' ? 'multiple_choice' : type,
+        question: cleanString(question.question),
+        page: typeof question.page === 'string' && /^\d+$/.test(question.page.trim())
+          ? parseInt(question.page, 10)
+          : question.page
+      };
+
+      if (normalized.type === 'multiple_choice') {
+        normalized.options = cleanStringList(question.options);
+        normalized.correctIndex = typeof question.correctIndex === 'string' && /^\d+$/.test(question.correctIndex.trim())
+          ? parseInt(question.correctIndex, 10)
+          : question.correctIndex;
+        normalized.explanation = cleanString(question.explanation) || '';
+      } else {
+        const rubric = question.rubric && typeof question.rubric === 'object' ? question.rubric : {};
+        normalized.rubric = {
+          sampleAnswer: cleanString(rubric.sampleAnswer),
+          criteria: Array.isArray(rubric.criteria)
+            ? rubric.criteria.map((criterion) => (criterion && typeof criterion === 'object'
+              ? {
+                point: cleanString(criterion.point),
+                keywords: Array.isArray(criterion.keywords)
+                  ? cleanStringList(criterion.keywords).map((keyword) => keyword.toLowerCase())
+                  : criterion.keywords
+              }
+              : criterion))
+            : rubric.criteria
+        };
+      }
+
+      return normalized;
+    })
+  };
+}
+
+/**
+ * Validate a normalised quiz
+ * @param {Object} data - Normalised quiz
+ * @param {Object} expected - { multipleChoice, shortAnswer } question counts
+ * @param {Object} [pageRange] - { startPage, endPage } the questions must cite
+ * @returns {Array} - Human-readable errors (empty when valid)
+ */
+function validateQuiz(data, { multipleChoice, shortAnswer }, pageRange = {}) {
+  const errors = [];
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return ['Top level must be a JSON object'];
+  }
+
+  if (!Array.isArray(data.questions)) {
+    return ['"questions" must be an array'];
+  }
+
+  const counts = { multiple_choice: 0, short_answer: 0 };
+
+  data.questions.forEach((question, index) => {
+    const label = `questions[${index}]`;
+
+    if (!question || typeof question !== 'object') {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+
+    if (!QUESTION_TYPES.includes(question.type)) {
+      errors.push(`${label}.type must be one of ${QUESTION_TYPES.join(', ')} (got ${JSON.stringify(question.type)})`);
+      return;
+    }
+    counts[question.type]++;
+
+    if (typeof question.question !== 'string' || !question.question) {
+      errors.push(`${label}.question must be a non-empty string`);
+    }
+
+    if (question.page !== undefined && question.page !== null) {
+      const outOfRange = pageRange.startPage && pageRange.endPage &&
+        (question.page < pageRange.startPage || question.page > pageRange.endPage);
+      if (!Number.isInteger(question.page) || outOfRange) {
+        errors.push(`${label}.page must be a page number between ${pageRange.startPage} and ${pageRange.endPage}`);
+      }
+    }
+
+    if (question.type === 'multiple_choice') {
+      if (!Array.isArray(question.options) || question.options.length !== MC_OPTION_COUNT) {
+        errors.push(`${label}.options must contain exactly ${MC_OPTION_COUNT} non-empty strings`);
+      } else if (new Set(question.options.map((option) => option.toLowerCase())).size !== question.options.length) {
+        errors.push(`${label}.options must all be different`);
+      }
+
+      if (!Number.isInteger(question.correctIndex) || question.correctIndex < 0 || question.correctIndex >= MC_OPTION_COUNT) {
+        errors.push(`${label}.correctIndex must be an integer from 0 to ${MC_OPTION_COUNT - 1}`);
+      }
+    } else {
+      if (typeof question.rubric.sampleAnswer !== 'string' || !question.rubric.sampleAnswer) {
+        errors.push(`${label}.rubric.sampleAnswer must be a non-empty string`);
+      }
+
+      if (!Array.isArray(question.rubric.criteria) || question.rubric.criteria.length === 0) {
+        errors.push(`${label}.rubric.criteria must be a non-empty array`);
+      } else {
+        question.rubric.criteria.forEach((criterion, criterionIndex) => {
+          const criterionLabel = `${label}.rubric.criteria[${criterionIndex}]`;
+          if (!criterion || typeof criterion.point !== 'string' || !criterion.point) {
+            errors.push(`${criterionLabel}.point must be a non-empty string`);
+          }
+          if (!criterion || !Array.isArray(criterion.keywords) || criterion.keywords.length === 0) {
+            errors.push(`${criterionLabel}.keywords must be a non-empty array of strings`);
+          }
+        });
+      }
+    }
+  });
+
+  if (counts.multiple_choice !== multipleChoice) {
+    errors.push(`Expected ${multipleChoice} multiple_choice questions (got ${counts.multiple_choice})`);
+  }
+  if (counts.short_answer !== shortAnswer) {
+    errors.push(`Expected ${shortAnswer} short_answer questions (got ${counts.short_answer})`);
+  }
+
+  return errors;
+}
+
+module.exports = {
+  QUESTION_TYPES,
+  MC_OPTION_COUNT,
+  normalizeQuiz,
+  validateQuiz
+};
@@ -0,0 +1,255 @@
+/**
+ * SEGMENTATION VALIDATOR
+ * Tolerant JSON extraction and strict schema validation for LLM roadmaps
+ */
+
+const DIFFICULTY_LEVELS = ['beginner', 'intermediate', 'advanced'];
+const MIN_SEGMENTS = 4;
+const MAX_SEGMENTS = 8;
+// Hand-edited roadmaps may be split further than the model is asked for
+const MAX_EDITED_SEGMENTS = 30;
+
+// "5-10 minutes", "15 minutes", "1 hour", "1-2 hours"
+const TIME_PATTERN = /^\d+(\s*-\s*\d+)?\s+(minutes?|hours?)$/;
+
+/**
+ * Find the first balanced {...} block in a string, ignoring braces in strings
+ * @param {string} text - Raw text
+ * @returns {string|null} - JSON object text or null
+ */
+function findJSONObject(text) {
+  const start = text.indexOf('{');
+  if (start === -1) return null;
+
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+
+    if (char === '"') inString = true;
+    else if (char === '{') depth++;
+    else if (char === '}') {
+      depth--;
+      if (depth === 0) return text.slice(start, i + 1);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Parse a JSON object out of an LLM response that may wrap it in code
+ * fences or prose, or leave trailing commas behind
+ * @param {string} responseText - Raw model output
+ * @returns {Object} - Parsed object
+ * @throws {Error} - When no JSON object can be recovered
+ */
+function extractJSON(responseText) {
+  const cleanText = responseText
+    .replace(/```json\n?/g, '')
+    .replace(/```\n?/g, '')
+    .trim();
+
+  try {
+    return JSON.parse(cleanText);
+  } catch (error) {
+    // fall through to the tolerant path
+  }
+
+  const candidate = findJSONObject(cleanText);
+  if (!candidate) {
+    throw new Error('Response does not contain a JSON object');
+  }
+
+  try {
+    return JSON.parse(candidate);
+  } catch (error) {
+    const withoutTrailingCommas = candidate.replace(/,\s*([}\]])/g, '$1');
+    try {
+      return JSON.parse(withoutTrailingCommas);
+    } catch (finalError) {
+      throw new Error(`Response contains malformed JSON: ${finalError.message}`);
+    }
+  }
+}
+
+const cleanString = (value) => (typeof value === 'string' ? value.trim() : value);
+
+const cleanStringList = (value) => (
+  Array.isArray(value)
+    ? value.map(cleanString).filter((item) => typeof item === 'string' && item.length > 0)
+    : value
+);
+
+// Entries without both a term and a definition are dropped rather than re-prompted for
+const cleanGlossary = (value) => (
+  Array.isArray(value)
+    ? value
+      .filter((entry) => entry && typeof entry === 'object')
+      .map((entry) => ({ term: cleanString(entry.term), definition: cleanString(entry.definition) }))
+      .filter((entry) => typeof entry.term === 'string' && entry.term && typeof entry.definition === 'string' && entry.definition)
+    : value
+);
+
+/**
+ * Normalise fields that can be fixed without asking the model again:
+ * whitespace, difficulty casing, list and glossary entries and totalSegments
+ * @param {Object} data - Parsed roadmap
+ * @returns {Object} - Normalised copy
+ */
+function normalizeSegmentation(data) {
+  if (!data || typeof data !== 'object') return data;
+
+  const normalized = {
+    ...data,
+    title: cleanString(data.title),
+    overview: cleanString(data.overview),
+    estimatedTotalTime: cleanString(data.estimatedTotalTime)
+  };
+
+  if (Array.isArray(data.segments)) {
+    normalized.segments = data.segments.map((segment) => {
+      if (!segment || typeof segment !== 'object') return segment;
+
+      return {
+        ...segment,
+        id: typeof segment.id === 'string' && /^\d+$/.test(segment.id.trim())
+          ? parseInt(segment.id, 10)
+          : segment.id,
+        title: cleanString(segment.title),
+        description: cleanString(segment.description),
+        keyPoints: cleanStringList(segment.keyPoints),
+        difficulty: typeof segment.difficulty === 'string' ? segment.difficulty.trim().toLowerCase() : segment.difficulty,
+        estimatedTime: cleanString(segment.estimatedTime),
+        learningObjectives: segment.learningObjectives === undefined ? [] : cleanStringList(segment.learningObjectives),
+        glossary: segment.glossary === undefined ? [] : cleanGlossary(segment.glossary)
+      };
+    });
+    normalized.totalSegments = normalized.segments.length;
+  }
+
+  return normalized;
+}
+
+/**
+ * Validate a normalised roadmap against the segmentation schema
+ * @param {Object} data - Normalised roadmap
+ * @param {Object} [limits] - { minSegments, maxSegments }
+ * @returns {Array} - Human-readable errors (empty when valid)
+ */
+function validateSegmentation(data, { minSegments = MIN_SEGMENTS, maxSegments = MAX_SEGMENTS } = {}) {
+  const errors = [];
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return ['Top level must be a JSON object'];
+  }
+
+  if (typeof data.title !== 'string' || !data.title) errors.push('"title" must be a non-empty string');
+  if (typeof data.overview !== 'string' || !data.overview) errors.push('"overview" must be a non-empty string');
+
+  if (data.estimatedTotalTime !== undefined && !TIME_PATTERN.test(String(data.estimatedTotalTime))) {
+    errors.push(`"estimatedTotalTime" must look like "45-60 minutes" or "2 hours" (got ${JSON.stringify(data.estimatedTotalTime)})`);
+  }
+
+  if (!Array.isArray(data.segments)) {
+    errors.push('"segments" must be an array');
+    return errors;
+  }
+
+  if (data.segments.length < minSegments || data.segments.length > maxSegments) {
+    errors.push(`"segments" must contain ${minSegments}-${maxSegments} items (got ${data.segments.length})`);
+  }
+
+  const seenIds = new Set();
+
+  data.segments.forEach((segment, index) => {
+    const label = `segments[${index}]`;
+
+    if (!segment || typeof segment !== 'object') {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+
+    if (!Number.isInteger(segment.id) || segment.id < 1) {
+      errors.push(`${label}.id must be a positive integer`);
+    } else if (seenIds.has(segment.id)) {
+      errors.push(`${label}.id ${segment.id} is duplicated`);
+    } else {
+      seenIds.add(segment.id);
+    }
+
+    if (typeof segment.title !== 'string' || !segment.title) errors.push(`${label}.title must be a non-empty string`);
+    if (typeof segment.description !== 'string' || !segment.description) errors.push(`${label}.description must be a non-empty string`);
+
+    if (!Array.isArray(segment.keyPoints) || segment.keyPoints.length === 0) {
+      errors.push(`${label}.keyPoints must be a non-empty array of strings`);
+    }
+
+    if (!Array.isArray(segment.learningObjectives)) {
+      errors.push(`${label}.learningObjectives must be an array of strings`);
+    }
+
+    if (!Array.isArray(segment.glossary)) {
+      errors.push(`${label}.glossary must be an array of { term, definition } objects`);
+    }
+
+    if (!DIFFICULTY_LEVELS.includes(segment.difficulty)) {
+      errors.push(`${label}.difficulty must be one of ${DIFFICULTY_LEVELS.join(', ')} (got ${JSON.stringify(segment.difficulty)})`);
+    }
+
+    if (typeof segment.estimatedTime !== 'string' || !TIME_PATTERN.test(segment.estimatedTime)) {
+      errors.push(`${label}.estimatedTime must look like "5-10 minutes" (got ${JSON.stringify(segment.estimatedTime)})`);
+    }
+
+    for (const field of ['startPage', 'endPage']) {
+      if (segment[field] !== undefined && !Number.isInteger(segment[field])) {
+        errors.push(`${label}.${field} must be an integer page number`);
+      }
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Check the page ranges of segments against a document's page count.
+ * Segments without a range are skipped.
+ * @param {Array} segments - Normalised segments
+ * @param {number|null} pageCount - Pages in the document, if known
+ * @returns {Array} - Human-readable errors (empty when valid)
+ */
+function validatePageRanges(segments, pageCount) {
+  const errors = [];
+
+  (Array.isArray(segments) ? segments : []).forEach((segment, index) => {
+    if (segment?.startPage === undefined || segment?.startPage === null) return;
+
+    const { startPage, endPage } = segment;
+    if (!Number.isInteger(startPage) || !Number.isInteger(endPage) || startPage < 1 || endPage < startPage ||
+      (pageCount && endPage > pageCount)) {
+      errors.push(`segments[${index}] page range must lie within 1-${pageCount || '?'}`);
+    }
+  });
+
+  return errors;
+}
+
+module.exports = {
+  DIFFICULTY_LEVELS,
+  MIN_SEGMENTS,
+  MAX_SEGMENTS,
+  MAX_EDITED_SEGMENTS,
+  extractJSON,
+  normalizeSegmentation,
+  validateSegmentation,
+  validatePageRanges
+};
@@ -0,0 +1,106 @@
+/**
+ * SEGMENTATION OPTIONS VALIDATOR
+ * Caller-tunable roadmap settings and the cache key they form
+ */
+
+const { LANGUAGES, isSupportedLanguage } = require('../services/language.service');
+
+const AUDIENCES = ['general', 'beginner', 'intermediate', 'advanced'];
+const FOCUSES = ['overview', 'exam-prep'];
+const DETAIL_LEVELS = ['brief', 'standard', 'detailed'];
+const MIN_TARGET_SEGMENTS = 2;
+const MAX_TARGET_SEGMENTS = 15;
+
+// targetSegments null lets the model pick within the usual range
+const DEFAULT_SEGMENTATION_OPTIONS = Object.freeze({
+  targetSegments: null,
+  audience: 'general',
+  focus: 'overview',
+  detail: 'standard',
+  language: 'en'
+});
+
+const DEFAULT_OPTIONS_KEY = 'default';
+
+/**
+ * Read targetSegments/audience/focus/detail/language from a request body or query;
+ * anything not given keeps its default
+ * @param {Object} source - req.body or req.query
+ * @returns {Object} - { options } or { errors }
+ */
+function parseSegmentationOptions(source = {}) {
+  const errors = [];
+  const options = { ...DEFAULT_SEGMENTATION_OPTIONS };
+
+  if (source.targetSegments !== undefined && source.targetSegments !== null && source.targetSegments !== 'auto') {
+    const target = Number(source.targetSegments);
+    if (!Number.isInteger(target) || target < MIN_TARGET_SEGMENTS || target > MAX_TARGET_SEGMENTS) {
+      errors.push(`targetSegments must be a whole number from ${MIN_TARGET_SEGMENTS} to ${MAX_TARGET_SEGMENTS} (or auto)`);
+    } else {
+      options.targetSegments = target;
+    }
+  }
+
+  const choices = [
+    ['audience', AUDIENCES],
+    ['focus', FOCUSES],
+    ['detail', DETAIL_LEVELS]
+  ];
+
+  for (const [field, allowed] of choices) {
+    if (source[field] === undefined) continue;
+
+    const value = typeof source[field] === 'string' ? source[field].trim().toLowerCase() : source[field];
+    if (!allowed.includes(value)) {
+      errors.push(`${field} must be one of ${allowed.join(', ')}`);
+    } else {
+      options[field] = value;
+    }
+  }
+
+  if (source.language !== undefined) {
+    const language = typeof source.language === 'string' ? source.language.trim().toLowerCase() : source.language;
+    if (!isSupportedLanguage(language)) {
+      errors.push(`language must be one of ${Object.keys(LANGUAGES).join(', ')}`);
+    } else {
+      options.language = language;
+    }
+  }
+
+  return errors.length > 0 ? { errors } : { options };
+}
+
+/**
+ * Stable key for a set of options; saved roadmaps are cached per key
+ * @param {Object} options - Parsed options
+ * @returns {string} - 'default' or e.g. 'segments=6;audience=beginner;focus=exam-prep;detail=standard'
+ *   (with ';language=de' appended for roadmaps not in English)
+ */
+function segmentationOptionsKey(options) {
+  const isDefault = Object.keys(DEFAULT_SEGMENTATION_OPTIONS)
+    .every((field) => options[field] === DEFAULT_SEGMENTATION_OPTIONS[field]);
+  if (isDefault) return DEFAULT_OPTIONS_KEY;
+
+  const parts = [
+    `segments=${options.targetSegments || 'auto'}`,
+    `audience=${options.audience}`,
+    `focus=${options.focus}`,
+    `detail=${options.detail}`
+  ];
+  // Keys of English roadmaps predate the language option
+  if (options.language && options.language !== 'en') parts.push(`language=${options.language}`);
+
+  return parts.join(';');
+}
+
+module.exports = {
+  AUDIENCES,
+  FOCUSES,
+  DETAIL_LEVELS,
+  MIN_TARGET_SEGMENTS,
+  MAX_TARGET_SEGMENTS,
+  DEFAULT_SEGMENTATION_OPTIONS,
+  DEFAULT_OPTIONS_KEY,
+  parseSegmentationOptions,
+  segmentationOptionsKey
+};
@@ -0,0 +1,31 @@
+/**
+ * TAG VALIDATOR
+ * Free-form labels used on annotations and documents
+ */
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+
+/**
+ * Trimmed, lowercased, de-duplicated tags
+ * @param {*} value - Candidate array of tags
+ * @returns {Array|null} - Cleaned tags, or null if invalid
+ */
+function parseTags(value) {
+  if (!Array.isArray(value) || value.length > MAX_TAGS) return null;
+
+  const tags = [];
+  for (const tag of value) {
+    if (typeof tag !== 'string') return null;
+    const cleaned = tag.trim().toLowerCase();
+    if (!cleaned || cleaned.length > MAX_TAG_LENGTH) return null;
+    if (!tags.includes(cleaned)) tags.push(cleaned);
+  }
+  return tags;
+}
+
+module.exports = {
+  MAX_TAGS,
+  MAX_TAG_LENGTH,
+  parseTags
+};